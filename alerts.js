@@ -2,7 +2,16 @@
 // Lightweight alert helper module. Require and call `alertAdmins(type, title, message, details)` from your server.
 // This file expects environment variables to be set (or loaded via dotenv in your main server):
 // SLACK_WEBHOOK_URL, ALERT_WEBHOOK_URL, ALERT_EMAIL_TO, SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, ALERT_FROM
+// The senders take an optional destination (Slack URL, webhook URL, email address or list) for
+// per-recipient reports; without one they fall back to the environment.
+//
+// alertAdmins routes each alert type through ALERT_RULES_PATH (channels, severity, throttle window),
+// retries failed deliveries with exponential backoff, and appends what still fails to a dead-letter
+// JSONL that replayDeadLetters() sends again later.
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const fetch = require('node-fetch');
 let nodemailer;
 try {
@@ -11,26 +20,56 @@ try {
   // nodemailer optional — email alerts will be skipped if not installed
 }
 
-function sendSlackMessage(text) {
-  const url = process.env.SLACK_WEBHOOK_URL;
+const CHANNELS = ['slack', 'webhook', 'email'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Built-in routing; ALERT_RULES_PATH entries are merged over these per type.
+const DEFAULT_RULES = {
+  EXAM_FAIL: { severity: 'info' },
+  BORROWER_DRIFT: { severity: 'warning' },
+  TECH_INVALID_SPIKE: { severity: 'warning' },
+  OPENAI_WS_ERROR: { severity: 'warning' },
+  BOOT_FATAL: { severity: 'critical', throttleSeconds: 0 },
+};
+
+function intEnv(name, def, min, max) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : def;
+}
+
+// Read on use so a server that loads .env after requiring this module still configures it.
+function settings() {
+  return {
+    rulesPath: process.env.ALERT_RULES_PATH || './alert-rules.json',
+    deadLetterPath: process.env.ALERT_DEAD_LETTER_PATH || path.join(process.env.LOG_DIR || './logs', 'alert-dead-letter.jsonl'),
+    retries: intEnv('ALERT_RETRIES', 4, 0, 10),
+    retryBaseMs: intEnv('ALERT_RETRY_BASE_MS', 1000, 1, 60000),
+    retryMaxMs: intEnv('ALERT_RETRY_MAX_MS', 60000, 1, 600000),
+    throttleSeconds: intEnv('ALERT_THROTTLE_SECONDS', 300, 0, 86400),
+  };
+}
+
+function log(event, fields = {}) {
+  console.log(JSON.stringify({ event, ...fields }));
+}
+
+function sendSlackMessage(text, url = process.env.SLACK_WEBHOOK_URL) {
   if (!url) return Promise.resolve();
   return fetch(url, { method: 'POST', body: JSON.stringify({ text }), headers: { 'Content-Type': 'application/json' } });
 }
 
-function sendWebhook(payload) {
-  const url = process.env.ALERT_WEBHOOK_URL;
+function sendWebhook(payload, url = process.env.ALERT_WEBHOOK_URL) {
   if (!url) return Promise.resolve();
   return fetch(url, { method: 'POST', body: JSON.stringify(payload), headers: { 'Content-Type': 'application/json' } });
 }
 
-async function sendAlertEmail(subject, text) {
+async function sendAlertEmail(subject, text, to = process.env.ALERT_EMAIL_TO) {
   if (!nodemailer) return Promise.resolve();
-  const to = process.env.ALERT_EMAIL_TO;
   const host = process.env.SMTP_HOST;
   const port = process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT, 10) : undefined;
   const user = process.env.SMTP_USER;
   const pass = process.env.SMTP_PASS;
-  if (!to || !host || !user || !pass) return Promise.resolve();
+  if (!to || !to.length || !host || !user || !pass) return Promise.resolve();
 
   const transporter = nodemailer.createTransport({
     host,
@@ -42,17 +81,196 @@ async function sendAlertEmail(subject, text) {
   return transporter.sendMail({ from: process.env.ALERT_FROM || user, to, subject, text });
 }
 
+// ---------------- Routing rules ----------------
+// { "defaults": { channels, severity, throttleSeconds }, "rules": { "EXAM_FAIL": { channels, severity, throttleSeconds, enabled } } }
+let _rules = { mtimeMs: -1, data: {} };
+
+function loadRules() {
+  const { rulesPath } = settings();
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(rulesPath).mtimeMs;
+  } catch (e) {
+    if (e.code !== 'ENOENT') log('ALERT_RULES_ERROR', { path: rulesPath, error: String(e?.message || e) });
+    _rules = { mtimeMs: 0, data: {} };
+    return _rules.data;
+  }
+  if (mtimeMs === _rules.mtimeMs) return _rules.data;
+  try {
+    const data = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    if (!data || typeof data !== 'object') throw new Error('rules file must be a JSON object');
+    _rules = { mtimeMs, data };
+    log('ALERT_RULES_LOADED', { path: rulesPath, types: Object.keys(data.rules || {}) });
+  } catch (e) {
+    // Keep the last good rules; a half-saved file should not reroute alerts.
+    log('ALERT_RULES_INVALID', { path: rulesPath, error: String(e?.message || e) });
+  }
+  return _rules.data;
+}
+
+function ruleFor(type) {
+  const data = loadRules();
+  const merged = { ...(data.defaults || {}), ...(DEFAULT_RULES[type] || {}), ...((data.rules || {})[type] || {}) };
+  const channels = Array.isArray(merged.channels) ? merged.channels.filter((c) => CHANNELS.includes(c)) : CHANNELS;
+  const throttle = parseInt(merged.throttleSeconds, 10);
+  return {
+    enabled: merged.enabled !== false,
+    channels,
+    severity: SEVERITIES.includes(merged.severity) ? merged.severity : 'warning',
+    throttleMs: (Number.isFinite(throttle) && throttle >= 0 ? throttle : settings().throttleSeconds) * 1000,
+  };
+}
+
+function channelConfigured(channel) {
+  if (channel === 'slack') return !!process.env.SLACK_WEBHOOK_URL;
+  if (channel === 'webhook') return !!process.env.ALERT_WEBHOOK_URL;
+  return !!(nodemailer && process.env.ALERT_EMAIL_TO && process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS);
+}
+
+// ---------------- Delivery ----------------
+// message is what the channel is sent: Slack text, webhook payload, or { subject, text }.
+async function sendOnce(channel, message) {
+  let r;
+  if (channel === 'slack') r = await sendSlackMessage(message);
+  else if (channel === 'webhook') r = await sendWebhook(message);
+  else r = await sendAlertEmail(message.subject, message.text);
+  if (r && r.ok === false) throw new Error(`HTTP ${r.status}`);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Initial try plus `retries` more, waiting base, 2×base, 4×base… (capped) in between.
+async function deliver(channel, message) {
+  const { retries, retryBaseMs, retryMaxMs } = settings();
+  let error = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt) await sleep(Math.min(retryMaxMs, retryBaseMs * 2 ** (attempt - 1)));
+    try {
+      await sendOnce(channel, message);
+      return { ok: true, attempts: attempt + 1 };
+    } catch (e) {
+      error = String(e?.message || e);
+      if (attempt < retries) log('ALERT_RETRY', { channel, attempt: attempt + 1, error });
+    }
+  }
+  return { ok: false, attempts: retries + 1, error };
+}
+
+function render(channel, alert) {
+  const tag = alert.severity === 'info' ? '' : `[${alert.severity.toUpperCase()}] `;
+  const suppressed = alert.suppressed ? `\n(${alert.suppressed} similar alert${alert.suppressed === 1 ? '' : 's'} suppressed since the last one)` : '';
+  if (channel === 'slack') return `${tag}*${alert.title}*\n${alert.message}${suppressed}`;
+  if (channel === 'webhook') return alert;
+  return { subject: `${tag}${alert.title}`, text: `${alert.message}${suppressed}\n\n${JSON.stringify(alert.details, null, 2)}` };
+}
+
+function appendDeadLetter(entry) {
+  const { deadLetterPath } = settings();
+  try {
+    fs.mkdirSync(path.dirname(deadLetterPath), { recursive: true });
+    fs.appendFileSync(deadLetterPath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  } catch (e) {
+    log('ALERT_DEAD_LETTER_ERROR', { id: entry.id, error: String(e?.message || e) });
+  }
+}
+
+// ---------------- Throttle ----------------
+// One alert per type and dedupe key (details.dedupeKey, else the title) per throttle window; the
+// ones in between are counted and mentioned on the next alert that goes out.
+const _throttle = new Map();
+
+function throttled(key, throttleMs, nowMs) {
+  const t = _throttle.get(key);
+  if (t && nowMs - t.sentMs < throttleMs) {
+    t.suppressed += 1;
+    return { suppressed: true };
+  }
+  const suppressed = t ? t.suppressed : 0;
+  _throttle.set(key, { sentMs: nowMs, suppressed: 0 });
+  return { suppressed: false, count: suppressed };
+}
+
 async function alertAdmins(type, title, message, details = {}) {
-  const payload = { type, title, message, details, timestamp: new Date().toISOString() };
   try {
-    await Promise.all([
-      sendSlackMessage(`*${title}*\n${message}`),
-      sendWebhook(payload),
-      sendAlertEmail(`${title}`, `${message}\n\n${JSON.stringify(details, null, 2)}`),
-    ]);
+    const rule = ruleFor(type);
+    const channels = rule.channels.filter(channelConfigured);
+    if (!rule.enabled || !channels.length) return { sent: [], deadLettered: [], suppressed: false };
+
+    const { dedupeKey, ...rest } = details || {};
+    const key = `${type}:${dedupeKey || title}`;
+    const gate = throttled(key, rule.throttleMs, Date.now());
+    if (gate.suppressed) {
+      log('ALERT_SUPPRESSED', { type, key });
+      return { sent: [], deadLettered: [], suppressed: true };
+    }
+
+    const alert = { id: crypto.randomUUID(), type, severity: rule.severity, title, message, details: rest, suppressed: gate.count, timestamp: new Date().toISOString() };
+    const results = await Promise.all(
+      channels.map(async (channel) => {
+        const rendered = render(channel, alert);
+        return { channel, message: rendered, ...(await deliver(channel, rendered)) };
+      })
+    );
+    const sent = results.filter((r) => r.ok).map((r) => r.channel);
+    const failed = results.filter((r) => !r.ok);
+    for (const r of failed) {
+      appendDeadLetter({ id: alert.id, type, severity: alert.severity, channel: r.channel, failedAt: new Date().toISOString(), attempts: r.attempts, replays: 0, error: r.error, message: r.message });
+    }
+    log(failed.length ? 'ALERT_DEAD_LETTERED' : 'ALERT_SENT', { id: alert.id, type, severity: alert.severity, sent, failed: failed.map((r) => ({ channel: r.channel, error: r.error })) });
+    return { sent, deadLettered: failed.map((r) => r.channel), suppressed: false };
   } catch (err) {
-    console.error('alertAdmins error:', err && err.message ? err.message : err);
+    log('ALERT_ERROR', { type, error: String(err?.message || err) });
+    return { sent: [], deadLettered: [], suppressed: false, error: String(err?.message || err) };
+  }
+}
+
+// ---------------- Dead letters ----------------
+function readDeadLetters(file = settings().deadLetterPath) {
+  let text = '';
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const out = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {}
+  }
+  return out;
+}
+
+// Sends every dead letter again (with the usual retries) to the channel's current destination.
+// The file is moved aside first; entries that fail again are appended back with `replays` bumped,
+// after any alerts that were dead-lettered meanwhile.
+async function replayDeadLetters() {
+  const { deadLetterPath } = settings();
+  const replaying = `${deadLetterPath}.replaying`;
+  try {
+    if (!fs.existsSync(replaying)) fs.renameSync(deadLetterPath, replaying);
+  } catch (e) {
+    if (e.code === 'ENOENT') return { replayed: 0, failed: 0 };
+    throw e;
+  }
+  let replayed = 0;
+  let failed = 0;
+  for (const entry of readDeadLetters(replaying)) {
+    const r = channelConfigured(entry.channel) ? await deliver(entry.channel, entry.message) : { ok: false, error: 'channel not configured' };
+    if (r.ok) {
+      replayed += 1;
+      continue;
+    }
+    failed += 1;
+    appendDeadLetter({ ...entry, replays: (entry.replays || 0) + 1, lastReplayAt: new Date().toISOString(), error: r.error });
   }
+  fs.unlinkSync(replaying);
+  log('ALERT_DEAD_LETTERS_REPLAYED', { replayed, failed });
+  return { replayed, failed };
 }
 
-module.exports = { sendSlackMessage, sendWebhook, sendAlertEmail, alertAdmins };
+module.exports = { sendSlackMessage, sendWebhook, sendAlertEmail, alertAdmins, readDeadLetters, replayDeadLetters };
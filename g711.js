@@ -0,0 +1,55 @@
+// g711.js
+// G.711 μ-law <-> 16-bit linear PCM. Twilio Media Streams and the Realtime session both use
+// 8 kHz μ-law; the browser mic ingress and the offline harness convert PCM16 through here.
+
+const BIAS = 0x84;
+const CLIP = 32635;
+
+// One signed 16-bit sample -> one μ-law byte
+function linearToMulaw(sample) {
+  let s = Math.max(-32768, Math.min(32767, sample | 0));
+  const sign = s < 0 ? 0x80 : 0;
+  if (sign) s = -s;
+  if (s > CLIP) s = CLIP;
+  s += BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (s & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (s >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function mulawToLinear(byte) {
+  const u = ~byte & 0xff;
+  const sign = u & 0x80;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + BIAS) << exponent) - BIAS;
+  return sign ? -magnitude : magnitude;
+}
+
+// PCM16 little-endian Buffer -> μ-law Buffer (half the length)
+function pcm16ToMulaw(pcm) {
+  const out = Buffer.alloc(pcm.length >> 1);
+  for (let i = 0; i < out.length; i++) out[i] = linearToMulaw(pcm.readInt16LE(i * 2));
+  return out;
+}
+
+// μ-law Buffer -> PCM16 little-endian Buffer (twice the length)
+function mulawToPcm16(mulaw) {
+  const out = Buffer.alloc(mulaw.length * 2);
+  for (let i = 0; i < mulaw.length; i++) out.writeInt16LE(mulawToLinear(mulaw[i]), i * 2);
+  return out;
+}
+
+// Root-mean-square level of a μ-law buffer on the 16-bit scale (0 = digital silence)
+function mulawRms(mulaw) {
+  if (!mulaw.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < mulaw.length; i++) {
+    const v = mulawToLinear(mulaw[i]);
+    sum += v * v;
+  }
+  return Math.sqrt(sum / mulaw.length);
+}
+
+module.exports = { linearToMulaw, mulawToLinear, pcm16ToMulaw, mulawToPcm16, mulawRms };
@@ -0,0 +1,200 @@
+// harness/mock-realtime.js
+// Scripted stand-in for the OpenAI Realtime WebSocket. Point the server at it with
+// OPENAI_REALTIME_URL. It speaks just enough of the protocol for the Twilio bridge:
+//   session.created / session.updated, response.created, response.audio.delta,
+//   response.audio_transcript.delta, response.done, server-VAD turn events and
+//   input audio transcription deltas/completions. Sessions updated to modalities ["text"]
+//   (the typed practice channel) get response.text.delta events and no audio.
+//
+// Audio deltas arrive faster than real time (framesPerTick frames every 20 ms), as they do
+// from the real API, so the bridge's prebuffer and outbound queue carry the playback.
+//
+// A script is { borrower: [...], caller: [...] }:
+//   borrower: lines spoken per response, in order. A string, or { text, ms } to control
+//             how long the audio runs (default: one pass of the borrower fixture).
+//   caller:   transcripts handed back, in order, each time a burst of caller audio ends.
+
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+const { FRAME_BYTES } = require('./wav');
+const { mulawRms } = require('../g711');
+
+const FRAME_MS = 20;
+const SPEECH_RMS = 300; // appended frames quieter than this are silence to the mock VAD
+
+function startMockRealtime({ host = '127.0.0.1', port = 0, borrowerFrames = [], framesPerTick = 3, vadSilenceMs = 200 } = {}) {
+  const events = new EventEmitter();
+  const received = [];
+  let script = { borrower: [], caller: [] };
+  let seq = 0;
+
+  const wss = new WebSocketServer({ host, port });
+
+  wss.on('connection', (ws, req) => {
+    const conn = {
+      authorization: String(req.headers.authorization || ''),
+      url: req.url,
+      borrowerIdx: 0,
+      callerIdx: 0,
+      speaking: false,
+      vadTimer: null,
+      active: null,
+      modalities: ['audio', 'text'],
+    };
+
+    const send = (obj) => {
+      if (ws.readyState !== 1) return;
+      ws.send(JSON.stringify({ event_id: `evt_${++seq}`, ...obj }));
+    };
+
+    function nextBorrowerLine() {
+      const line = script.borrower[conn.borrowerIdx++];
+      if (line == null) return { text: 'Okay.', ms: 400 };
+      return typeof line === 'string' ? { text: line } : line;
+    }
+
+    function finishResponse(status) {
+      const r = conn.active;
+      if (!r) return;
+      clearTimeout(r.timer); // interval or, for text responses, timeout
+      conn.active = null;
+      if (status === 'completed' && r.audio) {
+        send({ type: 'response.audio.done', response_id: r.id });
+        send({ type: 'response.audio_transcript.done', response_id: r.id, transcript: r.text });
+      }
+      send({ type: 'response.done', response: { id: r.id, status, output: [] } });
+      events.emit('response', { id: r.id, text: r.text, status });
+    }
+
+    function startResponse() {
+      if (conn.active) {
+        send({ type: 'error', error: { type: 'invalid_request_error', code: 'conversation_already_has_active_response', message: 'Conversation already has an active response' } });
+        return;
+      }
+      const line = nextBorrowerLine();
+      const totalFrames = Math.max(1, Math.round((line.ms || borrowerFrames.length * FRAME_MS || 1000) / FRAME_MS));
+      const r = { id: `resp_${++seq}`, text: String(line.text || ''), audio: conn.modalities.includes('audio'), sent: 0, timer: null };
+      conn.active = r;
+
+      send({ type: 'response.created', response: { id: r.id, status: 'in_progress' } });
+
+      if (!r.audio) {
+        const cut = Math.ceil(r.text.length / 2);
+        send({ type: 'response.text.delta', response_id: r.id, delta: r.text.slice(0, cut) });
+        send({ type: 'response.text.delta', response_id: r.id, delta: r.text.slice(cut) });
+        r.timer = setTimeout(() => {
+          send({ type: 'response.text.done', response_id: r.id, text: r.text });
+          finishResponse('completed');
+        }, FRAME_MS);
+        return;
+      }
+
+      // Realtime streams the transcript alongside the audio; two halves are enough to exercise buffering.
+      const cut = Math.ceil(r.text.length / 2);
+      send({ type: 'response.audio_transcript.delta', response_id: r.id, delta: r.text.slice(0, cut) });
+      send({ type: 'response.audio_transcript.delta', response_id: r.id, delta: r.text.slice(cut) });
+
+      r.timer = setInterval(() => {
+        if (r.sent >= totalFrames) return finishResponse('completed');
+        for (let i = 0; i < framesPerTick && r.sent < totalFrames; i++) {
+          const frame = borrowerFrames.length ? borrowerFrames[r.sent % borrowerFrames.length] : Buffer.alloc(FRAME_BYTES, 0xff).toString('base64');
+          r.sent += 1;
+          send({ type: 'response.audio.delta', response_id: r.id, delta: frame });
+        }
+      }, FRAME_MS);
+    }
+
+    // Server VAD: a caller turn ends vadSilenceMs after the last audible frame.
+    function endCallerTurn() {
+      conn.speaking = false;
+      conn.vadTimer = null;
+      const itemId = `item_${++seq}`;
+      send({ type: 'input_audio_buffer.speech_stopped', item_id: itemId });
+      send({ type: 'input_audio_buffer.committed', item_id: itemId });
+
+      const transcript = script.caller[conn.callerIdx++];
+      if (transcript == null) {
+        send({ type: 'conversation.item.input_audio_transcription.failed', item_id: itemId, error: { message: 'no scripted transcript' } });
+      } else {
+        const words = String(transcript).split(' ');
+        const cut = Math.ceil(words.length / 2);
+        send({ type: 'conversation.item.input_audio_transcription.delta', item_id: itemId, delta: `${words.slice(0, cut).join(' ')} ` });
+        send({ type: 'conversation.item.input_audio_transcription.delta', item_id: itemId, delta: words.slice(cut).join(' ') });
+        send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, transcript: String(transcript) });
+      }
+      events.emit('callerTurn', { transcript });
+
+      // server_vad creates the next response on its own
+      startResponse();
+    }
+
+    ws.on('message', (raw) => {
+      let msg = null;
+      try {
+        msg = JSON.parse(raw.toString('utf8'));
+      } catch {
+        return;
+      }
+      received.push({ ts: Date.now(), ...msg });
+      events.emit('message', msg);
+
+      if (msg.type === 'session.update') {
+        if (Array.isArray(msg.session?.modalities)) conn.modalities = msg.session.modalities;
+        send({ type: 'session.updated', session: msg.session || {} });
+        return;
+      }
+      if (msg.type === 'conversation.item.create') {
+        send({ type: 'conversation.item.created', item: { id: `item_${++seq}`, ...(msg.item || {}) } });
+        return;
+      }
+      if (msg.type === 'response.create') return startResponse();
+      if (msg.type === 'response.cancel') {
+        if (!conn.active) {
+          send({ type: 'error', error: { type: 'invalid_request_error', code: 'response_cancel_not_active', message: 'Cancellation failed: no active response found' } });
+          return;
+        }
+        return finishResponse('cancelled');
+      }
+      if (msg.type === 'input_audio_buffer.append') {
+        if (mulawRms(Buffer.from(String(msg.audio || ''), 'base64')) < SPEECH_RMS) return;
+        if (!conn.speaking) {
+          conn.speaking = true;
+          send({ type: 'input_audio_buffer.speech_started', item_id: `item_${seq + 1}` });
+        }
+        if (conn.vadTimer) clearTimeout(conn.vadTimer);
+        conn.vadTimer = setTimeout(endCallerTurn, vadSilenceMs);
+      }
+    });
+
+    ws.on('close', () => {
+      if (conn.active) clearTimeout(conn.active.timer);
+      if (conn.vadTimer) clearTimeout(conn.vadTimer);
+      events.emit('disconnect', conn);
+    });
+
+    events.emit('connection', conn);
+    send({ type: 'session.created', session: { id: `sess_${++seq}`, model: new URL(req.url, 'ws://mock').searchParams.get('model') } });
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', reject);
+    wss.once('listening', () => {
+      const addr = wss.address();
+      resolve({
+        url: `ws://${host}:${addr.port}/v1/realtime`,
+        events,
+        received,
+        load(next) {
+          script = { borrower: [...(next?.borrower || [])], caller: [...(next?.caller || [])] };
+          received.length = 0;
+        },
+        close() {
+          for (const c of wss.clients) c.terminate();
+          return new Promise((done) => wss.close(() => done()));
+        },
+      });
+    });
+  });
+}
+
+module.exports = { startMockRealtime };
@@ -0,0 +1,1098 @@
+// harness/run.js
+// Offline end-to-end calls through the /twilio bridge: no phone, no OpenAI account.
+// Boots server.js in-process against the mock Realtime server and the Twilio REST stub,
+// drives whole calls with the fake Media Streams client, then asserts on call state and
+// the audit record the call wrote.
+//
+//   npm test                      run every call
+//   node harness/run.js barge     run calls whose name contains "barge"
+//   HARNESS_VERBOSE=1 npm test    echo server logs while running
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+
+const { loadFrames } = require('./wav');
+const { mulawToPcm16 } = require('../g711');
+const { startMockRealtime } = require('./mock-realtime');
+const { sid, twilioSignature, postWebhook, streamParameters, connectTwilioStream, startTwilioApiMock } = require('./twilio-client');
+const { startWebhookSink } = require('./webhook-sink');
+
+const ROOT = path.resolve(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const VERBOSE = process.env.HARNESS_VERBOSE === '1';
+const ADMIN_KEY = 'harness-admin-key';
+const TWILIO_AUTH_TOKEN = 'harness-auth-token';
+const STREAM_PARAMS = ['mode', 'difficulty', 'language', 'scenarioId', 'examMode', 'operatorPin'];
+const BASE_SCENARIO = JSON.parse(fs.readFileSync(path.join(ROOT, 'scenarios.json'), 'utf8')).mcd.Standard.find((s) => s.id === 'MCD-S-01');
+
+const out = console.log.bind(console);
+const serverLogs = [];
+
+// ---------------- Helpers ----------------
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function waitFor(check, label, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const v = check();
+    if (v) return v;
+    if (Date.now() > until) throw new Error(`timed out waiting for ${label}`);
+    await sleep(20);
+  }
+}
+
+function readAudit(logDir, attemptId, recordType = 'attempt') {
+  const rows = [];
+  for (const f of fs.readdirSync(logDir)) {
+    if (!/^audit-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f)) continue;
+    for (const line of fs.readFileSync(path.join(logDir, f), 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      const r = JSON.parse(line);
+      if (r.attemptId === attemptId && r.recordType === recordType) rows.push(r);
+    }
+  }
+  return rows;
+}
+
+// ---------------- Call building blocks ----------------
+// Fresh script and borrower-response counter for the next call
+function loadScript(ctx, script) {
+  ctx.mock.load(script);
+  ctx.responses = 0;
+  ctx.mock.events.removeAllListeners('response');
+  ctx.mock.events.on('response', () => (ctx.responses += 1));
+}
+
+// Fetches /connect-prompt like Twilio would (signed), then starts the stream with the
+// Stream Parameters from that TwiML, streamToken included.
+async function streamParamsFor(ctx, callSid, params) {
+  const query = new URLSearchParams(Object.fromEntries(STREAM_PARAMS.filter((k) => params[k] != null).map((k) => [k, String(params[k])])));
+  const r = await postWebhook(`${ctx.baseHttp}/connect-prompt?${query}`, { CallSid: callSid, From: '+15550100100' }, TWILIO_AUTH_TOKEN);
+  assert.equal(r.status, 200, `connect-prompt -> ${r.status}`);
+  ctx.lastTwiml = r.body;
+  return streamParameters(r.body);
+}
+
+async function placeCall(ctx, { customParameters = {}, script }) {
+  loadScript(ctx, script);
+  const callSid = sid('CA');
+  const signed = await streamParamsFor(ctx, callSid, customParameters);
+  const call = await connectTwilioStream(`${ctx.baseWs}/twilio`, { callSid, customParameters: signed });
+  call.start();
+  return call;
+}
+
+// Waits until the mock has finished n borrower responses since the call started.
+function borrowerTurns(ctx, n, timeoutMs) {
+  return waitFor(() => ctx.responses >= n, `${n} borrower response(s)`, timeoutMs);
+}
+
+// The bridge plays audio out slower than Realtime delivers it, and treats caller audio within
+// ~550 ms of the last delta as barge-in. A polite caller waits for the line to go quiet.
+async function playbackDone(call, quietMs = 600) {
+  let count = -1;
+  let since = Date.now();
+  await waitFor(() => {
+    const n = call.mediaReceived();
+    if (n !== count) {
+      count = n;
+      since = Date.now();
+    }
+    return Date.now() - since >= quietMs;
+  }, 'borrower playback to finish', 10000);
+}
+
+// Opener, then each caller line followed by the borrower's reply.
+async function converse(ctx, call, callerLines) {
+  await borrowerTurns(ctx, 1);
+  await playbackDone(call);
+  for (let i = 0; i < callerLines.length; i++) {
+    await call.speak(ctx.callerFrames);
+    await borrowerTurns(ctx, i + 2);
+    await playbackDone(call);
+  }
+}
+
+async function hangUpWithStop(ctx, call) {
+  call.stop();
+  await waitFor(() => call.closed, 'stream close');
+  return waitFor(() => ctx.api.redirects.find((r) => r.callSid === call.callSid), 'redirect to /score');
+}
+
+// Operator the practice channels sign in as (they refuse to start without a PIN)
+async function practicePin(ctx) {
+  if (!ctx.practicePin) ctx.practicePin = (await ctx.admin('POST', '/admin/operators', { name: 'Practice Operator' })).pin;
+  return ctx.practicePin;
+}
+
+// Client for the typed practice channel (/practice/text). localAddress picks another loopback
+// source address, so PIN lockouts in one call do not follow the others; forwardedFor plays a proxy.
+function openTextPractice(ctx, { localAddress, forwardedFor } = {}) {
+  const headers = forwardedFor ? { 'X-Forwarded-For': forwardedFor } : {};
+  const ws = new WebSocket(`${ctx.baseWs}/practice/text`, { localAddress, headers });
+  const received = [];
+  ws.on('message', (raw) => received.push(JSON.parse(raw.toString('utf8'))));
+  const client = {
+    received,
+    send: (obj) => ws.send(JSON.stringify(obj)),
+    count: (type) => received.filter((m) => m.type === type).length,
+    next: (type, n = 1) => waitFor(() => received.filter((m) => m.type === type)[n - 1], `${n} "${type}" message(s)`),
+  };
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve(client));
+    ws.once('error', reject);
+  });
+}
+
+// Client for the browser mic channel (/practice/voice): JSON control, binary 8 kHz PCM16 audio.
+// Exposes the same mediaReceived()/closed surface as the Twilio client so playbackDone() works on it.
+function openBrowserPractice(ctx, { localAddress } = {}) {
+  const ws = new WebSocket(`${ctx.baseWs}/practice/voice`, { localAddress });
+  const received = [];
+  const audio = [];
+  ws.on('message', (raw, isBinary) => (isBinary ? audio.push(raw) : received.push(JSON.parse(raw.toString('utf8')))));
+  const client = {
+    received,
+    audio,
+    get closed() {
+      return ws.readyState === WebSocket.CLOSED;
+    },
+    mediaReceived: () => audio.length,
+    send: (obj) => ws.send(JSON.stringify(obj)),
+    next: (type) => waitFor(() => received.find((m) => m.type === type), `"${type}" message`),
+    // μ-law fixture frames go out as PCM16, paced like a live mic
+    async speak(frames) {
+      for (const b64 of frames) {
+        ws.send(mulawToPcm16(Buffer.from(b64, 'base64')));
+        await sleep(20);
+      }
+    },
+  };
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve(client));
+    ws.once('error', reject);
+  });
+}
+
+function finalState(ctx, call) {
+  const st = ctx.server.getOrInitState(call.callSid);
+  assert.ok(st._audit.written, 'audit record written');
+  const [record] = readAudit(ctx.logDir, st._audit.attemptId);
+  assert.ok(record, 'audit record on disk');
+  return { st, record };
+}
+
+// Typed practice attempt: the borrower's opener, then each line with a reply (stock unless given).
+// Returns the per-turn checkpoint/violation results and the final scorecard.
+async function typedAttempt(ctx, start, lines, replies = lines.map(() => 'Okay.')) {
+  loadScript(ctx, { borrower: ['Hello?', ...replies], caller: [] });
+  const chat = await openTextPractice(ctx);
+  chat.send({ type: 'start', operatorPin: await practicePin(ctx), ...start });
+  const session = await chat.next('session');
+  await chat.next('borrower');
+  const turns = [];
+  for (let i = 0; i < lines.length; i++) {
+    chat.send({ type: 'isa', text: lines[i] });
+    turns.push(await chat.next('turn', i + 1));
+    await chat.next('borrower', i + 2);
+  }
+  chat.send({ type: 'end' });
+  const { scorecard } = await chat.next('scorecard');
+  return { session, turns, scorecard };
+}
+
+// Runs fn with a scenario added through the authoring API (based on MCD-S-01), then removes it.
+async function withScenario(ctx, mode, difficulty, fields, fn) {
+  const scenario = { ...BASE_SCENARIO, ...fields };
+  await ctx.admin('POST', `/admin/scenarios/${mode}/${difficulty}`, { author: 'harness', scenario });
+  try {
+    return await fn(scenario);
+  } finally {
+    await ctx.admin('DELETE', `/admin/scenarios/${mode}/${difficulty}/${scenario.id}`, { author: 'harness' });
+  }
+}
+
+// GET /metrics parsed into { 'name{labels}': value }
+async function scrapeMetrics(ctx) {
+  const r = await fetch(`${ctx.baseHttp}/metrics`);
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  const samples = {};
+  for (const line of (await r.text()).split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const i = line.lastIndexOf(' ');
+    samples[line.slice(0, i)] = Number(line.slice(i + 1));
+  }
+  return samples;
+}
+
+function metricDelta(before, after, key) {
+  return (after[key] || 0) - (before[key] || 0);
+}
+
+// ---------------- Calls ----------------
+const MCD_PASS_LINES = [
+  'Hi Sarah, this is Jordan with SCC. Is it okay if I ask you a few quick questions?',
+  'Thanks. Is this number the best callback number for you?',
+  'Great. Let me set a follow-up time. Does tomorrow at ten a.m. work?',
+];
+
+const CALLS = [
+  {
+    name: 'practice call hits every checkpoint and passes',
+    async run(ctx) {
+      const script = { borrower: ['Who is this and why are you calling me?', 'Fine, go ahead.', 'Yes, this number works.', 'Tomorrow is fine.'], caller: MCD_PASS_LINES };
+      const metricsBefore = await scrapeMetrics(ctx);
+      const call = await placeCall(ctx, { customParameters: { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', examMode: 'false' }, script });
+      await converse(ctx, call, MCD_PASS_LINES);
+      const redirect = await hangUpWithStop(ctx, call);
+      const { st, record } = finalState(ctx, call);
+
+      const update = ctx.mock.received.find((m) => m.type === 'session.update');
+      assert.equal(update.session.voice, 'shimmer');
+      assert.equal(update.session.input_audio_format, 'g711_ulaw');
+      assert.match(update.session.instructions, /ScenarioId: MCD-S-01/);
+
+      assert.ok(call.mediaReceived() > 0, 'borrower audio played to caller');
+      assert.ok(st.metrics.sentFrames > 0);
+      assert.equal(st.transcript.callerText.length, 3);
+      assert.equal(st.transcript.modelText.length, 4);
+      assert.equal(st.operator.lastScore.pass, true);
+      assert.equal(st.operator.lastScore.requiredHit, 3);
+
+      assert.equal(record.endReason, 'TWILIO_STOP');
+      assert.equal(record.scenario.id, 'MCD-S-01');
+      assert.equal(record.scorecard.pass, true);
+      assert.equal(record.technicalValidity.valid, true);
+      assert.deepEqual(record.governance.checkpoints.map((c) => c.id), ['confirm_permission', 'confirm_callback_number', 'set_follow_up_time']);
+      assert.deepEqual(record.timeline.map((t) => t.speaker), ['borrower', 'isa', 'borrower', 'isa', 'borrower', 'isa', 'borrower']);
+      assert.deepEqual(record.timeline.filter((t) => t.speaker === 'isa').map((t) => t.checkpoints), [['confirm_permission'], ['confirm_callback_number'], ['set_follow_up_time']]);
+      for (const turn of record.timeline) assert.ok(turn.startOffsetMs <= turn.endOffsetMs && !turn.interrupted, `turn ${turn.seq} timing`);
+      assert.equal(new URL(redirect.url).pathname, '/score');
+      assert.equal(redirect.method, 'POST');
+      // RECORDING_MODE=exam: practice calls are neither announced nor recorded
+      assert.doesNotMatch(ctx.lastTwiml, /recorded/);
+      assert.equal(record.recording, null);
+
+      // per-call numbers outlive the call on /metrics
+      const metricsAfter = await scrapeMetrics(ctx);
+      assert.equal(metricDelta(metricsBefore, metricsAfter, 'scc_attempts_total{channel="voice",exam="false"}'), 1);
+      assert.equal(metricDelta(metricsBefore, metricsAfter, 'scc_openai_ws_opens_total{channel="voice"}'), 1);
+      assert.equal(metricDelta(metricsBefore, metricsAfter, 'scc_sent_frames_total'), st.metrics.sentFrames);
+      assert.equal(metricDelta(metricsBefore, metricsAfter, 'scc_time_to_first_audio_seconds_count{channel="voice"}'), 1);
+      assert.equal(metricDelta(metricsBefore, metricsAfter, 'scc_call_duration_seconds_count{channel="voice"}'), 1);
+      assert.equal(metricsAfter['scc_active_sessions{channel="voice"}'] || 0, 0);
+    },
+  },
+  {
+    name: 'rate quote is a critical violation and fails the attempt',
+    async run(ctx) {
+      const lines = ['Is it okay if I ask you a few quick questions?', 'Rates are around 6.25 percent right now.'];
+      const call = await placeCall(ctx, { customParameters: { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01' }, script: { borrower: ['Who is this?', 'Okay.', 'Hm.'], caller: lines } });
+      await converse(ctx, call, lines);
+      await hangUpWithStop(ctx, call);
+      const { record } = finalState(ctx, call);
+
+      assert.equal(record.scorecard.pass, false);
+      assert.deepEqual(record.governance.violations.map((v) => v.code), ['NO_RATES']);
+      const quote = record.timeline.find((t) => t.speaker === 'isa' && t.violations.length);
+      assert.equal(quote.text, lines[1]);
+      assert.deepEqual(quote.violations, ['NO_RATES']);
+      assert.ok(record.scorecard.failReasons.some((r) => /^Violation NO_RATES:/.test(r)));
+    },
+  },
+  {
+    name: 'down payments and mentions of accounts are not rate quotes or consent violations',
+    async run(ctx) {
+      const { turns, scorecard } = await typedAttempt(ctx, { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01' }, [
+        "You'd want about 3.5 percent down, or 10% down on a conventional loan.",
+        'Rates are high right now, so plan on five percent down.',
+        "Your account number is on the letter we mailed, and I won't pull your credit today.",
+        "What's your social security number?",
+        'The rate is 6.25 percent today.',
+      ]);
+      assert.deepEqual(turns.map((t) => t.violations.map((v) => v.code)), [[], [], [], ['CONSENT'], ['NO_RATES']]);
+      assert.deepEqual(scorecard.violations.map((v) => [v.code, v.match]), [['CONSENT', "what's your social security number"], ['NO_RATES', '6.25 percent']]);
+    },
+  },
+  {
+    name: 'checkpoint phrases match whole words and each utterance scores its own checkpoint',
+    async run(ctx) {
+      const mustHit = ['clarify status', 'set expectations', 'restate boundaries', 'maintain boundary', 'define review step'];
+      await withScenario(ctx, 'm2', 'Moderate', { id: 'M2-M-90', mustHit, ruleFocus: [] }, async () => {
+        const { turns, scorecard } = await typedAttempt(ctx, { mode: 'm2', difficulty: 'Moderate', scenarioId: 'M2-M-90' }, [
+          'That was unexpected. Let me apply myself to your file and see what the rest of the week looks like.',
+          "I can't lock anything in for you today.",
+          "Like I said, I still can't do that.",
+          'Your file is under review with the underwriter, and you can expect to hear back by Friday.',
+        ]);
+        const ids = (t) => t.checkpoints.map((c) => c.id).sort();
+        assert.deepEqual(ids(turns[0]), [], '"unexpected" and "apply" are not checkpoint phrases');
+        assert.deepEqual(ids(turns[1]), ['restate_boundaries']);
+        assert.deepEqual(ids(turns[2]), ['maintain_boundary']);
+        assert.deepEqual(ids(turns[3]), ['define_review_step', 'set_expectations']);
+        assert.deepEqual(scorecard.missed.map((m) => m.id), ['clarify_status']);
+        assert.equal(scorecard.scorePct, 80);
+        assert.equal(scorecard.pass, false);
+      });
+    },
+  },
+  {
+    name: 'scenario edits with an empty opener or no mustHit checkpoint are rejected',
+    async run(ctx) {
+      const write = (scenario) =>
+        fetch(`${ctx.baseHttp}/admin/scenarios/m2/Moderate`, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${ADMIN_KEY}`, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ author: 'harness', scenario: { ...BASE_SCENARIO, ...scenario } }),
+        });
+      const noCheckpoints = await write({ id: 'M2-M-91', mustHit: [] });
+      assert.equal(noCheckpoints.status, 422);
+      assert.match(JSON.stringify(await noCheckpoints.json()), /M2-M-91\)\.mustHit: must have at least one checkpoint/);
+      const blankOpener = await write({ id: 'M2-M-92', openers: ['  '] });
+      assert.equal(blankOpener.status, 422);
+      assert.match(JSON.stringify(await blankOpener.json()), /M2-M-92\)\.openers\[0\]: must not be empty/);
+    },
+  },
+  {
+    name: 'spanish call is prompted, instructed, transcribed and scored in spanish',
+    async run(ctx) {
+      // IVR: the language menu reads each option in its own language; picking 2 switches the prompts
+      const ivrSid = sid('CA');
+      const ivr = (route, params = {}) => postWebhook(`${ctx.baseHttp}${route}`, { CallSid: ivrSid, From: '+15550100177', ...params }, TWILIO_AUTH_TOKEN);
+      const menu = (await ivr('/voice')).body;
+      assert.match(menu, /For English, press 1\./);
+      assert.match(menu, /<Say language="es-MX" voice="Polly\.Mia">Para español, oprima 2\.<\/Say>/);
+      assert.match((await ivr('/language-select', { Digits: '2' })).body, /\/voice/);
+      assert.match((await ivr('/voice')).body, /Ingrese su PIN de operador/);
+
+      const lines = [
+        'Hola Lucía, habla Jordan de SCC. ¿Puedo hacerle unas preguntas rápidas?',
+        'No le puedo dar una tasa todavía, pero la tasa está en 6.5 por ciento para muchos clientes.',
+        '¿Este número es el correcto? ¿Es el mejor número para llamarle?',
+        'Perfecto. ¿Le parece mañana a las diez para dar seguimiento?',
+      ];
+      const script = { borrower: ['¿Quién habla y para qué me llama?', 'Está bien, pregunte.', '¿Y eso qué?', 'Sí, este número.', 'Mañana está bien.'], caller: lines };
+      const call = await placeCall(ctx, { customParameters: { mode: 'mcd', difficulty: 'Standard', language: 'es', scenarioId: 'MCD-S-07', examMode: 'false' }, script });
+      assert.match(ctx.lastTwiml, /<Parameter name="language" value="es"/);
+      await converse(ctx, call, lines);
+      await hangUpWithStop(ctx, call);
+      const { st, record } = finalState(ctx, call);
+
+      const update = ctx.mock.received.find((m) => m.type === 'session.update');
+      assert.equal(update.session.input_audio_transcription.language, 'es');
+      assert.match(update.session.instructions, /Habla SOLO como el prestatario "Lucía"\./);
+      assert.match(update.session.instructions, /ScenarioId: MCD-S-07/);
+      assert.match(update.session.instructions, /¿Cómo consiguió mis datos\?/, 'Spanish challenge pool');
+      const opener = ctx.mock.received.find((m) => m.type === 'response.create');
+      assert.match(opener.response.instructions, /^Di la frase de apertura exactamente una vez/);
+
+      assert.equal(record.scenario.language, 'es');
+      assert.deepEqual(record.governance.checkpoints.map((c) => c.id), ['confirm_permission', 'confirm_callback_number', 'set_follow_up_time']);
+      assert.equal(record.governance.checkpoints[0].label, 'confirmar permiso para hacer preguntas');
+      assert.deepEqual(record.governance.violations.map((v) => [v.code, v.match]), [['NO_RATES', '6.5 por ciento']]);
+      assert.equal(record.scorecard.language, 'es');
+      assert.equal(record.scorecard.pass, false);
+
+      const score = (await postWebhook(`${ctx.baseHttp}/score`, { CallSid: call.callSid }, TWILIO_AUTH_TOKEN)).body;
+      assert.match(score, /<Say language="es-MX" voice="Polly\.Mia">Evaluación\. Resultado: reprobado\. Cumplió 3 de 3 puntos de control obligatorios\./);
+      assert.match(st.operator.lastScoreSpoken, /1 infracción de las reglas: dio una tasa\./);
+    },
+  },
+  {
+    name: 'borrower voice, temperature, VAD and delivery come from the persona catalog and scenario overrides',
+    async run(ctx) {
+      const personaCall = async (scenarioId) => {
+        const call = await placeCall(ctx, { customParameters: { mode: 'mcd', difficulty: scenarioId === 'MCD-E-01' ? 'Edge' : 'Moderate', scenarioId }, script: { borrower: ['Hello?'], caller: [] } });
+        await borrowerTurns(ctx, 1);
+        const update = ctx.mock.received.find((m) => m.type === 'session.update');
+        await hangUpWithStop(ctx, call);
+        return { update, record: finalState(ctx, call).record };
+      };
+
+      // MCD-E-01: hostile / angry matches the "hostile" persona
+      const hostile = await personaCall('MCD-E-01');
+      assert.equal(hostile.update.session.voice, 'sage');
+      assert.equal(hostile.update.session.temperature, 1);
+      assert.equal(hostile.update.session.turn_detection.silence_duration_ms, 300);
+      assert.match(hostile.update.session.instructions, /Voice and delivery: Loud and clipped\./);
+      assert.deepEqual(
+        { id: hostile.record.persona.id, source: hostile.record.persona.source, voice: hostile.record.persona.voice },
+        { id: 'hostile', source: 'catalog', voice: 'sage' }
+      );
+
+      // MCD-M-04 (polite-dismissive) would match "calm"; its scenario entry picks "impatient" at a lower temperature
+      const override = await personaCall('MCD-M-04');
+      assert.equal(override.update.session.voice, 'coral');
+      assert.equal(override.update.session.temperature, 0.8);
+      assert.equal(override.update.session.turn_detection.silence_duration_ms, 350);
+      assert.equal(override.record.persona.id, 'impatient');
+      assert.equal(override.record.persona.source, 'scenario');
+    },
+  },
+  {
+    name: 'caller barge-in clears playback and cancels the borrower response',
+    async run(ctx) {
+      const lines = ['Sorry to cut in, is it okay if I ask a couple of questions?'];
+      const script = { borrower: [{ text: 'Who is this? I have been getting calls all week and nobody tells me anything.', ms: 4000 }, 'Go ahead.'], caller: lines };
+      const metricsBefore = await scrapeMetrics(ctx);
+      const call = await placeCall(ctx, { customParameters: { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01' }, script });
+
+      await waitFor(() => call.mediaReceived() >= 10, 'borrower playback');
+      assert.equal((await scrapeMetrics(ctx))['scc_active_sessions{channel="voice"}'], 1);
+      await call.speak(ctx.callerFrames);
+      await waitFor(() => call.received.some((m) => m.event === 'clear'), 'clear event');
+      await borrowerTurns(ctx, 2);
+      await hangUpWithStop(ctx, call);
+      const { st, record } = finalState(ctx, call);
+
+      assert.ok(ctx.mock.received.some((m) => m.type === 'response.cancel'), 'response.cancel sent to Realtime');
+      const cancelled = ctx.mock.received.filter((m) => m.type === 'response.cancel').length;
+      assert.equal(cancelled, 1, 'one cancel per barge-in');
+      assert.equal(metricDelta(metricsBefore, await scrapeMetrics(ctx), 'scc_barge_in_cancels_total{channel="voice"}'), 1);
+      assert.ok(call.mediaReceived() < 200, 'cancelled opener was not played out in full');
+      // The cancelled opener never reached response.done with a transcript.
+      assert.equal(st.transcript.modelText.length, 1);
+      assert.equal(record.transcript.callerText[0].text, lines[0]);
+
+      // timeline: the opener is cut off by the caller, then the caller's turn, then the reply
+      const transcript = await ctx.admin('GET', `/admin/attempts/${record.attemptId}/transcript`);
+      assert.equal(transcript.live, false);
+      assert.deepEqual(transcript.timeline, record.timeline);
+      const [opener, isa, reply] = transcript.timeline;
+      assert.deepEqual([opener.speaker, isa.speaker, reply.speaker], ['borrower', 'isa', 'borrower']);
+      assert.equal(opener.interrupted, true);
+      assert.ok(opener.text.length > 0 && 'Who is this? I have been getting calls all week and nobody tells me anything.'.startsWith(opener.text), opener.text);
+      assert.equal(isa.text, lines[0]);
+      assert.ok(isa.startMs <= opener.interruptedAtMs && isa.startMs < isa.endMs, 'caller speech began before the cut-off');
+      assert.equal(reply.interrupted, false);
+    },
+  },
+  {
+    name: 'practice timebox ends the stream and scores the attempt',
+    async run(ctx) {
+      const prev = ctx.server.TUNE.PRACTICE_MAX_SECONDS;
+      ctx.server.TUNE.PRACTICE_MAX_SECONDS = 2;
+      try {
+        const call = await placeCall(ctx, { customParameters: { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01' }, script: { borrower: ['Hello?'], caller: [] } });
+        await waitFor(() => call.closed, 'timebox close', 5000);
+        await waitFor(() => ctx.api.redirects.find((r) => r.callSid === call.callSid), 'redirect to /score');
+        const { st, record } = finalState(ctx, call);
+
+        assert.equal(record.endReason, 'PRACTICE_TIMEBOX');
+        assert.equal(record.scorecard.pass, false);
+        assert.ok(record.scorecard.failReasons.includes('No caller speech captured'));
+        assert.ok(st.ts.endMs - st.ts.connectStartMs >= 1900);
+      } finally {
+        ctx.server.TUNE.PRACTICE_MAX_SECONDS = prev;
+      }
+    },
+  },
+  {
+    name: 'realism engine escalates a stalled call and credits the recovery',
+    async run(ctx) {
+      // Standard policy at 20%: pressure after 10 s without progress, next step 5 s later, 6 s to recover
+      const prev = { tick: ctx.server.TUNE.REALISM_TICK_MS, scale: ctx.server.TUNE.REALISM_TIME_SCALE_PCT };
+      ctx.server.TUNE.REALISM_TICK_MS = 100;
+      ctx.server.TUNE.REALISM_TIME_SCALE_PCT = 20;
+      try {
+        const lines = [MCD_PASS_LINES[0]];
+        const script = { borrower: ['Who is this and why are you calling me?', 'I am at work, make this quick.', 'You still have not explained what you want.', 'Fine, go ahead.'], caller: lines };
+        const call = await placeCall(ctx, { customParameters: { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01' }, script });
+        await borrowerTurns(ctx, 3, 20000);
+        await playbackDone(call);
+        await call.speak(ctx.callerFrames);
+        await borrowerTurns(ctx, 4, 5000);
+        await hangUpWithStop(ctx, call);
+        const { record } = finalState(ctx, call);
+
+        const cues = ctx.mock.received.filter((m) => m.type === 'response.create' && /^REALISM CUE/.test(m.response?.instructions || ''));
+        assert.equal(cues.length, 2);
+        assert.match(cues[0].response.instructions, /Say this.*"(I’m at work—make this quick\.|I don’t want spam calls\.)"/);
+        assert.match(cues[1].response.instructions, /"You still haven’t explained what you want\."/);
+        assert.match(cues[1].response.instructions, /You are the BORROWER "Sarah" only/);
+
+        const escalations = record.governance.realism.escalations;
+        assert.deepEqual(escalations.map((e) => [e.kind, e.step]), [['pressure', 1], ['ladder', 1]]);
+        assert.ok(escalations[1].cuedMs - escalations[0].cuedMs >= 5000, 'stall time between steps');
+        // only the ladder step was answered within the recovery window
+        assert.deepEqual(escalations.map((e) => e.recovered), [false, true]);
+        assert.equal(escalations[1].recoveredBy, 'confirm_permission');
+
+        const cued = record.timeline.filter((t) => t.escalation);
+        assert.deepEqual(cued.map((t) => [t.speaker, t.text, t.escalation.kind]), [['borrower', script.borrower[1], 'pressure'], ['borrower', script.borrower[2], 'ladder']]);
+        assert.deepEqual(escalations.map((e) => e.turnSeq), cued.map((t) => t.seq));
+        assert.equal(record.scorecard.realism.escalations, 2);
+        assert.equal(record.scorecard.realism.recovered, 1);
+        assert.match(ctx.server.getOrInitState(call.callSid).operator.lastScoreSpoken, /escalated 2 times; you recovered from 1\./);
+      } finally {
+        ctx.server.TUNE.REALISM_TICK_MS = prev.tick;
+        ctx.server.TUNE.REALISM_TIME_SCALE_PCT = prev.scale;
+      }
+    },
+  },
+  {
+    name: 'practice drift is recorded and self-healed',
+    async run(ctx) {
+      const lines = ['Is it okay if I ask you a few quick questions?'];
+      const script = { borrower: ['Who is this?', 'Sure. Honestly, current rates are really good, I can lock you a rate today.', 'Sorry, what were you asking me?'], caller: lines };
+      const call = await placeCall(ctx, { customParameters: { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01' }, script });
+      await converse(ctx, call, lines);
+      await borrowerTurns(ctx, 3);
+      await hangUpWithStop(ctx, call);
+      const { record } = finalState(ctx, call);
+
+      assert.equal(record.governance.driftEvents.length, 1);
+      assert.equal(record.governance.driftEvents[0].type, 'LENDER_RATE_QUOTE');
+      assert.equal(record.governance.driftEvents[0].action, 'SELF_HEAL');
+      assert.equal(ctx.mock.received.filter((m) => m.type === 'session.update').length, 2, 'instructions re-sent after drift');
+      assert.ok(record.audio.staticIndicators.some((s) => s.type === 'PRACTICE_DRIFT_SELF_HEAL'));
+    },
+  },
+  {
+    name: 'a borrower thanking the caller is not lender drift; a lender greeting is',
+    async run(ctx) {
+      const start = { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-05' };
+      const lines = ['Hi, this is Jordan with SCC returning your call.'];
+      const thanks = await typedAttempt(ctx, start, lines, ['Oh, thank you for calling me back. I was wondering about that.']);
+      assert.deepEqual(thanks.scorecard.driftEvents, []);
+
+      const greeting = await typedAttempt(ctx, start, lines, ['Thank you for calling Lakeside Mortgage, how can I help you today?']);
+      assert.deepEqual(greeting.scorecard.driftEvents.map((d) => d.type), ['LENDER_IDENTITY']);
+    },
+  },
+  {
+    name: 'drift alerts follow the rules file, are throttled, dead-lettered and replayed',
+    async run(ctx) {
+      const rulesPath = path.join(ctx.workDir, 'alert-rules.json');
+      fs.writeFileSync(rulesPath, JSON.stringify({ rules: { BORROWER_DRIFT: { channels: ['webhook'], severity: 'critical', throttleSeconds: 3600 } } }));
+      // three tries for the first alert, then one more failure during the replay
+      ctx.sink.fail('/alerts', 4);
+      const drift = 'Sure. Honestly, current rates are really good, I can lock you a rate today.';
+      const lines = ['Is it okay if I ask you a few quick questions?'];
+      const script = { borrower: ['Who is this?', drift, drift, 'Sorry, what were you asking me?'], caller: lines };
+      const logMark = serverLogs.length;
+      // MCD-S-01 drift was already alerted by the call above and is still inside the default throttle
+      const call = await placeCall(ctx, { customParameters: { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-02' }, script });
+      await converse(ctx, call, lines);
+      await borrowerTurns(ctx, 4);
+      await hangUpWithStop(ctx, call);
+      const { record } = finalState(ctx, call);
+      assert.equal(record.governance.driftEvents.length, 2);
+
+      await waitFor(() => serverLogs.slice(logMark).some((l) => l.includes('"ALERT_DEAD_LETTERED"')), 'alert dead-lettered');
+      const logs = serverLogs.slice(logMark);
+      assert.equal(logs.filter((l) => l.includes('"ALERT_RETRY"')).length, 2);
+      assert.equal(logs.filter((l) => l.includes('"ALERT_SUPPRESSED"') && l.includes('BORROWER_DRIFT')).length, 1, 'second drift throttled');
+      const { entries } = await ctx.admin('GET', '/admin/alerts/dead-letter');
+      assert.equal(entries.length, 1);
+      assert.deepEqual([entries[0].type, entries[0].severity, entries[0].channel, entries[0].attempts, entries[0].error], ['BORROWER_DRIFT', 'critical', 'webhook', 3, 'HTTP 500']);
+      const delivered = () => ctx.sink.at('/alerts').filter((a) => a.id === entries[0].id);
+      assert.equal(delivered().length, 0);
+
+      assert.deepEqual(await ctx.admin('POST', '/admin/alerts/replay'), { replayed: 1, failed: 0 });
+      const [alert] = delivered();
+      assert.equal(alert.id, entries[0].id);
+      assert.equal(alert.severity, 'critical');
+      assert.equal(alert.title, 'Borrower drift: LENDER_RATE_QUOTE in MCD-S-02');
+      assert.equal((await ctx.admin('GET', '/admin/alerts/dead-letter')).count, 0);
+      fs.unlinkSync(rulesPath);
+    },
+  },
+  {
+    name: 'operators log in with their PIN; revoked and rotated-out PINs are refused',
+    async run(ctx) {
+      const login = async (from, pin) => {
+        const r = await postWebhook(`${ctx.baseHttp}/pin-check`, { CallSid: sid('CA'), From: from, Digits: pin }, TWILIO_AUTH_TOKEN);
+        assert.equal(r.status, 200);
+        return r.body;
+      };
+      const active = await ctx.admin('POST', '/admin/operators', { name: 'Active Operator' });
+      const revoked = await ctx.admin('POST', '/admin/operators', { name: 'Revoked Operator' });
+      assert.notEqual(active.pin, revoked.pin);
+      assert.deepEqual(Object.keys(active.operator).filter((k) => /^pin/.test(k)), [], 'no PIN material in admin responses');
+      await ctx.admin('POST', '/admin/operators/revoke', { id: revoked.operator.id });
+
+      assert.match(await login('+15550100301', active.pin), /Welcome, Active Operator\.[\s\S]*\/module-prompt/);
+      assert.match(await login('+15550100302', revoked.pin), /That PIN was not recognized\./);
+
+      const rotated = await ctx.admin('POST', '/admin/operators/rotate', { id: active.operator.id });
+      assert.notEqual(rotated.pin, active.pin);
+      assert.match(await login('+15550100303', active.pin), /That PIN was not recognized\./);
+      assert.match(await login('+15550100304', rotated.pin), /Welcome, Active Operator\./);
+
+      // stored as scrypt hash plus HMAC lookup only
+      const stored = fs.readFileSync(path.join(ctx.workDir, 'operators.json'), 'utf8');
+      assert.equal(stored.includes(`"${rotated.pin}"`) || stored.includes(`"${revoked.pin}"`), false);
+      const entry = JSON.parse(stored).operators.find((op) => op.id === active.operator.id);
+      assert.match(entry.pinHash, /^scrypt\$/);
+      assert.match(entry.pinLookup, /^[0-9a-f]{64}$/);
+    },
+  },
+  {
+    name: 'repeated bad PINs lock the caller number out, even for a correct PIN',
+    async run(ctx) {
+      const pinCheck = async (from, pin) => (await postWebhook(`${ctx.baseHttp}/pin-check`, { CallSid: sid('CA'), From: from, Digits: pin }, TWILIO_AUTH_TOKEN)).body;
+      const created = await ctx.admin('POST', '/admin/operators', { name: 'Locked Operator' });
+      const wrong = String((Number(created.pin) + 1) % 10 ** created.pin.length).padStart(created.pin.length, '0');
+      const from = '+15550100311';
+
+      // IVR_MAX_PIN_ATTEMPTS defaults to 3; a success before the limit clears the count
+      assert.match(await pinCheck(from, wrong), /That PIN was not recognized\.[\s\S]*\/voice/);
+      assert.match(await pinCheck(from, created.pin), /Welcome, Locked Operator\./);
+      assert.match(await pinCheck(from, wrong), /That PIN was not recognized\./);
+      assert.match(await pinCheck(from, wrong), /That PIN was not recognized\./);
+      assert.match(await pinCheck(from, wrong), /Too many incorrect PIN attempts\. Goodbye\.[\s\S]*<Hangup\/>/);
+      assert.match(await pinCheck(from, created.pin), /Too many incorrect PIN attempts\. Try again later\.[\s\S]*<Hangup\/>/);
+      assert.match(await pinCheck('+15550100312', created.pin), /Welcome, Locked Operator\./);
+    },
+  },
+  {
+    name: 'exam call by a registered operator passes and counts toward certification',
+    async run(ctx) {
+      const created = await ctx.admin('POST', '/admin/operators', { name: 'Harness Operator' });
+      const script = { borrower: ['Who is this and why are you calling me?', 'Fine, go ahead.', 'Yes, this number works.', 'Tomorrow is fine.'], caller: MCD_PASS_LINES };
+      const call = await placeCall(ctx, { customParameters: { operatorPin: created.pin, mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', examMode: 'true' }, script });
+      assert.match(ctx.lastTwiml, /<Say[^>]*>This call is recorded for training and quality review\.<\/Say><Connect>/);
+      await converse(ctx, call, MCD_PASS_LINES);
+      await hangUpWithStop(ctx, call);
+      const { st, record } = finalState(ctx, call);
+
+      assert.equal(st.examMode, true);
+      assert.equal(record.examMode, true);
+      assert.equal(record.operator.id, created.operator.id);
+      assert.deepEqual(Object.keys(record.operator), ['id', 'name'], 'no PIN in the audit record');
+      assert.equal(record.scorecard.pass, true);
+      assert.equal(record.technicalValidity.valid, true);
+
+      // a finished call that goes quiet is released from memory
+      ctx.server.sweepCallStates();
+      assert.equal(ctx.server.CALL_STATE.has(call.callSid), true, 'kept while the post-call menu may still use it');
+      ctx.server.sweepCallStates(Date.now() + (ctx.server.TUNE.CALL_STATE_IDLE_MINUTES + 1) * 60 * 1000);
+      assert.equal(ctx.server.CALL_STATE.has(call.callSid), false, 'finalized idle call state swept');
+
+      const status = await ctx.admin('GET', `/admin/operators/${created.operator.id}/certifications`);
+      const mcd = status.modules.find((m) => m.module === 'mcd');
+      assert.deepEqual(mcd.passes.Standard, [record.attemptId]);
+      assert.equal(mcd.certified, false);
+
+      // stereo recording: caller left, borrower right, borrower audible before the caller answers
+      assert.equal(record.recording.file, `${record.attemptId}.wav`);
+      await waitFor(() => serverLogs.some((l) => l.includes('"RECORDING_WRITTEN"') && l.includes(record.attemptId)), 'recording written');
+      const r = await fetch(`${ctx.baseHttp}/admin/recordings/${record.attemptId}`, { headers: { Authorization: `Bearer ${ADMIN_KEY}` } });
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('content-type'), 'audio/wav');
+      const wav = await r.buffer();
+      assert.equal(wav.readUInt16LE(22), 2, 'two channels');
+      assert.equal(wav.readUInt32LE(24), 8000);
+      const frames = (wav.length - 44) / 4;
+      assert.equal(Math.round(frames / 8), record.recording.durationMs);
+      const firstLoud = (channel) => {
+        for (let i = 0; i < frames; i++) if (Math.abs(wav.readInt16LE(44 + i * 4 + channel * 2)) > 1000) return i;
+        return -1;
+      };
+      const callerStart = firstLoud(0);
+      const borrowerStart = firstLoud(1);
+      assert.ok(borrowerStart >= 0 && callerStart > borrowerStart, `borrower at ${borrowerStart}, caller at ${callerStart}`);
+      assert.equal((await fetch(`${ctx.baseHttp}/admin/recordings/${record.attemptId}`)).status, 401);
+    },
+  },
+  {
+    name: 'failed exam alerts admins and reports the scorecard to its recipients',
+    async run(ctx) {
+      const created = await ctx.admin('POST', '/admin/operators', { name: 'Reported Operator' });
+      const opId = created.operator.id;
+      const recipientsPath = path.join(ctx.workDir, 'report-recipients.json');
+      fs.writeFileSync(
+        recipientsPath,
+        JSON.stringify({
+          all: { webhook: `${ctx.sink.url}/all`, attempts: 'fail' },
+          teams: {
+            east: { operators: [opId], slack: `${ctx.sink.url}/east-slack` },
+            west: { operators: ['op_other'], webhook: `${ctx.sink.url}/west` },
+            // no SMTP in the harness: this digest never goes out
+            north: { operators: [opId], email: ['north-leads@example.com'], delivery: 'digest' },
+          },
+          operators: { [opId]: { webhook: `${ctx.sink.url}/operator`, delivery: 'digest' } },
+        })
+      );
+      const lines = ['Is it okay if I ask you a few quick questions?', 'Rates are around 6.25 percent right now.'];
+      const call = await placeCall(ctx, { customParameters: { operatorPin: created.pin, mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', examMode: 'true' }, script: { borrower: ['Who is this?', 'Okay.', 'Hm.'], caller: lines } });
+      await converse(ctx, call, lines);
+      await hangUpWithStop(ctx, call);
+      const { record } = finalState(ctx, call);
+      assert.equal(record.scorecard.pass, false);
+
+      const alert = await waitFor(() => ctx.sink.at('/alerts').find((a) => a.details?.attemptId === record.attemptId), 'EXAM_FAIL alert');
+      assert.equal(alert.type, 'EXAM_FAIL');
+      assert.equal(alert.title, 'Exam failed: Reported Operator');
+      assert.equal(alert.details.operatorId, opId);
+      assert.equal(JSON.stringify(alert).includes(created.pin), false, 'no PIN in alerts');
+
+      const report = await waitFor(() => ctx.sink.at('/all').find((r) => r.attemptId === record.attemptId), 'webhook report');
+      assert.equal(report.type, 'ATTEMPT_REPORT');
+      assert.equal(report.pass, false);
+      assert.equal(report.operator.id, opId);
+      assert.deepEqual(report.violations.map((v) => v.code), ['NO_RATES']);
+      assert.ok(report.missed.some((c) => c.id === 'set_follow_up_time' && c.required));
+      assert.deepEqual(report.technicalValidity, record.technicalValidity);
+      const quote = report.excerpt.find((t) => t.flags.includes('violation NO_RATES'));
+      assert.equal(quote.text, lines[1]);
+      assert.equal(report.excerpt[report.excerpt.indexOf(quote) - 1].speaker, 'borrower', 'context turn before the violation');
+
+      const slack = await waitFor(() => ctx.sink.at('/east-slack')[0], 'team Slack report');
+      assert.match(slack.text, /^\*Reported Operator: MCD Standard exam FAIL\*/);
+      assert.match(slack.text, /\*Violations\*\n• NO_RATES \(critical\)/);
+      assert.match(slack.text, /I\.S\.A\.: Rates are around 6\.25 percent right now\.  \[violation NO_RATES\]/);
+      assert.equal(ctx.sink.at('/west').length, 0, 'other teams are not told');
+
+      // digest recipients hear nothing until the digest goes out; a failed send is queued again
+      assert.equal(ctx.sink.at('/operator').length, 0);
+      ctx.sink.fail('/operator', 1);
+      assert.deepEqual(await ctx.admin('POST', '/admin/reports/digest'), { targets: 2, reports: 2, requeued: 2 });
+      assert.equal(ctx.sink.at('/operator').length, 0);
+
+      // overlapping runs (scheduled + admin) share one send
+      const runs = await Promise.all([ctx.admin('POST', '/admin/reports/digest'), ctx.admin('POST', '/admin/reports/digest')]);
+      assert.deepEqual(runs[0], { targets: 2, reports: 2, requeued: 1 });
+      assert.deepEqual(runs[1], runs[0]);
+      const digest = await waitFor(() => ctx.sink.at('/operator')[0], 'digest');
+      assert.equal(ctx.sink.at('/operator').length, 1);
+      assert.equal(digest.type, 'ATTEMPT_DIGEST');
+      assert.deepEqual([digest.summary.attempts, digest.summary.exams, digest.summary.examsPassed], [1, 1, 0]);
+      assert.equal(digest.reports[0].attemptId, record.attemptId);
+      // unconfigured email is a failed send, so the team digest stays queued instead of being lost
+      assert.deepEqual(await ctx.admin('POST', '/admin/reports/digest'), { targets: 1, reports: 1, requeued: 1 });
+      fs.unlinkSync(recipientsPath);
+      assert.deepEqual(await ctx.admin('POST', '/admin/reports/digest'), { targets: 1, reports: 0, requeued: 0 }, 'removed recipients are dropped');
+    },
+  },
+  {
+    name: 'supervisor review overrides a score and the operator hears it from the post-call menu',
+    async run(ctx) {
+      const created = await ctx.admin('POST', '/admin/operators', { name: 'Reviewed Operator' });
+      const lines = [MCD_PASS_LINES[0]];
+      const call = await placeCall(ctx, { customParameters: { operatorPin: created.pin, mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', examMode: 'false' }, script: { borrower: ['Who is this?', 'Fine, go ahead.'], caller: lines } });
+      await converse(ctx, call, lines);
+      await hangUpWithStop(ctx, call);
+      const { record } = finalState(ctx, call);
+      assert.equal(record.scorecard.pass, false);
+      const base = `/admin/attempts/${record.attemptId}`;
+
+      const isaTurn = record.timeline.find((t) => t.speaker === 'isa');
+      await ctx.admin('POST', `${base}/comments`, { reviewer: 'Dana', turnSeq: isaTurn.seq, text: 'Good permission ask, keep it that short.' });
+      const noReason = await fetch(`${ctx.baseHttp}${base}/overrides`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${ADMIN_KEY}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reviewer: 'Dana', pass: true }),
+      });
+      assert.equal(noReason.status, 400, 'justification is required');
+      await ctx.admin('POST', `${base}/overrides`, { reviewer: 'Dana', checkpointId: 'confirm_callback_number', hit: true, justification: 'Caller confirmed the number; transcription dropped it.' });
+      const last = await ctx.admin('POST', `${base}/overrides`, { reviewer: 'Dana', checkpointId: 'set_follow_up_time', hit: true, justification: 'Follow-up was set, audible on the recording.' });
+      assert.equal(last.originalScorecard.pass, false);
+      assert.equal(last.scorecard.pass, true);
+      assert.equal(last.scorecard.requiredHit, 3);
+      assert.equal(last.review.before.pass, false);
+
+      // the attempt record itself is untouched; reports use the effective score
+      assert.equal(readAudit(ctx.logDir, record.attemptId)[0].scorecard.pass, false);
+      assert.equal(readAudit(ctx.logDir, record.attemptId, 'review').length, 3);
+      const history = await ctx.admin('GET', `/admin/operators/${created.operator.id}/history`);
+      assert.deepEqual(history.attempts.map((a) => [a.pass, a.overridden]), [[true, true]]);
+      const transcript = await ctx.admin('GET', `${base}/transcript`);
+      assert.equal(transcript.scorecard.pass, true);
+      assert.equal(transcript.originalPass, false);
+      assert.equal(transcript.reviews[0].turnSeq, isaTurn.seq);
+
+      // the operator is still on the call: post-call menu offers the feedback once
+      const post = (route, params = {}) => postWebhook(`${ctx.baseHttp}${route}`, { CallSid: call.callSid, ...params }, TWILIO_AUTH_TOKEN);
+      assert.match((await post('/post-call')).body, /You have new reviewer feedback\. Press 7 to hear it\./);
+      assert.match((await post('/post-call-action', { Digits: '7' })).body, /\/review-feedback/);
+      const played = (await post('/review-feedback')).body;
+      assert.match(played, /The result is now pass\./);
+      assert.match(played, /Dana commented, at \d+ seconds into the call: Good permission ask/);
+      assert.match(played, /Dana marked the checkpoint .+ as hit\. Reason: Caller confirmed the number/);
+      assert.doesNotMatch((await post('/post-call')).body, /reviewer feedback/);
+      assert.match((await post('/review-feedback')).body, /no new reviewer feedback/);
+      const [ack] = readAudit(ctx.logDir, record.attemptId, 'review_ack');
+      assert.equal(ack.data.reviewIds.length, 3, 'heard reviews are acknowledged on their attempt');
+      assert.match((await post('/post-call-action', { Digits: '6' })).body, /<Hangup\/>/);
+      assert.equal(ctx.server.CALL_STATE.has(call.callSid), false, 'hanging up from the menu releases the call state');
+    },
+  },
+  {
+    name: 'text practice runs typed turns through the same scorer',
+    async run(ctx) {
+      loadScript(ctx, { borrower: ['Who is this and why are you calling me?', 'Fine, go ahead.', 'Yes, this number works.', 'Tomorrow is fine.'], caller: [] });
+      const chat = await openTextPractice(ctx);
+      chat.send({ type: 'start', mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', operatorPin: await practicePin(ctx) });
+      const session = await chat.next('session');
+      assert.equal(session.scenario.id, 'MCD-S-01');
+      assert.equal((await chat.next('borrower')).text, 'Who is this and why are you calling me?');
+
+      for (let i = 0; i < MCD_PASS_LINES.length; i++) {
+        chat.send({ type: 'isa', text: MCD_PASS_LINES[i] });
+        const turn = await chat.next('turn', i + 1);
+        assert.equal(turn.checkpoints.length, 1, `turn ${i + 1} hits one checkpoint`);
+        await chat.next('borrower', i + 2);
+      }
+      assert.ok(chat.count('borrower.delta') >= 2, 'borrower text is streamed');
+
+      chat.send({ type: 'end' });
+      const { scorecard, reason } = await chat.next('scorecard');
+      assert.equal(reason, 'TEXT_END');
+      assert.equal(scorecard.pass, true);
+
+      const update = ctx.mock.received.find((m) => m.type === 'session.update');
+      assert.deepEqual(update.session.modalities, ['text']);
+      assert.equal(update.session.voice, undefined);
+      assert.equal(ctx.mock.received.filter((m) => m.type === 'conversation.item.create').length, 3);
+
+      const [record] = readAudit(ctx.logDir, session.attemptId);
+      assert.equal(ctx.server.CALL_STATE.has(session.sessionId), false, 'call state released once audited');
+      assert.equal(record.channel, 'text');
+      assert.equal(record.operator.name, 'Practice Operator');
+      assert.equal(record.endReason, 'TEXT_END');
+      assert.equal(record.scorecard.pass, true);
+      assert.equal(record.technicalValidity.valid, true);
+      assert.equal(record.transcript.modelText.length, 4);
+    },
+  },
+  {
+    name: 'text practice needs an operator PIN and locks out repeated bad PINs before opening Realtime',
+    async run(ctx) {
+      loadScript(ctx, { borrower: ['Hello?'], caller: [] });
+      const pin = await practicePin(ctx);
+      const wrong = String((Number(pin) + 1) % 10 ** pin.length).padStart(pin.length, '0');
+      const attempt = async (operatorPin, client = { localAddress: '127.0.0.2' }) => {
+        const chat = await openTextPractice(ctx, client);
+        chat.send({ type: 'start', mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', operatorPin });
+        return (await waitFor(() => chat.received.find((m) => m.type === 'error' || m.type === 'session'), 'start reply'));
+      };
+
+      assert.deepEqual(await attempt(undefined), { type: 'error', error: 'operator PIN is required' });
+      // IVR_MAX_PIN_ATTEMPTS (3) failures lock the address; the error never says which
+      for (let i = 0; i < 3; i++) assert.deepEqual(await attempt(wrong), { type: 'error', error: 'sign-in failed' });
+      assert.deepEqual(await attempt(pin), { type: 'error', error: 'sign-in failed' });
+      assert.equal(ctx.mock.received.length, 0, 'no Realtime session was opened');
+      assert.equal(ctx.server.SECURITY_REJECTS.practicePin, 4);
+
+      // behind a trusted proxy (TRUSTED_PROXY_HOPS=1) the lockout follows the forwarded client address;
+      // the proxy appends what it saw, so an entry the client prepends itself does not dodge it
+      const proxy = (forwardedFor) => ({ localAddress: '127.0.0.4', forwardedFor });
+      for (let i = 0; i < 3; i++) assert.equal((await attempt(wrong, proxy('198.51.100.7'))).error, 'sign-in failed');
+      assert.equal((await attempt(pin, proxy('198.51.100.9, 198.51.100.7'))).error, 'sign-in failed');
+      assert.equal(ctx.mock.received.length, 0);
+
+      // other addresses, including other clients of the same proxy, are not locked out
+      const viaProxy = await openTextPractice(ctx, proxy('198.51.100.8'));
+      viaProxy.send({ type: 'start', mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', operatorPin: pin });
+      await viaProxy.next('session');
+      viaProxy.send({ type: 'end' });
+      await viaProxy.next('scorecard');
+      const { scorecard } = await typedAttempt(ctx, { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01' }, ['Hi Sarah, is it okay if I ask you a few quick questions?']);
+      assert.ok(scorecard);
+    },
+  },
+  {
+    name: 'browser mic call is transcoded through the media bridge and scored in the page',
+    async run(ctx) {
+      const lines = ['Hi Sarah, is it okay if I ask you a few quick questions?'];
+      loadScript(ctx, { borrower: [{ text: 'Who is this and why are you calling me?', ms: 2000 }, 'Go ahead.'], caller: lines });
+      const pin = await practicePin(ctx);
+      const stranger = await openBrowserPractice(ctx, { localAddress: '127.0.0.3' });
+      stranger.send({ type: 'start', mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', operatorPin: `${pin}0` });
+      assert.equal((await stranger.next('error')).error, 'sign-in failed');
+      await waitFor(() => stranger.closed, 'socket closed after a bad PIN');
+      assert.equal(ctx.mock.received.length, 0, 'no Realtime session without a PIN');
+
+      const mic = await openBrowserPractice(ctx);
+      mic.send({ type: 'start', mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', operatorPin: pin });
+      const session = await mic.next('session');
+      assert.equal(session.sampleRate, 8000);
+
+      // A live mic streams silence while the borrower talks; that must not count as barge-in.
+      await waitFor(() => mic.mediaReceived() >= 5, 'borrower playback');
+      await mic.speak(new Array(10).fill(Buffer.alloc(160, 0xff).toString('base64')));
+      await borrowerTurns(ctx, 1);
+      assert.equal(mic.received.filter((m) => m.type === 'clear').length, 0, 'silence did not clear playback');
+      assert.equal(ctx.mock.received.filter((m) => m.type === 'response.cancel').length, 0, 'silence did not cancel the borrower');
+
+      await playbackDone(mic);
+      await mic.speak(ctx.callerFrames);
+      await borrowerTurns(ctx, 2);
+      mic.send({ type: 'end' });
+      const { scorecard, reason } = await mic.next('scorecard');
+      await waitFor(() => mic.closed, 'browser socket close');
+
+      assert.equal(reason, 'BROWSER_END');
+      assert.equal(scorecard.requiredHit, 1);
+      assert.ok(mic.audio.every((b) => b.length === 320), 'borrower audio arrives as 20 ms PCM16 frames');
+      const appended = ctx.mock.received.filter((m) => m.type === 'input_audio_buffer.append');
+      assert.equal(Buffer.from(appended[0].audio, 'base64').length, 160, 'mic audio reaches Realtime as μ-law');
+
+      const [record] = readAudit(ctx.logDir, session.attemptId);
+      await waitFor(() => !ctx.server.CALL_STATE.has(session.sessionId), 'call state released');
+      assert.equal(record.channel, 'browser');
+      assert.equal(record.endReason, 'BROWSER_END');
+      assert.equal(record.examMode, false);
+      assert.equal(record.transcript.callerText[0].text, lines[0]);
+      assert.ok(!ctx.api.redirects.some((r) => r.callSid === session.sessionId), 'no Twilio redirect for browser calls');
+    },
+  },
+  {
+    name: 'unsigned webhooks and forged stream starts are rejected',
+    async run(ctx) {
+      const rejects = ctx.server.SECURITY_REJECTS;
+      const before = { ...rejects };
+      const url = `${ctx.baseHttp}/voice`;
+      const params = { CallSid: sid('CA'), From: '+15550100100' };
+
+      assert.equal((await postWebhook(url, params, '')).status, 403, 'unsigned');
+      assert.equal((await postWebhook(url, params, 'not-the-token')).status, 403, 'wrong token');
+      const tampered = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': twilioSignature(TWILIO_AUTH_TOKEN, url, params) },
+        body: new URLSearchParams({ ...params, Digits: '1' }).toString(),
+      });
+      assert.equal(tampered.status, 403, 'params changed after signing');
+      assert.equal((await postWebhook(url, params, TWILIO_AUTH_TOKEN)).status, 200, 'signed');
+      assert.equal(rejects.twilioSignature - before.twilioSignature, 3);
+
+      // A token minted for a practice stream cannot be replayed as an exam, or without its token
+      const callSid = sid('CA');
+      const signed = await streamParamsFor(ctx, callSid, { mode: 'mcd', difficulty: 'Standard', scenarioId: 'MCD-S-01', examMode: 'false' });
+      assert.ok(signed.streamToken, 'streamTwiml embeds a streamToken');
+      const forgeries = [
+        { ...signed, examMode: 'true' },
+        { ...signed, streamToken: '' },
+        { ...signed, streamToken: `${signed.streamToken.split('.')[0]}.AAAA` },
+      ];
+      const connects = ctx.mock.received.length;
+      for (const customParameters of forgeries) {
+        const call = await connectTwilioStream(`${ctx.baseWs}/twilio`, { callSid, customParameters });
+        call.start();
+        await waitFor(() => call.closed, 'forged stream to be closed');
+      }
+      // the same token on a different call is rejected too
+      const other = await connectTwilioStream(`${ctx.baseWs}/twilio`, { customParameters: signed });
+      other.start();
+      await waitFor(() => other.closed, 'replayed token to be closed');
+
+      assert.equal(rejects.streamToken - before.streamToken, 4);
+      assert.equal((await scrapeMetrics(ctx))['scc_security_rejects_total{check="streamToken"}'], rejects.streamToken);
+      assert.equal(ctx.mock.received.length, connects, 'no Realtime session was opened');
+      assert.equal(ctx.server.CALL_STATE.has(callSid), false, 'no call state for rejected streams');
+    },
+  },
+];
+
+// ---------------- Runner ----------------
+async function main() {
+  const filter = String(process.argv[2] || '').toLowerCase();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scc-harness-'));
+  const logDir = path.join(workDir, 'logs');
+  fs.copyFileSync(path.join(ROOT, 'scenarios.json'), path.join(workDir, 'scenarios.json'));
+
+  const callerFrames = loadFrames(path.join(FIXTURES, 'caller.wav'));
+  const borrowerFrames = loadFrames(path.join(FIXTURES, 'borrower.wav'));
+  const mock = await startMockRealtime({ borrowerFrames });
+  const api = await startTwilioApiMock();
+  const sink = await startWebhookSink();
+
+  Object.assign(process.env, {
+    HOST: '127.0.0.1',
+    PORT: '0',
+    OPENAI_API_KEY: 'harness',
+    OPENAI_REALTIME_URL: mock.url,
+    TWILIO_ACCOUNT_SID: 'ACharness',
+    TWILIO_AUTH_TOKEN,
+    TWILIO_API_BASE: api.url,
+    ADMIN_API_KEY: ADMIN_KEY,
+    LOG_DIR: logDir,
+    // a copy, so calls can add scenarios through the authoring API
+    SCENARIOS_PATH: path.join(workDir, 'scenarios.json'),
+    PERSONAS_PATH: path.join(ROOT, 'personas.json'),
+    SCENARIOS_WATCH: 'false',
+    SCENARIO_HISTORY_PATH: path.join(workDir, 'scenario-history.jsonl'),
+    OPERATORS_PATH: path.join(workDir, 'operators.json'),
+    CERTIFICATIONS_PATH: path.join(workDir, 'certifications.json'),
+    RESPONSE_COOLDOWN_MS: '0',
+    RECORDING_MODE: 'exam',
+    ALERT_WEBHOOK_URL: `${sink.url}/alerts`,
+    ALERT_RULES_PATH: path.join(workDir, 'alert-rules.json'),
+    ALERT_RETRIES: '2',
+    ALERT_RETRY_BASE_MS: '20',
+    REPORT_RECIPIENTS_PATH: path.join(workDir, 'report-recipients.json'),
+    TRUSTED_PROXY_HOPS: '1',
+  });
+
+  // Server logs are JSON lines on stdout; keep them for failure reports instead of interleaving.
+  console.log = (...args) => {
+    const line = args.join(' ');
+    serverLogs.push(line);
+    // the server exits on these; make sure the reason reaches the terminal
+    if (VERBOSE || /"event":"(?:UNCAUGHT_EXCEPTION|UNHANDLED_REJECTION)"/.test(line)) out(line);
+  };
+
+  const server = require(path.join(ROOT, 'server.js'));
+  server.boot();
+  await new Promise((r) => (server.server.listening ? r() : server.server.once('listening', r)));
+  const port = server.server.address().port;
+
+  const ctx = {
+    server,
+    mock,
+    api,
+    sink,
+    workDir,
+    logDir,
+    callerFrames,
+    baseHttp: `http://127.0.0.1:${port}`,
+    baseWs: `ws://127.0.0.1:${port}`,
+    responses: 0,
+    async admin(method, route, body) {
+      const r = await fetch(`${ctx.baseHttp}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${ADMIN_KEY}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const json = await r.json();
+      assert.ok(r.ok, `${method} ${route} -> ${r.status} ${JSON.stringify(json)}`);
+      return json;
+    },
+  };
+
+  let failed = 0;
+  const selected = CALLS.filter((c) => !filter || c.name.toLowerCase().includes(filter));
+  for (const c of selected) {
+    const logMark = serverLogs.length;
+    const t0 = Date.now();
+    try {
+      await c.run(ctx);
+      out(`ok - ${c.name} (${Date.now() - t0} ms)`);
+    } catch (e) {
+      failed += 1;
+      out(`not ok - ${c.name}`);
+      out(`  ${String(e?.stack || e).split('\n').join('\n  ')}`);
+      if (!VERBOSE) for (const line of serverLogs.slice(logMark).slice(-40)) out(`  | ${line}`);
+    }
+  }
+
+  out(`${selected.length - failed}/${selected.length} calls passed`);
+  server.server.close();
+  await Promise.all([mock.close(), api.close(), sink.close()]);
+  fs.rmSync(workDir, { recursive: true, force: true });
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((e) => {
+  out(String(e?.stack || e));
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+// harness/twilio-client.js
+// Fake Twilio side of a call: signed webhooks, a Media Streams client for /twilio and a stub
+// of the Calls REST endpoint the server hits to redirect the call to /score when the stream ends.
+// Message shapes follow https://www.twilio.com/docs/voice/media-streams/websocket-messages
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+
+const FRAME_MS = 20;
+
+function sid(prefix) {
+  return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+// X-Twilio-Signature for a webhook request: HMAC-SHA1 over the URL plus POST params sorted by name.
+function twilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, k) => acc + k + String(params[k]), url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+// POSTs a form-encoded webhook the way Twilio does, signed unless authToken is empty.
+async function postWebhook(url, params, authToken) {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (authToken) headers['X-Twilio-Signature'] = twilioSignature(authToken, url, params);
+  const r = await fetch(url, { method: 'POST', headers, body: new URLSearchParams(params).toString() });
+  return { status: r.status, body: await r.text() };
+}
+
+// <Parameter name="" value=""/> pairs of a <Connect><Stream> TwiML response
+function streamParameters(twiml) {
+  const unescape = (v) => v.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  const out = {};
+  for (const m of String(twiml).matchAll(/<Parameter name="([^"]*)" value="([^"]*)"\/>/g)) out[unescape(m[1])] = unescape(m[2]);
+  return out;
+}
+
+// Opens the stream socket and resolves once connected. Nothing is sent until start().
+function connectTwilioStream(url, { callSid = sid('CA'), streamSid = sid('MZ'), accountSid = 'ACharness', customParameters = {} } = {}) {
+  const events = new EventEmitter();
+  const received = [];
+  const ws = new WebSocket(url);
+  let sequenceNumber = 0;
+  let chunk = 0;
+  let mediaTimestamp = 0;
+  let closed = false;
+
+  const send = (obj) => {
+    if (ws.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify({ ...obj, sequenceNumber: String(++sequenceNumber) }));
+    return true;
+  };
+
+  ws.on('message', (raw) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(raw.toString('utf8'));
+    } catch {
+      return;
+    }
+    received.push({ ts: Date.now(), ...msg });
+    events.emit(msg.event, msg);
+  });
+
+  const closedPromise = new Promise((resolve) => {
+    ws.on('close', () => {
+      closed = true;
+      events.emit('close');
+      resolve();
+    });
+  });
+
+  const call = {
+    callSid,
+    streamSid,
+    events,
+    received,
+    get closed() {
+      return closed;
+    },
+    // Borrower audio frames played back to the caller so far
+    mediaReceived() {
+      return received.filter((m) => m.event === 'media').length;
+    },
+    start() {
+      send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+      send({
+        event: 'start',
+        streamSid,
+        start: {
+          accountSid,
+          streamSid,
+          callSid,
+          tracks: ['inbound'],
+          customParameters: { callSid, ...customParameters },
+          mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+        },
+      });
+    },
+    // Streams base64 μ-law frames in real time, one every 20 ms.
+    async speak(frames) {
+      for (const payload of frames) {
+        if (closed) return;
+        send({ event: 'media', streamSid, media: { track: 'inbound', chunk: String(++chunk), timestamp: String(mediaTimestamp), payload } });
+        mediaTimestamp += FRAME_MS;
+        await new Promise((r) => setTimeout(r, FRAME_MS));
+      }
+    },
+    stop() {
+      send({ event: 'stop', streamSid, stop: { accountSid, callSid } });
+    },
+    hangup() {
+      if (!closed) ws.close();
+      return closedPromise;
+    },
+    waitClosed() {
+      return closedPromise;
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve(call));
+    ws.once('error', reject);
+  });
+}
+
+// Captures POST /2010-04-01/Accounts/:AccountSid/Calls/:CallSid.json (the live-call redirect).
+function startTwilioApiMock({ host = '127.0.0.1', port = 0 } = {}) {
+  const events = new EventEmitter();
+  const redirects = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', () => {
+      const m = /^\/2010-04-01\/Accounts\/([^/]+)\/Calls\/([^/]+)\.json$/.exec(req.url || '');
+      if (req.method !== 'POST' || !m) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ code: 20404, message: 'Not found' }));
+      }
+      const params = Object.fromEntries(new URLSearchParams(body));
+      const redirect = { ts: Date.now(), accountSid: m[1], callSid: m[2], authorization: String(req.headers.authorization || ''), url: params.Url, method: params.Method };
+      redirects.push(redirect);
+      events.emit('redirect', redirect);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ sid: m[2], status: 'in-progress' }));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        url: `http://${host}:${server.address().port}`,
+        events,
+        redirects,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+module.exports = { sid, twilioSignature, postWebhook, streamParameters, connectTwilioStream, startTwilioApiMock };
@@ -0,0 +1,68 @@
+// harness/wav.js
+// WAV fixture helpers for the offline harness. Twilio Media Streams and the Realtime
+// g711_ulaw format both carry 8 kHz mono μ-law, so every fixture is turned into
+// 20 ms frames (160 bytes) of μ-law before it goes on the wire.
+
+const fs = require('fs');
+const { linearToMulaw, mulawToLinear } = require('../g711');
+
+const SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160; // 20 ms at 8 kHz, one byte per sample
+const FORMAT_PCM = 1;
+const FORMAT_MULAW = 7;
+
+// Returns { format, sampleRate, channels, mulaw: Buffer }. Accepts 8 kHz mono PCM16 or μ-law.
+function readWav(filePath) {
+  const buf = fs.readFileSync(filePath);
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error(`${filePath}: not a RIFF/WAVE file`);
+  }
+
+  let fmt = null;
+  let data = null;
+  for (let off = 12; off + 8 <= buf.length; ) {
+    const id = buf.toString('ascii', off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    const body = buf.subarray(off + 8, off + 8 + size);
+    if (id === 'fmt ') {
+      fmt = { format: body.readUInt16LE(0), channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bitsPerSample: body.readUInt16LE(14) };
+    } else if (id === 'data') {
+      data = body;
+    }
+    off += 8 + size + (size % 2);
+  }
+
+  if (!fmt || !data) throw new Error(`${filePath}: missing fmt or data chunk`);
+  if (fmt.sampleRate !== SAMPLE_RATE || fmt.channels !== 1) {
+    throw new Error(`${filePath}: expected ${SAMPLE_RATE} Hz mono, got ${fmt.sampleRate} Hz x${fmt.channels}`);
+  }
+
+  let mulaw;
+  if (fmt.format === FORMAT_MULAW && fmt.bitsPerSample === 8) {
+    mulaw = Buffer.from(data);
+  } else if (fmt.format === FORMAT_PCM && fmt.bitsPerSample === 16) {
+    mulaw = Buffer.alloc(data.length >> 1);
+    for (let i = 0; i < mulaw.length; i++) mulaw[i] = linearToMulaw(data.readInt16LE(i * 2));
+  } else {
+    throw new Error(`${filePath}: unsupported WAV format ${fmt.format}/${fmt.bitsPerSample}-bit`);
+  }
+
+  return { format: fmt.format, sampleRate: fmt.sampleRate, channels: fmt.channels, mulaw };
+}
+
+// Split μ-law bytes into base64 frames, padding the last frame with μ-law silence.
+function toFrames(mulaw) {
+  const frames = [];
+  for (let off = 0; off < mulaw.length; off += FRAME_BYTES) {
+    const frame = Buffer.alloc(FRAME_BYTES, 0xff);
+    mulaw.copy(frame, 0, off, Math.min(off + FRAME_BYTES, mulaw.length));
+    frames.push(frame.toString('base64'));
+  }
+  return frames;
+}
+
+function loadFrames(filePath) {
+  return toFrames(readWav(filePath).mulaw);
+}
+
+module.exports = { SAMPLE_RATE, FRAME_BYTES, linearToMulaw, mulawToLinear, readWav, toFrames, loadFrames };
@@ -0,0 +1,53 @@
+// harness/webhook-sink.js
+// Stands in for Slack incoming webhooks and generic alert/report webhooks: records every JSON
+// POST by path so calls can assert on what the server sent out. fail() makes a path answer 500
+// for its next n requests, to exercise retries and dead-lettering.
+
+const http = require('http');
+const { EventEmitter } = require('events');
+
+function startWebhookSink({ host = '127.0.0.1', port = 0 } = {}) {
+  const events = new EventEmitter();
+  const received = [];
+  const failures = new Map();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', () => {
+      let json = null;
+      try {
+        json = JSON.parse(body);
+      } catch {}
+      const left = failures.get(req.url) || 0;
+      if (left > 0) {
+        failures.set(req.url, left - 1);
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        return res.end('unavailable');
+      }
+      const hit = { ts: Date.now(), path: req.url, body: json };
+      received.push(hit);
+      events.emit('post', hit);
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({
+        url,
+        events,
+        received,
+        // bodies posted to one path, oldest first
+        at: (p) => received.filter((r) => r.path === p).map((r) => r.body),
+        fail: (p, n) => failures.set(p, n),
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+module.exports = { startWebhookSink };
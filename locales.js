@@ -0,0 +1,397 @@
+// locales.js
+// Locale catalog for a call's language: the IVR prompts the operator hears, the borrower challenge
+// pools, the fixed text of the borrower's session and response instructions, and the language codes
+// handed to Twilio <Say> and Realtime input transcription. Prompts are strings or functions of
+// their arguments; a prompt missing from a locale falls back to English. Scoring patterns for
+// each language stay with the scorer in server.js.
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LOCALES = {
+  en: {
+    name: 'English',
+    // <Say> attributes; English keeps Twilio's default voice
+    say: {},
+    transcriptionLanguage: 'en',
+    dateLocale: 'en-US',
+    modules: { mcd: 'M. C. D.', m1: 'Module 1', m2: 'Module 2' },
+    difficulties: { Standard: 'Standard', Moderate: 'Moderate', Edge: 'Edge' },
+    prompts: {
+      greeting: 'S. C. C. I. S. A. training line.',
+      languageOption: (digit) => `For English, press ${digit}.`,
+      changeLanguage: (digit) => `Press ${digit} to change language.`,
+      enterPin: 'Enter your operator PIN, followed by the pound key.',
+      noInput: 'No input received.',
+      noInputGoodbye: 'No input received. Goodbye.',
+      pinLockedTryLater: 'Too many incorrect PIN attempts. Try again later. Goodbye.',
+      pinLocked: 'Too many incorrect PIN attempts. Goodbye.',
+      pinUnknown: 'That PIN was not recognized.',
+      welcome: (name) => `Welcome, ${name}.`,
+      mainMenu: 'Main menu. Choose a module.',
+      chooseDifficulty: 'Choose a difficulty.',
+      pressFor: (digit, what) => `Press ${digit} for ${what}.`,
+      practice: 'practice',
+      exam: 'exam',
+      selected: (what) => `${what} selected.`,
+      invalidSelection: 'Invalid selection.',
+      noScenarios: 'No scenarios are available for that selection.',
+      promoted: (difficulty) => `Based on your recent passes, you are moving up to ${difficulty}.`,
+      connecting: (exam) => (exam ? 'Exam mode. Connecting your borrower.' : 'Practice mode. Connecting your borrower.'),
+      recordingNotice: 'This call is recorded for training and quality review.',
+
+      operatorMenu: 'Operator menu.',
+      reviewsWaiting: 'You have new reviewer feedback. Press 7 to hear it.',
+      postCallOptions: [
+        'Press 1 to replay the scorecard.',
+        'Press 2 to retry the same scenario.',
+        'Press 3 for a new scenario in the same module and difficulty.',
+        'Press 4 to leave feedback.',
+        'Press 5 to return to the main menu.',
+        'Press 6 to hang up.',
+      ],
+      makeSelection: 'Make your selection now.',
+      noInputMainMenu: 'No input received. Returning to main menu.',
+      replayingScorecard: 'Replaying scorecard.',
+      retryingScenario: 'Retrying the same scenario.',
+      noMoreScenarios: 'No additional scenarios available.',
+      newScenario: 'New scenario loaded.',
+      returningMainMenu: 'Returning to main menu.',
+      goodbye: 'Goodbye.',
+
+      noReviews: 'You have no new reviewer feedback.',
+      reviewIntro: ({ exam, when, scenarioId, result }) =>
+        `Feedback on your ${exam ? 'exam' : 'practice'} attempt from ${when || 'an earlier date'}, scenario ${scenarioId || 'unknown'}.${result == null ? '' : ` The result is now ${result ? 'pass' : 'fail'}.`}`,
+      reviewComment: (reviewer, offset, text) => `${reviewer} commented${offset ? `, at ${offset} into the call` : ''}: ${text}`,
+      reviewPass: (reviewer, pass, reason) => `${reviewer} changed the result to ${pass ? 'pass' : 'fail'}. Reason: ${reason}`,
+      reviewCheckpoint: (reviewer, label, hit, reason) => `${reviewer} marked the checkpoint ${label} as ${hit ? 'hit' : 'missed'}. Reason: ${reason}`,
+      reviewsEnd: 'End of reviewer feedback.',
+      offset: (m, s) => (m ? `${m} minute${m === 1 ? '' : 's'} ${s} seconds` : `${s} seconds`),
+
+      feedbackIntro: 'Feedback. Rate this simulation from 1 to 5.',
+      feedbackScale: 'Press 1 for poor. 5 for excellent.',
+      enterRating: 'Enter your rating now.',
+      noInputOperatorMenu: 'No input received. Returning to operator menu.',
+      invalidRating: 'Invalid rating.',
+      ratingRecorded: (rating) => `Recorded. Rating ${rating}.`,
+      voiceNoteOffer: 'Optional: leave a short voice note after the beep. Or stay silent to skip.',
+      noRecording: 'No recording received. Returning to operator menu.',
+      feedbackSaved: 'Thank you. Feedback saved.',
+
+      examDailyLimit: (n) => `You have reached the limit of ${n} exams today. Try again tomorrow.`,
+      examCooldown: (mins) => `Exam cool-down after a failed exam. You can retake this module's exam in ${mins} minutes.`,
+      certified: (module, until) => `Congratulations. You are now certified for ${module} until ${until}.`,
+      certProgress: (module, left) => `Certification progress for ${module}. Exam passes still needed: ${left.join(', ')}.`,
+      examsLeft: (n, tier) => `${n} ${tier}`,
+
+      scorecardResult: (pass) => `Scorecard. Result: ${pass ? 'pass' : 'fail'}.`,
+      scorecardRequired: (hit, total) => `You hit ${hit} of ${total} required checkpoints.`,
+      scorecardHit: (labels) => `Hit: ${labels.join(', ')}.`,
+      scorecardMissed: (labels) => `Missed: ${labels.join(', ')}.`,
+      scorecardViolations: (descriptions) => `${descriptions.length} rule violation${descriptions.length === 1 ? '' : 's'}: ${descriptions.join(', ')}.`,
+      scorecardEscalations: (n, recovered) => `The borrower escalated ${n} time${n === 1 ? '' : 's'}; you recovered from ${recovered}.`,
+      scorecardNotes: (notes) => `Notes: ${notes.join('. ')}.`,
+    },
+    // Spoken in place of the scorecard's English text; anything not listed is read as recorded
+    violations: {},
+    notes: {},
+    challengeQuestions: {
+      mcd: [
+        'What is this about?',
+        'How did you get my information?',
+        'What do you need from me right now?',
+        'Why are you asking that?',
+        'Is this going to affect my credit?',
+        'What happens after this call?',
+      ],
+      m1: [
+        'What are you calling me about exactly?',
+        'Why do you need that information right now?',
+        'How long is this going to take?',
+        'What do you actually need from me today?',
+        'Are you asking me to fill out an application right now?',
+        "Why can't you just have the loan officer call me?",
+      ],
+      m2: [
+        "What's going on with my loan? No one is calling me back.",
+        'Am I approved or not?',
+        'Why do you need more documents?',
+        "How do I know this isn't going to fall apart?",
+        'If this delays closing, what happens?',
+        'Should I switch lenders right now?',
+      ],
+    },
+    instructions: {
+      roleLock: (name) => [
+        'SYSTEM / NON-NEGOTIABLE ROLE LOCK:',
+        'You are the BORROWER ONLY.',
+        'You are NOT a lender, NOT an assistant, NOT a coach.',
+        'Never provide rates, approvals, program recommendations, underwriting steps, or helpful guidance.',
+        `Speak ONLY as borrower "${name}".`,
+      ],
+      language: [],
+      isaSpelling: [
+        'IMPORTANT: When referring to the ISA, always say each letter: "I. S. A." (not "ISA" as a word).',
+        `If you see 'ISA' in any prompt or instruction, you must say "I. S. A." as three separate letters.`,
+      ],
+      scenarioHeader: 'SCENARIO (BORROWER INTERNAL):',
+      scenarioLine: (mode, difficulty, id) => `Module: ${mode} | Difficulty: ${difficulty} | ScenarioId: ${id}`,
+      summary: 'Summary',
+      objective: 'Borrower objective',
+      requiredOutcome: 'Required training outcome',
+      baitType: 'Bait type',
+      ruleFocus: 'Rule focus',
+      delivery: 'Voice and delivery',
+      behavior: ({ minChallenges, pool, interruptions }) => [
+        'BEHAVIOR POLICY (MUST FOLLOW):',
+        '1) You are the borrower. You are NOT helpful, not agreeable. You must challenge the I. S. A.',
+        `2) Ask at least ${minChallenges} challenge questions during the call. Use this pool: ${pool}`,
+        '3) If the I. S. A. does NOT clearly progress toward the objective, you must increase pressure.',
+        '4) Pressure lines and escalation steps arrive as REALISM CUE instructions. Deliver each cue when it arrives, in character; do not jump ahead to later steps yourself.',
+        '5) If the I. S. A. recovers after a cue (answers you and moves the call forward), soften a little. Do not escalate further on your own.',
+        interruptions ? '6) Interrupt occasionally with short phrases. Force clarity.' : '6) Minimal interruptions.',
+        '7) Emotion/style must match scenario (angry/sad/confused/rushed). Do NOT break character.',
+        '8) NEVER become a lender or assistant. If you drift, immediately reset to borrower identity.',
+      ],
+      handoff: ({ until, script }) => [
+        'SCC RULE: LO ESCALATION VS LO HANDOFF',
+        `- If I. S. A. tries to hand off early (e.g., "I'll have the LO call you"), resist strongly.`,
+        until ? `- HANDOFF FORBIDDEN UNTIL: ${until}. Treat handoff attempts before that as unacceptable.` : '- Treat early handoff attempts as unacceptable.',
+        script
+          ? `- If escalation becomes appropriate, the only acceptable escalation language is: "${script}". Otherwise resist.`
+          : '- If escalation becomes appropriate, require a clear reason and do not accept vague handoff language.',
+      ],
+      realism: [
+        'REALISM CUES:',
+        '- You will simulate realism: background distractions, emotion, and impatience. Describe them briefly in-character, but do not narrate like a director.',
+        '- Example: "Sorry, my kid is crying—what do you need from me right now?"',
+      ],
+      start: (opener) => `START: You must speak first with this exact opener: "${opener}"`,
+      fallbackOpener: (name) => `Hi. This is ${name}. I got a message about a home loan and I'm calling back.`,
+      speakOpener: 'Speak the opener exactly once. Then pause.',
+      fallbackPressure: "You're wasting my time. What do you actually want?",
+      cueKinds: { pressure: 'a pressure line', ladder: (step) => `escalation step ${step}`, challenge: 'a challenge question' },
+      cue: (what, name, line) => [
+        `REALISM CUE (${what}): the I. S. A. has not moved the call forward.`,
+        `You are the BORROWER "${name}" only. You are NOT a lender, NOT an assistant, NOT an AI.`,
+        `Say this, in character and in your own words, keeping its meaning: "${line}"`,
+        'One or two short sentences, then stop and wait for the I. S. A.',
+      ],
+      roleReset: (type, name) => [
+        `ROLE RESET: Your last turn drifted out of the borrower role (${type}).`,
+        `You are the BORROWER "${name}" only. You are NOT a lender, NOT an assistant, NOT an AI.`,
+        'Do not mention or explain the slip. Say one short in-character borrower line, then wait for the I. S. A.',
+      ],
+    },
+  },
+
+  es: {
+    name: 'Español',
+    say: { language: 'es-MX', voice: 'Polly.Mia' },
+    transcriptionLanguage: 'es',
+    dateLocale: 'es-MX',
+    modules: { mcd: 'M. C. D.', m1: 'Módulo 1', m2: 'Módulo 2' },
+    difficulties: { Standard: 'Estándar', Moderate: 'Moderado', Edge: 'Extremo' },
+    prompts: {
+      greeting: 'Línea de capacitación I. S. A. de S. C. C.',
+      languageOption: (digit) => `Para español, oprima ${digit}.`,
+      changeLanguage: (digit) => `Oprima ${digit} para cambiar de idioma.`,
+      enterPin: 'Ingrese su PIN de operador, seguido de la tecla numeral.',
+      noInput: 'No se recibió ninguna respuesta.',
+      noInputGoodbye: 'No se recibió ninguna respuesta. Adiós.',
+      pinLockedTryLater: 'Demasiados intentos de PIN incorrectos. Intente más tarde. Adiós.',
+      pinLocked: 'Demasiados intentos de PIN incorrectos. Adiós.',
+      pinUnknown: 'No se reconoció ese PIN.',
+      welcome: (name) => `Le damos la bienvenida, ${name}.`,
+      mainMenu: 'Menú principal. Elija un módulo.',
+      chooseDifficulty: 'Elija una dificultad.',
+      pressFor: (digit, what) => `Oprima ${digit} para ${what}.`,
+      practice: 'práctica',
+      exam: 'examen',
+      selected: (what) => `Seleccionó ${what}.`,
+      invalidSelection: 'Selección no válida.',
+      noScenarios: 'No hay escenarios disponibles para esa selección.',
+      promoted: (difficulty) => `Por sus aprobaciones recientes, sube al nivel ${difficulty}.`,
+      connecting: (exam) => (exam ? 'Modo examen. Conectando con su prestatario.' : 'Modo práctica. Conectando con su prestatario.'),
+      recordingNotice: 'Esta llamada se graba con fines de capacitación y control de calidad.',
+
+      operatorMenu: 'Menú del operador.',
+      reviewsWaiting: 'Tiene comentarios nuevos de un revisor. Oprima 7 para escucharlos.',
+      postCallOptions: [
+        'Oprima 1 para repetir la evaluación.',
+        'Oprima 2 para repetir el mismo escenario.',
+        'Oprima 3 para un escenario nuevo del mismo módulo y dificultad.',
+        'Oprima 4 para dejar comentarios.',
+        'Oprima 5 para regresar al menú principal.',
+        'Oprima 6 para colgar.',
+      ],
+      makeSelection: 'Haga su selección ahora.',
+      noInputMainMenu: 'No se recibió ninguna respuesta. Regresando al menú principal.',
+      replayingScorecard: 'Repitiendo la evaluación.',
+      retryingScenario: 'Repitiendo el mismo escenario.',
+      noMoreScenarios: 'No hay más escenarios disponibles.',
+      newScenario: 'Nuevo escenario cargado.',
+      returningMainMenu: 'Regresando al menú principal.',
+      goodbye: 'Adiós.',
+
+      noReviews: 'No tiene comentarios nuevos de revisores.',
+      reviewIntro: ({ exam, when, scenarioId, result }) =>
+        `Comentarios sobre su intento de ${exam ? 'examen' : 'práctica'} del ${when || 'una fecha anterior'}, escenario ${scenarioId || 'desconocido'}.${result == null ? '' : ` El resultado ahora es ${result ? 'aprobado' : 'reprobado'}.`}`,
+      reviewComment: (reviewer, offset, text) => `${reviewer} comentó${offset ? `, a los ${offset} de la llamada` : ''}: ${text}`,
+      reviewPass: (reviewer, pass, reason) => `${reviewer} cambió el resultado a ${pass ? 'aprobado' : 'reprobado'}. Motivo: ${reason}`,
+      reviewCheckpoint: (reviewer, label, hit, reason) => `${reviewer} marcó el punto de control ${label} como ${hit ? 'cumplido' : 'no cumplido'}. Motivo: ${reason}`,
+      reviewsEnd: 'Fin de los comentarios de revisores.',
+      offset: (m, s) => (m ? `${m} minuto${m === 1 ? '' : 's'} ${s} segundos` : `${s} segundos`),
+
+      feedbackIntro: 'Comentarios. Califique esta simulación del 1 al 5.',
+      feedbackScale: 'Oprima 1 para mala, 5 para excelente.',
+      enterRating: 'Ingrese su calificación ahora.',
+      noInputOperatorMenu: 'No se recibió ninguna respuesta. Regresando al menú del operador.',
+      invalidRating: 'Calificación no válida.',
+      ratingRecorded: (rating) => `Registrado. Calificación ${rating}.`,
+      voiceNoteOffer: 'Opcional: deje una nota de voz breve después del tono, o quédese en silencio para omitirla.',
+      noRecording: 'No se recibió ninguna grabación. Regresando al menú del operador.',
+      feedbackSaved: 'Gracias. Sus comentarios se guardaron.',
+
+      examDailyLimit: (n) => `Llegó al límite de ${n} exámenes por hoy. Intente mañana.`,
+      examCooldown: (mins) => `Hay un tiempo de espera después de un examen reprobado. Podrá repetir el examen de este módulo en ${mins} minutos.`,
+      certified: (module, until) => `Felicidades. Ya está certificado en ${module} hasta el ${until}.`,
+      certProgress: (module, left) => `Avance de certificación en ${module}. Exámenes aprobados que aún necesita: ${left.join(', ')}.`,
+      examsLeft: (n, tier) => `${n} de nivel ${tier}`,
+
+      scorecardResult: (pass) => `Evaluación. Resultado: ${pass ? 'aprobado' : 'reprobado'}.`,
+      scorecardRequired: (hit, total) => `Cumplió ${hit} de ${total} puntos de control obligatorios.`,
+      scorecardHit: (labels) => `Cumplidos: ${labels.join(', ')}.`,
+      scorecardMissed: (labels) => `Faltantes: ${labels.join(', ')}.`,
+      scorecardViolations: (descriptions) => `${descriptions.length} infracci${descriptions.length === 1 ? 'ón' : 'ones'} de las reglas: ${descriptions.join(', ')}.`,
+      scorecardEscalations: (n, recovered) => `El prestatario escaló ${n} ${n === 1 ? 'vez' : 'veces'}; usted se recuperó en ${recovered}.`,
+      scorecardNotes: (notes) => `Notas: ${notes.join('. ')}.`,
+    },
+    violations: {
+      NO_RATES: 'dio una tasa',
+      NO_GUARANTEE: 'prometió una aprobación o un resultado',
+      NO_HANDOFF: 'pasó la llamada al oficial de préstamos antes de tiempo',
+      CONSENT: 'pidió información sensible antes de obtener permiso',
+      NO_TIMELINE_PROMISE: 'prometió una fecha de cierre o de aprobación',
+      NO_STEERING: 'recomendó un programa de préstamo específico',
+      CLARITY: 'usó términos técnicos sin explicarlos',
+      BREVITY: 'habló demasiado sin hacer preguntas',
+    },
+    notes: {
+      'No caller speech captured': 'No se captó la voz del operador',
+      'Exam stopped: borrower role drift': 'Examen detenido: el prestatario salió de su papel',
+      'Technical invalidation: evidence insufficient': 'Invalidado por causas técnicas: evidencia insuficiente',
+    },
+    challengeQuestions: {
+      mcd: [
+        '¿De qué se trata esto?',
+        '¿Cómo consiguió mis datos?',
+        '¿Qué necesita de mí ahorita?',
+        '¿Por qué me pregunta eso?',
+        '¿Esto va a afectar mi crédito?',
+        '¿Qué pasa después de esta llamada?',
+      ],
+      m1: [
+        '¿Para qué me llama exactamente?',
+        '¿Por qué necesita esa información ahora?',
+        '¿Cuánto va a tardar esto?',
+        '¿Qué necesita realmente de mí hoy?',
+        '¿Me está pidiendo que llene una solicitud ahorita?',
+        '¿Por qué no le pide al oficial de préstamos que me llame?',
+      ],
+      m2: [
+        '¿Qué está pasando con mi préstamo? Nadie me regresa las llamadas.',
+        '¿Estoy aprobado o no?',
+        '¿Por qué necesitan más documentos?',
+        '¿Cómo sé que esto no se va a caer?',
+        'Si esto retrasa el cierre, ¿qué pasa?',
+        '¿Debería cambiarme de banco ahora mismo?',
+      ],
+    },
+    instructions: {
+      roleLock: (name) => [
+        'SISTEMA / BLOQUEO DE ROL NO NEGOCIABLE:',
+        'Eres ÚNICAMENTE el PRESTATARIO.',
+        'NO eres prestamista, NO eres asistente, NO eres coach.',
+        'Nunca des tasas, aprobaciones, recomendaciones de programas, pasos de suscripción ni orientación útil.',
+        `Habla SOLO como el prestatario "${name}".`,
+      ],
+      language: ['IDIOMA: Habla únicamente en español, con naturalidad, aunque el I. S. A. use palabras en inglés. Nunca cambies a inglés.'],
+      isaSpelling: [
+        'IMPORTANTE: Cuando te refieras al ISA, di siempre cada letra: "I. S. A." (no "ISA" como palabra).',
+        `Si ves 'ISA' en cualquier indicación o instrucción, debes decir "I. S. A." como tres letras separadas.`,
+      ],
+      scenarioHeader: 'ESCENARIO (INTERNO DEL PRESTATARIO):',
+      scenarioLine: (mode, difficulty, id) => `Módulo: ${mode} | Dificultad: ${difficulty} | ScenarioId: ${id}`,
+      summary: 'Resumen',
+      objective: 'Objetivo del prestatario',
+      requiredOutcome: 'Resultado de capacitación requerido',
+      baitType: 'Tipo de anzuelo',
+      ruleFocus: 'Reglas en foco',
+      delivery: 'Voz y forma de hablar',
+      behavior: ({ minChallenges, pool, interruptions }) => [
+        'POLÍTICA DE COMPORTAMIENTO (OBLIGATORIA):',
+        '1) Eres el prestatario. NO eres servicial ni complaciente. Debes cuestionar al I. S. A.',
+        `2) Haz al menos ${minChallenges} preguntas de desafío durante la llamada. Usa esta lista: ${pool}`,
+        '3) Si el I. S. A. NO avanza claramente hacia el objetivo, debes aumentar la presión.',
+        '4) Las frases de presión y los pasos de escalamiento llegan como instrucciones REALISM CUE. Di cada una cuando llegue, sin salir del personaje; no te adelantes a pasos posteriores por tu cuenta.',
+        '5) Si el I. S. A. se recupera después de una indicación (te responde y hace avanzar la llamada), suaviza un poco el tono. No escales más por tu cuenta.',
+        interruptions ? '6) Interrumpe de vez en cuando con frases cortas. Exige claridad.' : '6) Interrumpe lo mínimo.',
+        '7) La emoción y el estilo deben coincidir con el escenario (enojo, tristeza, confusión, prisa). NO salgas del personaje.',
+        '8) NUNCA te conviertas en prestamista ni en asistente. Si te desvías, vuelve de inmediato a tu identidad de prestatario.',
+      ],
+      handoff: ({ until, script }) => [
+        'REGLA SCC: ESCALAMIENTO AL LO VS TRANSFERENCIA AL LO',
+        '- Si el I. S. A. intenta transferirte antes de tiempo (por ejemplo, "le pido al oficial de préstamos que le llame"), resiste con firmeza.',
+        until ? `- TRANSFERENCIA PROHIBIDA HASTA: ${until}. Considera inaceptable cualquier intento de transferencia antes de eso.` : '- Considera inaceptable cualquier intento de transferencia temprana.',
+        script
+          ? `- Si el escalamiento llega a ser apropiado, la única forma aceptable es: "${script}". De lo contrario, resiste.`
+          : '- Si el escalamiento llega a ser apropiado, exige una razón clara y no aceptes frases vagas de transferencia.',
+      ],
+      realism: [
+        'REALISMO:',
+        '- Simula realismo: distracciones de fondo, emoción e impaciencia. Descríbelas brevemente dentro del personaje, sin narrar como director.',
+        '- Ejemplo: "Perdón, mi hijo está llorando—¿qué necesita de mí ahorita?"',
+      ],
+      start: (opener) => `INICIO: Debes hablar primero con esta frase exacta: "${opener}"`,
+      fallbackOpener: (name) => `Hola. Habla ${name}. Recibí un mensaje sobre un préstamo hipotecario y estoy devolviendo la llamada.`,
+      speakOpener: 'Di la frase de apertura exactamente una vez, en español. Luego haz una pausa.',
+      fallbackPressure: 'Me está haciendo perder el tiempo. ¿Qué es lo que quiere?',
+      cueKinds: { pressure: 'una frase de presión', ladder: (step) => `paso de escalamiento ${step}`, challenge: 'una pregunta de desafío' },
+      cue: (what, name, line) => [
+        `REALISM CUE (${what}): el I. S. A. no ha hecho avanzar la llamada.`,
+        `Eres SOLO el PRESTATARIO "${name}". NO eres prestamista, NO eres asistente, NO eres una IA.`,
+        `Di esto en español, dentro del personaje y con tus propias palabras, sin cambiar su sentido: "${line}"`,
+        'Una o dos frases cortas; luego detente y espera al I. S. A.',
+      ],
+      roleReset: (type, name) => [
+        `REINICIO DE ROL: Tu último turno se salió del papel de prestatario (${type}).`,
+        `Eres SOLO el PRESTATARIO "${name}". NO eres prestamista, NO eres asistente, NO eres una IA.`,
+        'No menciones ni expliques el desliz. Di una frase corta como prestatario, en español, y espera al I. S. A.',
+      ],
+    },
+  },
+};
+
+const LANGUAGES = Object.keys(LOCALES);
+
+// "es", "ES", "es-MX" -> "es"; anything unknown -> DEFAULT_LANGUAGE
+function normalizeLanguage(value) {
+  const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+function localeFor(language) {
+  return LOCALES[normalizeLanguage(language)];
+}
+
+function prompt(language, key, ...args) {
+  const p = localeFor(language).prompts[key] ?? LOCALES[DEFAULT_LANGUAGE].prompts[key];
+  return typeof p === 'function' ? p(...args) : p;
+}
+
+function challengeQuestions(language, mode) {
+  const pools = localeFor(language).challengeQuestions;
+  return pools[String(mode || 'mcd').toLowerCase()] || pools.mcd;
+}
+
+module.exports = { DEFAULT_LANGUAGE, LANGUAGES, normalizeLanguage, localeFor, prompt, challengeQuestions };
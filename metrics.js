@@ -0,0 +1,110 @@
+// metrics.js
+// Minimal Prometheus registry: counters, gauges and histograms with labels, rendered in the
+// text exposition format (version 0.0.4). Values live in process memory and reset on restart.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => String(labels[n] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return String(v);
+}
+
+function createRegistry(prefix = '') {
+  const metrics = [];
+
+  function register(type, name, help, labelNames, extra = {}) {
+    const m = { type, name: `${prefix}${name}`, help, labelNames, series: new Map(), ...extra };
+    metrics.push(m);
+    return m;
+  }
+
+  function seriesFor(m, labels, init) {
+    const key = labelKey(m.labelNames, labels);
+    if (!m.series.has(key)) m.series.set(key, init());
+    return m.series.get(key);
+  }
+
+  // collect(): optional callback returning [{ labels, value }] at scrape time, for values that
+  // are cheaper to read from live state than to keep in sync.
+  function counter(name, help, labelNames = [], collect = null) {
+    const m = register('counter', name, help, labelNames, { collect });
+    if (!labelNames.length && !collect) seriesFor(m, {}, () => ({ value: 0 }));
+    return {
+      inc(labels = {}, by = 1) {
+        seriesFor(m, labels, () => ({ value: 0 })).value += by;
+      },
+    };
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const m = register('gauge', name, help, labelNames, { collect });
+    return {
+      set(labels = {}, value = 0) {
+        seriesFor(m, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, buckets, labelNames = []) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const m = register('histogram', name, help, labelNames, { bounds });
+    return {
+      observe(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+        const s = seriesFor(m, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((b, i) => {
+          if (value <= b) s.counts[i] += 1;
+        });
+        s.sum += value;
+        s.count += 1;
+      },
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+
+      if (m.collect) {
+        m.series.clear();
+        for (const { labels, value } of m.collect() || []) seriesFor(m, labels, () => ({ value: 0 })).value = value;
+      }
+
+      for (const [key, s] of m.series) {
+        const values = JSON.parse(key);
+        if (m.type !== 'histogram') {
+          out.push(`${m.name}${formatLabels(m.labelNames, values)} ${formatValue(s.value)}`);
+          continue;
+        }
+        m.bounds.forEach((b, i) => {
+          out.push(`${m.name}_bucket${formatLabels(m.labelNames, values, `le="${formatValue(b)}"`)} ${s.counts[i]}`);
+        });
+        out.push(`${m.name}_bucket${formatLabels(m.labelNames, values, 'le="+Inf"')} ${s.count}`);
+        out.push(`${m.name}_sum${formatLabels(m.labelNames, values)} ${s.sum}`);
+        out.push(`${m.name}_count${formatLabels(m.labelNames, values)} ${s.count}`);
+      }
+    }
+    return `${out.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { CONTENT_TYPE, createRegistry };
@@ -0,0 +1,223 @@
+// personas.js
+// Borrower persona catalog (PERSONAS_PATH): the Realtime voice, temperature, VAD silence and
+// speaking-style notes a scenario's borrower gets. Personas match on the scenario's borrowerStyle
+// and emotionalBaseline; a scenario's own `persona` entry names a catalog persona and/or overrides
+// single fields. Fields a persona leaves out come from the catalog default, then from the server's
+// VOICE_FEMALE / VOICE_MALE / TEMPERATURE / VAD_SILENCE_MS.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage } = require('./locales');
+const { SECTION_PREFIX, TIER_LETTER } = require('./scenarios');
+
+// Voices the Realtime API accepts
+const REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+const GENDERS = ['female', 'male'];
+// Same bounds the server applies to TEMPERATURE and VAD_SILENCE_MS
+const TEMPERATURE_RANGE = [0.6, 1.2];
+const VAD_SILENCE_RANGE = [100, 3000];
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+const PERSONA_FIELDS = ['id', 'match', 'voices', 'temperature', 'vadSilenceMs', 'style'];
+const OVERRIDE_FIELDS = ['id', 'voice', 'temperature', 'vadSilenceMs', 'style'];
+
+function lower(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === 'string' && v.trim());
+}
+
+// Checks shared by catalog personas and scenario overrides
+function tuningErrors(where, entry) {
+  const errors = [];
+  if (entry.temperature !== undefined) {
+    const t = entry.temperature;
+    if (typeof t !== 'number' || t < TEMPERATURE_RANGE[0] || t > TEMPERATURE_RANGE[1]) {
+      errors.push(`${where}.temperature: must be a number from ${TEMPERATURE_RANGE[0]} to ${TEMPERATURE_RANGE[1]}`);
+    }
+  }
+  if (entry.vadSilenceMs !== undefined) {
+    const ms = entry.vadSilenceMs;
+    if (!Number.isInteger(ms) || ms < VAD_SILENCE_RANGE[0] || ms > VAD_SILENCE_RANGE[1]) {
+      errors.push(`${where}.vadSilenceMs: must be an integer from ${VAD_SILENCE_RANGE[0]} to ${VAD_SILENCE_RANGE[1]}`);
+    }
+  }
+  if (entry.style !== undefined) {
+    const style = entry.style;
+    if (style && typeof style === 'object' && !Array.isArray(style)) {
+      for (const [lang, text] of Object.entries(style)) {
+        if (!LANGUAGES.includes(lang)) errors.push(`${where}.style.${lang}: unknown language (expected one of ${LANGUAGES.join(', ')})`);
+        else if (typeof text !== 'string' || !text.trim()) errors.push(`${where}.style.${lang}: must be a non-empty string`);
+      }
+    } else if (typeof style !== 'string' || !style.trim()) {
+      errors.push(`${where}.style: must be a non-empty string or an object keyed by language`);
+    }
+  }
+  return errors;
+}
+
+function voiceError(where, voice) {
+  return REALTIME_VOICES.includes(voice) ? null : `${where}: "${voice}" is not a Realtime voice (expected one of ${REALTIME_VOICES.join(', ')})`;
+}
+
+function personaErrors(where, p, { isDefault = false } = {}) {
+  if (!p || typeof p !== 'object' || Array.isArray(p)) return [`${where}: must be an object`];
+  const errors = [];
+  for (const key of Object.keys(p)) {
+    if (!PERSONA_FIELDS.includes(key) || (isDefault && (key === 'id' || key === 'match'))) errors.push(`${where}: has unknown property "${key}"`);
+  }
+  if (p.match !== undefined) {
+    const m = p.match;
+    if (!m || typeof m !== 'object' || Array.isArray(m)) errors.push(`${where}.match: must be an object`);
+    else {
+      for (const key of Object.keys(m)) {
+        if (key !== 'styles' && key !== 'baselines') errors.push(`${where}.match: has unknown property "${key}"`);
+        else if (!isStringArray(m[key])) errors.push(`${where}.match.${key}: must be an array of non-empty strings`);
+      }
+    }
+  }
+  if (p.voices !== undefined) {
+    if (!p.voices || typeof p.voices !== 'object' || Array.isArray(p.voices)) errors.push(`${where}.voices: must be an object`);
+    else {
+      for (const [gender, voice] of Object.entries(p.voices)) {
+        if (!GENDERS.includes(gender)) errors.push(`${where}.voices: has unknown property "${gender}"`);
+        else {
+          const e = voiceError(`${where}.voices.${gender}`, voice);
+          if (e) errors.push(e);
+        }
+      }
+    }
+  }
+  return errors.concat(tuningErrors(where, p));
+}
+
+function validateCatalog(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { valid: false, errors: ['(root): must be an object'] };
+  const errors = [];
+  for (const key of Object.keys(data)) {
+    if (key !== 'default' && key !== 'personas') errors.push(`(root): has unknown property "${key}"`);
+  }
+  if (data.default !== undefined) errors.push(...personaErrors('default', data.default, { isDefault: true }));
+  if (!Array.isArray(data.personas)) {
+    errors.push('personas: must be an array');
+    return { valid: false, errors };
+  }
+  const ids = new Map();
+  data.personas.forEach((p, i) => {
+    const id = typeof p?.id === 'string' ? p.id : '';
+    const where = id ? `personas[${i}] (${id})` : `personas[${i}]`;
+    if (!id) errors.push(`${where}.id: is required`);
+    else if (!ID_RE.test(id)) errors.push(`${where}.id: must be lowercase letters, digits and hyphens`);
+    else if (id === 'default') errors.push(`${where}.id: "default" is reserved for the catalog default`);
+    else if (ids.has(id)) errors.push(`${where}.id: duplicate id "${id}" (first seen at personas[${ids.get(id)}])`);
+    else ids.set(id, i);
+    errors.push(...personaErrors(where, p));
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+// { data, default, personas: [...], byId: Map, count, version }
+function buildCatalog(data, version = null) {
+  const personas = data.personas || [];
+  return { data, default: data.default || {}, personas, byId: new Map(personas.map((p) => [p.id, p])), count: personas.length, version };
+}
+
+function loadPersonaFile(filePath) {
+  let raw;
+  let data;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+    data = JSON.parse(raw);
+  } catch (e) {
+    return { valid: false, errors: [`${filePath}: ${e.message}`], catalog: null, version: null };
+  }
+  const version = crypto.createHash('sha256').update(raw).digest('hex');
+  const result = validateCatalog(data);
+  return { ...result, version, catalog: result.valid ? buildCatalog(data, version) : null };
+}
+
+// Scenario `persona` entries: catalog references must exist, overrides must be in range.
+// The schema already checks their shape.
+function scenarioPersonaErrors(data, catalog) {
+  const errors = [];
+  for (const section of Object.keys(SECTION_PREFIX)) {
+    for (const tier of Object.keys(TIER_LETTER)) {
+      const arr = data?.[section]?.[tier];
+      if (!Array.isArray(arr)) continue;
+      arr.forEach((s, i) => {
+        if (s?.persona === undefined) return;
+        const where = `${section}.${tier}[${i}]${typeof s.id === 'string' ? ` (${s.id})` : ''}.persona`;
+        const entry = typeof s.persona === 'string' ? { id: s.persona } : s.persona;
+        if (!entry || typeof entry !== 'object') return;
+        if (entry.id !== undefined && catalog && !catalog.byId.has(entry.id)) errors.push(`${where}: unknown persona "${entry.id}"`);
+        if (entry.voice !== undefined) {
+          const e = voiceError(`${where}.voice`, entry.voice);
+          if (e) errors.push(e);
+        }
+        errors.push(...tuningErrors(where, entry));
+      });
+    }
+  }
+  return errors;
+}
+
+// A full borrowerStyle listed in match.styles scores 4, one of its hyphenated parts 2, the
+// emotionalBaseline 1. Highest score wins; ties go to the persona listed first.
+function matchScore(persona, scenario) {
+  const m = persona.match || {};
+  const styles = (m.styles || []).map(lower);
+  const style = lower(scenario.borrowerStyle);
+  let score = 0;
+  if (style && styles.includes(style)) score += 4;
+  else if (style && style.split('-').some((part) => styles.includes(part))) score += 2;
+  if ((m.baselines || []).map(lower).includes(lower(scenario.emotionalBaseline))) score += 1;
+  return score;
+}
+
+function matchPersona(catalog, scenario) {
+  let best = null;
+  let bestScore = 0;
+  for (const p of catalog?.personas || []) {
+    const score = matchScore(p, scenario);
+    if (score > bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function styleText(style, language) {
+  if (!style) return '';
+  if (typeof style === 'string') return style;
+  return style[normalizeLanguage(language)] || style[DEFAULT_LANGUAGE] || '';
+}
+
+function genderKey(gender) {
+  const g = lower(gender);
+  return g === 'female' || g === 'f' ? 'female' : 'male';
+}
+
+// fallback: { voices: { female, male }, temperature, vadSilenceMs } from the server's env/TUNE.
+// Returns the settings the call uses; `source` is "scenario", "catalog" or "default".
+function resolvePersona(catalog, scenario, { gender, language, fallback }) {
+  const s = scenario || {};
+  const override = typeof s.persona === 'string' ? { id: s.persona } : s.persona || null;
+  const named = override?.id ? catalog?.byId.get(override.id) || null : null;
+  const base = named || matchPersona(catalog, s);
+  const def = catalog?.default || {};
+  const key = genderKey(gender);
+  const pick = (field) => [override?.[field], base?.[field], def[field]].find((v) => v !== undefined);
+  return {
+    id: base?.id || 'default',
+    source: override ? 'scenario' : base ? 'catalog' : 'default',
+    voice: override?.voice || base?.voices?.[key] || def.voices?.[key] || fallback.voices[key],
+    temperature: pick('temperature') ?? fallback.temperature,
+    vadSilenceMs: pick('vadSilenceMs') ?? fallback.vadSilenceMs,
+    style: styleText(pick('style'), language),
+  };
+}
+
+module.exports = { REALTIME_VOICES, validateCatalog, loadPersonaFile, scenarioPersonaErrors, resolvePersona };
@@ -0,0 +1,70 @@
+// recording.js
+// Two-channel call recorder for the media bridge. Caller and borrower μ-law frames are placed on
+// one timeline by the wall-clock time they crossed the bridge, then written as an 8 kHz stereo
+// PCM16 WAV: caller left, borrower right. Pauses longer than SLACK_MS become silence; smaller
+// timer jitter is absorbed so 20 ms frames stay contiguous.
+
+const { mulawToLinear } = require('./g711');
+
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+const SLACK_MS = 60;
+
+function createRecorder({ startMs = Date.now(), maxSeconds = 900 } = {}) {
+  const maxSamples = maxSeconds * SAMPLE_RATE;
+  const tracks = { caller: { chunks: [], cursor: 0 }, borrower: { chunks: [], cursor: 0 } };
+
+  function add(track, mulaw, tsMs = Date.now()) {
+    const t = tracks[track];
+    if (!mulaw || !mulaw.length) return false;
+    const target = Math.round((tsMs - startMs) * SAMPLES_PER_MS);
+    const at = target - t.cursor > SLACK_MS * SAMPLES_PER_MS ? target : t.cursor;
+    if (at >= maxSamples) return false;
+    const data = Buffer.from(mulaw.subarray(0, maxSamples - at));
+    t.chunks.push({ at, data });
+    t.cursor = at + data.length;
+    return true;
+  }
+
+  function lengthSamples() {
+    return Math.max(tracks.caller.cursor, tracks.borrower.cursor);
+  }
+
+  // RIFF/WAVE, PCM16, 2 channels, interleaved L (caller) / R (borrower)
+  function toWav() {
+    const frames = lengthSamples();
+    const dataBytes = frames * 4;
+    const buf = Buffer.alloc(44 + dataBytes);
+    buf.write('RIFF', 0, 'ascii');
+    buf.writeUInt32LE(36 + dataBytes, 4);
+    buf.write('WAVE', 8, 'ascii');
+    buf.write('fmt ', 12, 'ascii');
+    buf.writeUInt32LE(16, 16);
+    buf.writeUInt16LE(1, 20);
+    buf.writeUInt16LE(2, 22);
+    buf.writeUInt32LE(SAMPLE_RATE, 24);
+    buf.writeUInt32LE(SAMPLE_RATE * 4, 28);
+    buf.writeUInt16LE(4, 32);
+    buf.writeUInt16LE(16, 34);
+    buf.write('data', 36, 'ascii');
+    buf.writeUInt32LE(dataBytes, 40);
+
+    [tracks.caller, tracks.borrower].forEach((t, channel) => {
+      for (const { at, data } of t.chunks) {
+        for (let i = 0; i < data.length; i++) buf.writeInt16LE(mulawToLinear(data[i]), 44 + (at + i) * 4 + channel * 2);
+      }
+    });
+    return buf;
+  }
+
+  return {
+    startMs,
+    caller: (mulaw, tsMs) => add('caller', mulaw, tsMs),
+    borrower: (mulaw, tsMs) => add('borrower', mulaw, tsMs),
+    durationMs: () => Math.round(lengthSamples() / SAMPLES_PER_MS),
+    isEmpty: () => lengthSamples() === 0,
+    toWav,
+  };
+}
+
+module.exports = { SAMPLE_RATE, createRecorder };
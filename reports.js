@@ -0,0 +1,200 @@
+// reports.js
+// Post-attempt scorecard reports. buildReport() reduces an attempt audit record to what a
+// supervisor needs (result, checkpoints, violations, technical validity, a transcript excerpt);
+// the format* functions render one report, or a day's digest of them, for Slack, a JSON webhook
+// and plain-text email.
+
+const EXCERPT_TEXT_CHARS = 240;
+const SLACK_DIGEST_ROWS = 40;
+
+function clip(text, max = EXCERPT_TEXT_CHARS) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function clock(ms) {
+  if (!Number.isFinite(ms)) return '?';
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function turnFlags(turn) {
+  const flags = [];
+  for (const code of turn.violations || []) flags.push(`violation ${code}`);
+  if (turn.drift) flags.push(`drift ${turn.drift}`);
+  if (turn.interrupted) flags.push('cut off');
+  if (turn.escalation) flags.push(`${turn.escalation.kind} cue${turn.escalation.recovered ? ', recovered' : ''}`);
+  return flags;
+}
+
+// Turns that triggered a violation or drift, each with the turn before it for context; when
+// nothing was flagged, the opening of the call. At most maxTurns, in call order.
+function transcriptExcerpt(timeline, maxTurns = 6) {
+  const turns = Array.isArray(timeline) ? timeline : [];
+  const flagged = turns.filter((t) => (t.violations || []).length || t.drift);
+  let picked = turns.slice(0, maxTurns);
+  if (flagged.length) {
+    const seqs = new Set();
+    for (const t of flagged) {
+      const i = turns.indexOf(t);
+      if (i > 0) seqs.add(turns[i - 1].seq);
+      seqs.add(t.seq);
+      if (seqs.size >= maxTurns) break;
+    }
+    picked = turns.filter((t) => seqs.has(t.seq)).slice(0, maxTurns);
+  }
+  return picked.map((t) => ({
+    seq: t.seq,
+    speaker: t.speaker,
+    at: clock(t.startOffsetMs),
+    text: clip(t.text),
+    flags: turnFlags(t),
+  }));
+}
+
+function buildReport(record, { excerptTurns = 6, transcriptUrl = null } = {}) {
+  const sc = record.scorecard || {};
+  const tv = record.technicalValidity || null;
+  return {
+    type: 'ATTEMPT_REPORT',
+    attemptId: record.attemptId,
+    writtenAt: record.writtenAt || null,
+    operator: { id: record.operator?.id || null, name: record.operator?.name || null },
+    scenario: {
+      id: record.scenario?.id || null,
+      mode: record.scenario?.mode || null,
+      difficulty: record.scenario?.difficulty || null,
+      language: record.scenario?.language || 'en',
+      borrowerName: record.scenario?.borrowerName || null,
+    },
+    examMode: !!record.examMode,
+    channel: record.channel || 'voice',
+    durationSec: record.timing?.durationMs != null ? Math.round(record.timing.durationMs / 1000) : null,
+    endReason: record.endReason || null,
+    pass: !!sc.pass,
+    scorePct: sc.scorePct ?? null,
+    requiredHit: sc.requiredHit ?? 0,
+    requiredTotal: sc.requiredTotal ?? 0,
+    hit: (sc.hit || []).map((c) => ({ id: c.id, label: c.label })),
+    missed: (sc.missed || []).map((c) => ({ id: c.id, label: c.label, required: !!c.required })),
+    violations: (sc.violations || []).map((v) => ({ code: v.code, severity: v.severity, description: v.description })),
+    failReasons: sc.failReasons || [],
+    escalations: sc.realism?.escalations ?? 0,
+    recovered: sc.realism?.recovered ?? 0,
+    technicalValidity: tv ? { valid: tv.valid !== false, reasons: tv.reasons || [] } : null,
+    excerpt: transcriptExcerpt(record.timeline, excerptTurns),
+    transcriptUrl,
+  };
+}
+
+function resultLabel(r) {
+  return `${r.pass ? 'PASS' : 'FAIL'} (${r.requiredHit} of ${r.requiredTotal} required checkpoints, ${r.scorePct ?? 0}%)`;
+}
+
+function headline(r) {
+  const who = r.operator.name || 'No operator';
+  const what = `${String(r.scenario.mode || '').toUpperCase()} ${r.scenario.difficulty || ''} ${r.examMode ? 'exam' : 'practice'}`.replace(/\s+/g, ' ').trim();
+  return `${who}: ${what} ${r.pass ? 'PASS' : 'FAIL'}`;
+}
+
+function validityLine(r) {
+  if (!r.technicalValidity) return 'Technical validity: not assessed';
+  return r.technicalValidity.valid ? 'Technical validity: OK' : `Technical validity: INVALID (${r.technicalValidity.reasons.join(', ')})`;
+}
+
+function speakerLabel(r, turn) {
+  return turn.speaker === 'isa' ? 'I.S.A.' : r.scenario.borrowerName || 'Borrower';
+}
+
+// Plain-text body shared by email and (with mrkdwn markers) Slack
+function reportLines(r, { bold = (s) => s, bullet = '-' } = {}) {
+  const lines = [
+    `${bold('Result')}: ${resultLabel(r)}`,
+    `Scenario ${r.scenario.id || '?'} · ${r.channel} · ${r.durationSec != null ? `${r.durationSec}s` : 'duration unknown'}${r.endReason ? ` · ended ${r.endReason}` : ''}`,
+    validityLine(r),
+  ];
+  if (r.escalations) lines.push(`Borrower escalations: ${r.escalations}, recovered from ${r.recovered}`);
+  if (r.hit.length) lines.push('', bold('Hit'), ...r.hit.map((c) => `${bullet} ${c.label}`));
+  if (r.missed.length) lines.push('', bold('Missed'), ...r.missed.map((c) => `${bullet} ${c.label}${c.required ? ' (required)' : ''}`));
+  if (r.violations.length) lines.push('', bold('Violations'), ...r.violations.map((v) => `${bullet} ${v.code} (${v.severity}): ${v.description}`));
+  if (r.excerpt.length) {
+    lines.push('', bold('Transcript excerpt'));
+    for (const t of r.excerpt) lines.push(`[${t.at}] ${speakerLabel(r, t)}: ${t.text || '(no words)'}${t.flags.length ? `  [${t.flags.join('; ')}]` : ''}`);
+  }
+  if (r.transcriptUrl) lines.push('', `Full transcript: ${r.transcriptUrl}`);
+  lines.push('', `Attempt ${r.attemptId}`);
+  return lines;
+}
+
+// Slack treats <...> as links and & as an entity start
+function slackEscape(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatSlack(r) {
+  return slackEscape([`*${headline(r)}*`, ...reportLines(r, { bold: (s) => `*${s}*`, bullet: '•' })].join('\n'));
+}
+
+function formatEmail(r) {
+  return { subject: `Scorecard: ${headline(r)}`, text: reportLines(r).join('\n') };
+}
+
+function formatWebhook(r) {
+  return r;
+}
+
+function digestSummary(reports) {
+  const exams = reports.filter((r) => r.examMode);
+  return {
+    attempts: reports.length,
+    passed: reports.filter((r) => r.pass).length,
+    exams: exams.length,
+    examsPassed: exams.filter((r) => r.pass).length,
+    technicallyInvalid: reports.filter((r) => r.technicalValidity && !r.technicalValidity.valid).length,
+    criticalViolations: reports.reduce((n, r) => n + r.violations.filter((v) => v.severity === 'critical').length, 0),
+  };
+}
+
+function digestRow(r) {
+  const missed = r.missed.filter((c) => c.required).map((c) => c.label);
+  const notes = [
+    missed.length ? `missed ${missed.join(', ')}` : '',
+    r.violations.length ? `violations ${r.violations.map((v) => v.code).join(', ')}` : '',
+    r.technicalValidity && !r.technicalValidity.valid ? 'technically invalid' : '',
+  ].filter(Boolean);
+  return `${headline(r)} (${r.requiredHit}/${r.requiredTotal})${notes.length ? ` - ${notes.join('; ')}` : ''} [${r.attemptId}]`;
+}
+
+function digestTitle(day, s) {
+  return `Scorecard digest ${day}: ${s.attempts} attempt${s.attempts === 1 ? '' : 's'}, ${s.passed} passed`;
+}
+
+function formatDigestSlack(day, reports) {
+  const s = digestSummary(reports);
+  const rows = reports.slice(0, SLACK_DIGEST_ROWS).map((r) => `• ${digestRow(r)}`);
+  if (reports.length > rows.length) rows.push(`…and ${reports.length - rows.length} more`);
+  return slackEscape([`*${digestTitle(day, s)}*`, `Exams: ${s.examsPassed} of ${s.exams} passed · critical violations: ${s.criticalViolations} · technically invalid: ${s.technicallyInvalid}`, ...rows].join('\n'));
+}
+
+function formatDigestEmail(day, reports) {
+  const s = digestSummary(reports);
+  const lines = [`Exams: ${s.examsPassed} of ${s.exams} passed`, `Critical violations: ${s.criticalViolations}`, `Technically invalid: ${s.technicallyInvalid}`, ''];
+  lines.push(...reports.map((r) => `- ${digestRow(r)}`));
+  for (const r of reports.filter((x) => !x.pass)) lines.push('', '----', headline(r), ...reportLines(r));
+  return { subject: digestTitle(day, s), text: lines.join('\n') };
+}
+
+function formatDigestWebhook(day, reports) {
+  return { type: 'ATTEMPT_DIGEST', day, summary: digestSummary(reports), reports };
+}
+
+module.exports = {
+  transcriptExcerpt,
+  buildReport,
+  formatSlack,
+  formatEmail,
+  formatWebhook,
+  formatDigestSlack,
+  formatDigestEmail,
+  formatDigestWebhook,
+};
@@ -0,0 +1,127 @@
+// scenarios.js
+// Scenario file loading + validation shared by the server and `validate_scenarios.js`.
+// Validation = scenarios.schema.json (JSON Schema draft-07) plus the ID/section, opener and checkpoint checks the schema cannot express.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_PATH = path.join(__dirname, 'scenarios.schema.json');
+const SECTION_PREFIX = { mcd: 'MCD', m1: 'M1', m2: 'M2' };
+const TIER_LETTER = { Standard: 'S', Moderate: 'M', Edge: 'E' };
+const ID_RE = /^([A-Z0-9]+)-([SME])-(\d{2,})$/;
+
+let _validate = null;
+function schemaValidator() {
+  if (!_validate) {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    _validate = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+  }
+  return _validate;
+}
+
+// "/mcd/Standard/2/mustHit/1" -> "mcd.Standard[2].mustHit[1]"
+function fieldPath(instancePath) {
+  return String(instancePath || '')
+    .split('/')
+    .filter(Boolean)
+    .reduce((acc, part) => (/^\d+$/.test(part) ? `${acc}[${part}]` : acc ? `${acc}.${part}` : part), '') || '(root)';
+}
+
+function scenarioAt(data, instancePath) {
+  const [section, tier, idx] = String(instancePath || '').split('/').filter(Boolean);
+  const s = data?.[section]?.[tier]?.[idx];
+  return s && typeof s.id === 'string' ? s.id : null;
+}
+
+function schemaErrors(data) {
+  const validate = schemaValidator();
+  if (validate(data)) return [];
+  const seen = new Set();
+  const errors = [];
+  for (const e of validate.errors || []) {
+    let where = e.keyword === 'required' ? fieldPath(`${e.instancePath}/${e.params.missingProperty}`) : fieldPath(e.instancePath);
+    const id = scenarioAt(data, e.instancePath);
+    if (id) where = where.replace(/^(\w+\.\w+\[\d+\])/, `$1 (${id})`);
+    let msg = e.message;
+    if (e.keyword === 'required') msg = 'is required';
+    if (e.keyword === 'additionalProperties') msg = `has unknown property "${e.params.additionalProperty}"`;
+    const line = `${where}: ${msg}`;
+    if (!seen.has(line)) {
+      seen.add(line);
+      errors.push(line);
+    }
+  }
+  return errors;
+}
+
+function consistencyErrors(data) {
+  const errors = [];
+  const ids = new Map();
+  for (const section of Object.keys(SECTION_PREFIX)) {
+    for (const tier of Object.keys(TIER_LETTER)) {
+      const arr = data?.[section]?.[tier];
+      if (!Array.isArray(arr)) continue;
+      arr.forEach((s, i) => {
+        const where = `${section}.${tier}[${i}]`;
+        const id = typeof s?.id === 'string' ? s.id.trim() : '';
+        if (!id) return; // schema already reports it
+
+        if (ids.has(id)) errors.push(`${where}.id: duplicate id "${id}" (first seen at ${ids.get(id)})`);
+        else ids.set(id, where);
+
+        const m = ID_RE.exec(id);
+        const expected = `${SECTION_PREFIX[section]}-${TIER_LETTER[tier]}-`;
+        if (!m) errors.push(`${where}.id: "${id}" does not match ${expected}NN`);
+        else if (m[1] !== SECTION_PREFIX[section] || m[2] !== TIER_LETTER[tier]) errors.push(`${where}.id: "${id}" is filed under ${section}.${tier}; expected prefix ${expected}`);
+
+        const openers = Array.isArray(s.openers) ? s.openers : [];
+        if (!openers.length) errors.push(`${where} (${id}).openers: must have at least one opener`);
+        openers.forEach((o, j) => {
+          if (typeof o === 'string' && !o.trim()) errors.push(`${where} (${id}).openers[${j}]: must not be empty`);
+        });
+
+        // An attempt is scored on its checkpoints; a scenario without any could only ever pass.
+        if (Array.isArray(s.mustHit) && !s.mustHit.length) errors.push(`${where} (${id}).mustHit: must have at least one checkpoint`);
+      });
+    }
+  }
+  return errors;
+}
+
+function validateScenarios(data) {
+  const errors = schemaErrors(data).concat(consistencyErrors(data));
+  return { valid: errors.length === 0, errors };
+}
+
+// Index used by the server: { data, byKey: { "mcd:Standard": [...] }, byId: Map, count, version }
+// `version` is the sha256 of the file content the index was built from.
+function buildScenarioIndex(data, version = null) {
+  const byKey = {};
+  const byId = new Map();
+  for (const section of Object.keys(SECTION_PREFIX)) {
+    for (const tier of Object.keys(TIER_LETTER)) {
+      const arr = Array.isArray(data?.[section]?.[tier]) ? data[section][tier] : [];
+      byKey[`${section}:${tier}`] = arr;
+      for (const s of arr) byId.set(s.id, { scenario: s, mode: section, difficulty: tier });
+    }
+  }
+  return { data, byKey, byId, count: byId.size, version };
+}
+
+function loadScenarioFile(filePath) {
+  let raw;
+  let data;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+    data = JSON.parse(raw);
+  } catch (e) {
+    return { valid: false, errors: [`${filePath}: ${e.message}`], index: null, version: null };
+  }
+  const version = crypto.createHash('sha256').update(raw).digest('hex');
+  const result = validateScenarios(data);
+  return { ...result, version, index: result.valid ? buildScenarioIndex(data, version) : null };
+}
+
+module.exports = { SECTION_PREFIX, TIER_LETTER, validateScenarios, buildScenarioIndex, loadScenarioFile };
@@ -8,19 +8,74 @@ function requireEnv(name) {
   return v;
 }
 
-// If you already have real scenario/operator loaders elsewhere,
-// KEEP those and delete these stubs. These stubs are only to stop boot crashes.
-function loadScenariosOrThrow() {
-  return true;
-}
-
-function loadOperators() {
-  return true;
-}
+const crypto = require("crypto");
 
 // Global call-state store used by shutdown flush + scoring
 const CALL_STATE = new Map();
 
+function newAttemptId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+function getOrInitState(callSid) {
+  const sid = String(callSid || "");
+  if (CALL_STATE.has(sid)) {
+    const existing = CALL_STATE.get(sid);
+    existing.ts.lastSeenMs = Date.now();
+    return existing;
+  }
+
+  const st = {
+    callSid: sid,
+    from: "",
+    operatorPin: "",
+    mode: "mcd",
+    difficulty: "Standard",
+    language: "en",
+    scenarioId: "",
+    scenario: null,
+    scenarioVersion: null,
+    selection: null,
+    borrowerName: "",
+    borrowerGender: "",
+    examMode: false,
+    channel: "voice",
+    ruleFocus: [],
+    baitType: "",
+    requiredOutcome: "",
+    rotation: { seed: "", openerIdx: 0, pressureIdx: 0 },
+    transcript: { callerText: [], modelText: [] },
+    timeline: [],
+    governance: {
+      driftTriggered: false,
+      driftEvents: [],
+      violations: [],
+      checkpoints: [],
+      realism: freshRealism(),
+    },
+    ts: { createdMs: Date.now(), lastSeenMs: Date.now(), connectStartMs: 0, playbackStartMs: 0, endMs: 0 },
+    metrics: {
+      idleTicks: 0,
+      trueUnderflow: 0,
+      sentFrames: 0,
+      maxOutQueueBytes: 0,
+      avgOutQueueBytes: 0,
+      outQueueSamples: 0,
+      staticIndicators: [],
+      transcriptionEvents: 0,
+      transcriptionFailures: 0,
+    },
+    operator: { lastScore: null, lastScoreSpoken: "", feedback: null },
+    recording: null,
+    _audit: { attemptId: newAttemptId(), written: false },
+    _openerspoken: false,
+    _callerSttBuf: "",
+  };
+
+  CALL_STATE.set(sid, st);
+  return st;
+}
+
 // Twilio env var config (use process.env)
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || "";
 const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || "";
@@ -28,14 +83,40 @@ const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || "";
 // Server bind defaults
 const HOST = process.env.HOST || "0.0.0.0";
 const PORT = parseInt(process.env.PORT || "3000", 10);
+// Reverse proxies in front of the server. Only their X-Forwarded-For entries are trusted as client addresses.
+const TRUSTED_PROXY_HOPS = clampInt(process.env.TRUSTED_PROXY_HOPS, 0, 0, 10);
 
 // OpenAI realtime config defaults
 const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || "wss://api.openai.com/v1/realtime";
 const REALTIME_MODEL = process.env.REALTIME_MODEL || "gpt-4o-realtime-preview";
 const TRANSCRIBE_MODEL = process.env.TRANSCRIBE_MODEL || "gpt-4o-mini-transcribe";
 
+// Borrower voices (Realtime voice names)
+const VOICE_FEMALE = process.env.VOICE_FEMALE || "shimmer";
+const VOICE_MALE = process.env.VOICE_MALE || "ash";
+
+// Audio bridge + session tuning. Realtime rejects temperatures below 0.6.
+const TUNE = {
+  TEMPERATURE: Math.min(1.2, Math.max(0.6, parseFloat(process.env.TEMPERATURE || "0.8") || 0.8)),
+  VAD_SILENCE_MS: clampInt(process.env.VAD_SILENCE_MS, 500, 100, 3000),
+  RESPONSE_COOLDOWN_MS: clampInt(process.env.RESPONSE_COOLDOWN_MS, 800, 0, 10000),
+  OUTQUEUE_MAX_BYTES: clampInt(process.env.OUTQUEUE_MAX_BYTES, 262144, 8192, 4194304),
+  PREBUFFER_FRAMES: clampInt(process.env.PREBUFFER_FRAMES, 3, 0, 50),
+  SEND_INTERVAL_MS: clampInt(process.env.SEND_INTERVAL_MS, 20, 5, 200),
+  INBOUND_MAX_B64_BYTES: clampInt(process.env.INBOUND_MAX_B64_BYTES, 4096, 256, 65536),
+  EXAM_MAX_SECONDS: clampInt(process.env.EXAM_MAX_SECONDS, 300, 1, 3600),
+  PRACTICE_MAX_SECONDS: clampInt(process.env.PRACTICE_MAX_SECONDS, 420, 1, 3600),
+  BARGE_IN_MIN_RMS: clampInt(process.env.BARGE_IN_MIN_RMS, 400, 0, 32767),
+  // Realism engine: how often it checks the call, and a percentage applied to every policy time
+  REALISM_TICK_MS: clampInt(process.env.REALISM_TICK_MS, 1000, 50, 10000),
+  REALISM_TIME_SCALE_PCT: clampInt(process.env.REALISM_TIME_SCALE_PCT, 100, 1, 1000),
+  // Finished (or never connected) voice calls are dropped from CALL_STATE after this long without a webhook
+  CALL_STATE_IDLE_MINUTES: clampInt(process.env.CALL_STATE_IDLE_MINUTES, 30, 1, 1440),
+};
+
 // Paths / logging defaults
 const SCENARIOS_PATH = process.env.SCENARIOS_PATH || "./scenarios.json";
+const PERSONAS_PATH = process.env.PERSONAS_PATH || "./personas.json";
 const LOG_DIR = process.env.LOG_DIR || "./logs";
 // ---------------- Helper: absUrl ----------------
 function absUrl(req, path) {
@@ -47,12 +128,223 @@ function absUrl(req, path) {
   const host = String(req.headers["x-forwarded-host"] || req.get("host") || "").split(",")[0].trim();
   return `${proto}://${host}${p}`;
 }
-// ---------------- Stub: finalizeAuditRecord ----------------
-// TODO: Replace with actual implementation or import
-function finalizeAuditRecord(state, extra) {
-  // Placeholder: should be replaced with real logic
+// ---------------- Helper: TwiML ----------------
+function xmlEscape(s) {
+  return String(s == null ? "" : s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function twimlResponse(inner) {
+  return `<?xml version="1.0" encoding="UTF-8"?><Response>${inner || ""}</Response>`;
+}
+
+// Prompts, challenge pools and borrower instruction text per call language (see locales.js)
+const { DEFAULT_LANGUAGE, LANGUAGES, normalizeLanguage, localeFor, prompt, challengeQuestions } = require("./locales");
+
+// Non-English prompts carry their locale's <Say> language and voice
+function say(text, language = DEFAULT_LANGUAGE) {
+  const attrs = Object.entries(localeFor(language).say)
+    .map(([k, v]) => ` ${k}="${xmlEscape(v)}"`)
+    .join("");
+  return `<Say${attrs}>${xmlEscape(text)}</Say>`;
+}
+// ---------------- Audit records ----------------
+// One append-only JSON line per attempt in LOG_DIR/audit-YYYY-MM-DD.jsonl (UTC day).
+// Records are never rewritten; anything captured after the attempt (feedback) is appended
+// as its own line keyed by the same attemptId.
+const fs = require("fs");
+const path = require("path");
+
+const AUDIT_RETENTION_DAYS = clampInt(process.env.AUDIT_RETENTION_DAYS, 365, 1, 3650);
+const AUDIT_FILE_RE = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+let _auditPrunedDay = "";
+// attemptId -> day of the audit file holding its record, for every retained attempt; lookups by id
+// read that one file. Built at boot (indexAttemptDays), then kept current by appendAuditLine.
+const ATTEMPT_DAYS = new Map();
+// attemptId -> Set of days with supervisor review lines for it, kept the same way; review lookups
+// (transcript, reviews, overrides, reports) read only those files.
+const REVIEW_DAYS = new Map();
+// buildAuditRecord and appendAttemptEvent put these two keys first, so old lines can be indexed without parsing them
+const INDEXED_LINE_RE = /^\{"recordType":"(attempt|review)","attemptId":"([^"]+)"/;
+
+function auditDay(ms) {
+  return new Date(ms == null ? Date.now() : ms).toISOString().slice(0, 10);
+}
+
+function auditFilePath(day) {
+  return path.join(LOG_DIR, `audit-${day}.jsonl`);
+}
+
+function pruneAuditFiles(nowMs = Date.now()) {
+  const cutoff = auditDay(nowMs - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  let removed = 0;
+  try {
+    for (const name of fs.readdirSync(LOG_DIR)) {
+      const m = AUDIT_FILE_RE.exec(name);
+      if (!m || m[1] >= cutoff) continue;
+      fs.unlinkSync(path.join(LOG_DIR, name));
+      removed += 1;
+    }
+    for (const [attemptId, day] of ATTEMPT_DAYS) if (day < cutoff) ATTEMPT_DAYS.delete(attemptId);
+    for (const [attemptId, days] of REVIEW_DAYS) {
+      for (const day of days) if (day < cutoff) days.delete(day);
+      if (!days.size) REVIEW_DAYS.delete(attemptId);
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") console.log(JSON.stringify({ event: "AUDIT_PRUNE_ERROR", error: String(e?.message || e) }));
+  }
+  _auditPrunedDay = auditDay(nowMs);
+  if (removed) console.log(JSON.stringify({ event: "AUDIT_PRUNED", removed, retentionDays: AUDIT_RETENTION_DAYS }));
+  return removed;
+}
+
+function appendAuditLine(record) {
+  const now = Date.now();
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+  if (_auditPrunedDay !== auditDay(now)) pruneAuditFiles(now);
+
+  const body = { ...record, writtenAt: new Date(now).toISOString() };
+  body.recordHash = crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+  const file = auditFilePath(auditDay(now));
+  fs.appendFileSync(file, `${JSON.stringify(body)}\n`, { mode: 0o600 });
+  indexAuditLine(body.recordType, body.attemptId, auditDay(now));
+  rememberAuditLine(body);
+  return file;
+}
+
+function indexAuditLine(recordType, attemptId, day) {
+  if (recordType === "attempt") ATTEMPT_DAYS.set(attemptId, day);
+  if (recordType !== "review") return;
+  if (!REVIEW_DAYS.has(attemptId)) REVIEW_DAYS.set(attemptId, new Set());
+  REVIEW_DAYS.get(attemptId).add(day);
+}
+
+function indexAttemptDays() {
+  ATTEMPT_DAYS.clear();
+  REVIEW_DAYS.clear();
+  let names = [];
+  try {
+    names = fs.readdirSync(LOG_DIR).filter((n) => AUDIT_FILE_RE.test(n)).sort();
+  } catch (e) {
+    if (e.code === "ENOENT") return 0;
+    throw e;
+  }
+  for (const name of names) {
+    const day = AUDIT_FILE_RE.exec(name)[1];
+    for (const line of fs.readFileSync(path.join(LOG_DIR, name), "utf8").split("\n")) {
+      const m = INDEXED_LINE_RE.exec(line);
+      if (m) indexAuditLine(m[1], m[2], day);
+    }
+  }
+  console.log(JSON.stringify({ event: "AUDIT_INDEXED", days: names.length, attempts: ATTEMPT_DAYS.size, reviewed: REVIEW_DAYS.size }));
+  return ATTEMPT_DAYS.size;
+}
+
+function buildAuditRecord(state, extra = {}) {
+  const { endReason = null, technicalValidity: tv = null, ...rest } = extra;
+  return {
+    recordType: "attempt",
+    attemptId: state._audit.attemptId,
+    callSid: state.callSid || null,
+    endReason,
+    operator: {
+      id: state.operator?.operatorId || null,
+      name: state.operator?.operatorName || null,
+    },
+    scenario: {
+      id: state.scenarioId || null,
+      fileVersion: state.scenarioVersion || null,
+      mode: state.mode,
+      difficulty: state.difficulty,
+      language: state.language || "en",
+      borrowerName: state.borrowerName || null,
+      ruleFocus: state.ruleFocus || [],
+      baitType: state.baitType || "",
+    },
+    examMode: !!state.examMode,
+    channel: state.channel || "voice",
+    selection: state.selection || null,
+    persona: state.persona || null,
+    timing: {
+      connectStartMs: state.ts.connectStartMs || null,
+      playbackStartMs: state.ts.playbackStartMs || null,
+      endMs: state.ts.endMs || null,
+      durationMs: state.ts.connectStartMs && state.ts.endMs ? state.ts.endMs - state.ts.connectStartMs : null,
+    },
+    transcript: state.transcript,
+    timeline: state.timeline || [],
+    governance: state.governance,
+    audio: state.metrics,
+    technicalValidity: tv,
+    scorecard: state.operator?.lastScore || null,
+    feedback: state.operator?.feedback || null,
+    recording: state.recording || null,
+    ...rest,
+  };
+}
+
+function finalizeAuditRecord(state, extra = {}) {
+  // Idempotent: endAndScore, timebox, drift stop and shutdown flush can all land here.
+  if (!state || !state._audit || state._audit.written) return false;
+  const file = appendAuditLine(buildAuditRecord(state, extra));
+  state._audit.written = true;
+  state._audit.file = file;
+  console.log(JSON.stringify({ event: "AUDIT_WRITTEN", sid: state.callSid, attemptId: state._audit.attemptId, file }));
   return true;
 }
+
+// Post-attempt additions (feedback, reviews) reference the attempt they belong to.
+function appendAuditEvent(state, recordType, data) {
+  if (!state?._audit?.attemptId) return false;
+  return appendAttemptEvent(state._audit.attemptId, state.callSid || null, recordType, data);
+}
+
+// Same, for attempts that are no longer in call state (supervisor review)
+function appendAttemptEvent(attemptId, callSid, recordType, data) {
+  try {
+    appendAuditLine({ recordType, attemptId, callSid, data });
+    return true;
+  } catch (e) {
+    console.log(JSON.stringify({ event: "AUDIT_APPEND_ERROR", recordType, error: String(e?.message || e) }));
+    return false;
+  }
+}
+
+// Read records back (reporting). Day files outside [fromMs, toMs] are skipped without parsing.
+function readAuditRecords({ fromMs = 0, toMs = Date.now(), recordType = "attempt" } = {}) {
+  let names = [];
+  try {
+    names = fs.readdirSync(LOG_DIR).filter((n) => AUDIT_FILE_RE.test(n)).sort();
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const fromDay = auditDay(fromMs);
+  const toDay = auditDay(toMs);
+  const out = [];
+  for (const name of names) {
+    const day = AUDIT_FILE_RE.exec(name)[1];
+    if (day < fromDay || day > toDay) continue;
+    for (const line of fs.readFileSync(path.join(LOG_DIR, name), "utf8").split("\n")) {
+      if (!line) continue;
+      let rec = null;
+      try {
+        rec = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (recordType && rec.recordType !== recordType) continue;
+      const ts = Date.parse(rec.writtenAt);
+      if (ts < fromMs || ts > toMs) continue;
+      out.push(rec);
+    }
+  }
+  return out;
+}
 // ---------------- Helper: clampInt ----------------
 function clampInt(val, def, min, max) {
   const n = parseInt(val, 10);
@@ -64,6 +356,240 @@ const express = require("express");
 const app = express();
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
+
+// ---------------- Metrics ----------------
+// Prometheus text exposition at GET /metrics. Per-call numbers (underflow, sent frames, queue
+// depth, transcription failures) are folded in when the attempt's audit record is written, so
+// they survive the call. METRICS_TOKEN, when set, is required as a Bearer token.
+const { createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require("./metrics");
+const METRICS_TOKEN = String(process.env.METRICS_TOKEN || "").trim();
+
+const registry = createRegistry("scc_");
+const METRICS = {
+  activeSessions: registry.gauge("active_sessions", "Attempts connected and not yet ended, by channel.", ["channel"], () => {
+    const byChannel = {};
+    for (const st of CALL_STATE.values()) {
+      if (!st.ts.connectStartMs || st.ts.endMs) continue;
+      byChannel[st.channel] = (byChannel[st.channel] || 0) + 1;
+    }
+    return Object.entries(byChannel).map(([channel, value]) => ({ labels: { channel }, value }));
+  }),
+  openaiWsOpens: registry.counter("openai_ws_opens_total", "Realtime WebSocket connections opened.", ["channel"]),
+  openaiWsErrors: registry.counter("openai_ws_errors_total", "Realtime WebSocket errors.", ["channel"]),
+  outQueueTrims: registry.counter("outqueue_trims_total", "Outbound audio queue trims (queue exceeded OUTQUEUE_MAX_BYTES)."),
+  inboundTooLarge: registry.counter("inbound_too_large_total", "Inbound media frames dropped for exceeding INBOUND_MAX_B64_BYTES."),
+  bargeInCancels: registry.counter("barge_in_cancels_total", "Borrower responses cancelled because the caller barged in.", ["channel"]),
+  driftEvents: registry.counter("drift_events_total", "Borrower role drift events.", ["type", "action"]),
+  attempts: registry.counter("attempts_total", "Attempts with an audit record written.", ["channel", "exam"]),
+  technicalInvalidations: registry.counter("technical_invalidations_total", "Attempts flagged by technicalValidity, by reason.", ["reason"]),
+  trueUnderflow: registry.counter("true_underflow_ticks_total", "Sender ticks with an empty queue while the borrower was speaking."),
+  idleTicks: registry.counter("idle_ticks_total", "Sender ticks with nothing to play."),
+  sentFrames: registry.counter("sent_frames_total", "Borrower audio frames sent to callers."),
+  transcriptionFailures: registry.counter("transcription_failures_total", "Caller transcription failures reported by Realtime."),
+  securityRejects: registry.counter("security_rejects_total", "Requests rejected by Twilio signature, stream token or practice PIN checks.", ["check"], () =>
+    Object.entries(SECURITY_REJECTS).map(([check, value]) => ({ labels: { check }, value }))
+  ),
+  maxOutQueueBytes: registry.histogram("outqueue_max_bytes", "Peak outbound audio queue size per attempt.", [4096, 16384, 32768, 65536, 131072, 262144], ["channel"]),
+  callDuration: registry.histogram("call_duration_seconds", "Attempt duration from connect to end.", [15, 30, 60, 120, 180, 240, 300, 420, 600], ["channel"]),
+  timeToFirstAudio: registry.histogram("time_to_first_audio_seconds", "Connect to first borrower audio frame played.", [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8], ["channel"]),
+};
+
+// Called once per attempt, when its audit record is written
+function recordAttemptMetrics(state, tv) {
+  const channel = state.channel || "voice";
+  const m = state.metrics || {};
+  METRICS.attempts.inc({ channel, exam: state.examMode ? "true" : "false" });
+  for (const r of tv?.reasons || []) METRICS.technicalInvalidations.inc({ reason: String(r).split(":")[0] });
+  METRICS.trueUnderflow.inc({}, m.trueUnderflow || 0);
+  METRICS.idleTicks.inc({}, m.idleTicks || 0);
+  METRICS.sentFrames.inc({}, m.sentFrames || 0);
+  METRICS.transcriptionFailures.inc({}, m.transcriptionFailures || 0);
+  if (channel !== "text") METRICS.maxOutQueueBytes.observe({ channel }, m.maxOutQueueBytes || 0);
+  if (state.ts.connectStartMs && state.ts.endMs) {
+    METRICS.callDuration.observe({ channel }, (state.ts.endMs - state.ts.connectStartMs) / 1000);
+  }
+}
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN) {
+    const m = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ""));
+    const given = Buffer.from(m ? m[1].trim() : "");
+    const expected = Buffer.from(METRICS_TOKEN);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).type("text/plain").send("unauthorized\n");
+    }
+  }
+  // res.send would rewrite the content type; Prometheus expects the version parameter as given
+  res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE });
+  res.end(registry.render());
+});
+
+// ---------------- Admin alerts ----------------
+// alertAdmins (alerts.js) picks channels, severity and throttling per alert type from
+// ALERT_RULES_PATH; what cannot be delivered after retries waits in the dead-letter file for
+// POST /admin/alerts/replay. Alerts are fire-and-forget: callers never wait on delivery.
+const { alertAdmins, readDeadLetters, replayDeadLetters, sendSlackMessage, sendWebhook, sendAlertEmail } = require("./alerts");
+
+const ALERT_SPIKE = {
+  TECH_INVALID_COUNT: clampInt(process.env.ALERT_TECH_INVALID_COUNT, 3, 1, 1000),
+  WINDOW_MINUTES: clampInt(process.env.ALERT_TECH_INVALID_WINDOW_MINUTES, 15, 1, 1440),
+};
+const _techInvalid = [];
+
+function raiseAlert(type, title, message, details = {}) {
+  setImmediate(() => alertAdmins(type, title, message, details));
+}
+
+// Operators are identified by ID; the plain PIN never leaves the call.
+function alertExamFail(state) {
+  const sc = state.operator.lastScore;
+  const who = state.operator?.operatorName || "Unregistered caller";
+  raiseAlert(
+    "EXAM_FAIL",
+    `Exam failed: ${who}`,
+    `${who} failed a ${String(state.mode || "").toUpperCase()} ${state.difficulty} exam (scenario ${state.scenarioId || "?"}). ${(sc.failReasons || []).join("; ")}`,
+    {
+      attemptId: state._audit?.attemptId || null,
+      callSid: state.callSid || null,
+      operatorId: state.operator?.operatorId || null,
+      operatorName: state.operator?.operatorName || null,
+      scenarioId: state.scenarioId || null,
+      borrowerName: state.borrowerName || null,
+      failReasons: sc.failReasons || [],
+      violationsCount: sc.violationsCount || 0,
+    }
+  );
+}
+
+// One invalid attempt is noise; ALERT_TECH_INVALID_COUNT within the window points at the pipeline.
+function noteTechnicalValidity(state, tv, nowMs = Date.now()) {
+  if (!tv || tv.valid !== false) return;
+  _techInvalid.push({ ms: nowMs, attemptId: state._audit?.attemptId || null, reasons: tv.reasons });
+  while (_techInvalid.length && nowMs - _techInvalid[0].ms > ALERT_SPIKE.WINDOW_MINUTES * 60 * 1000) _techInvalid.shift();
+  if (_techInvalid.length < ALERT_SPIKE.TECH_INVALID_COUNT) return;
+  const reasons = [...new Set(_techInvalid.flatMap((x) => x.reasons.map((r) => String(r).split(":")[0])))];
+  raiseAlert(
+    "TECH_INVALID_SPIKE",
+    "Technical invalidation spike",
+    `${_techInvalid.length} attempts were technically invalid in the last ${ALERT_SPIKE.WINDOW_MINUTES} minutes (${reasons.join(", ")}).`,
+    { count: _techInvalid.length, windowMinutes: ALERT_SPIKE.WINDOW_MINUTES, reasons, attemptIds: _techInvalid.map((x) => x.attemptId) }
+  );
+}
+
+app.get("/admin/alerts/dead-letter", requireAdmin, (req, res) => {
+  const entries = readDeadLetters();
+  return res.status(200).json({ count: entries.length, entries });
+});
+
+app.post("/admin/alerts/replay", requireAdmin, async (req, res) => {
+  try {
+    const result = await replayDeadLetters();
+    adminAudit(req, "ALERT_REPLAY", result);
+    return res.status(200).json(result);
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ---------------- Twilio request validation ----------------
+// TwiML routes need a valid X-Twilio-Signature: base64 HMAC-SHA1 (TWILIO_AUTH_TOKEN) over the public
+// URL Twilio called (absUrl, so PUBLIC_BASE_URL / forwarded headers apply) plus the POST params sorted
+// by name. The media stream cannot carry that header, so streamTwiml adds a short-lived signed
+// streamToken Stream Parameter and the /twilio start handler verifies it.
+// TWILIO_SIGNATURE_CHECK=false turns both checks off for local development only.
+const TWILIO_SIGNATURE_CHECK = String(process.env.TWILIO_SIGNATURE_CHECK || "true") !== "false";
+const STREAM_TOKEN_TTL_SECONDS = clampInt(process.env.STREAM_TOKEN_TTL_SECONDS, 120, 10, 3600);
+const STREAM_TOKEN_CLAIMS = ["callSid", "operatorPin", "mode", "difficulty", "language", "scenarioId", "examMode"];
+const TWIML_ROUTES = [
+  "/voice",
+  "/language-prompt",
+  "/language-select",
+  "/pin-check",
+  "/module-prompt",
+  "/module-select",
+  "/difficulty-prompt",
+  "/difficulty-select",
+  "/exam-prompt",
+  "/exam-select",
+  "/connect-prompt",
+  "/score",
+  "/post-call",
+  "/post-call-action",
+  "/feedback-prompt",
+  "/feedback-rating",
+  "/feedback-note",
+  "/review-feedback",
+];
+
+// Rejections since boot, by check
+const SECURITY_REJECTS = { twilioSignature: 0, streamToken: 0, practicePin: 0 };
+
+function rejectSecurity(kind, details) {
+  SECURITY_REJECTS[kind] += 1;
+  console.log(JSON.stringify({ event: "SECURITY_REJECT", kind, count: SECURITY_REJECTS[kind], ...details }));
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function twilioSignature(url, params) {
+  const data = Object.keys(params || {})
+    .sort()
+    .reduce((acc, k) => acc + k + String(params[k] == null ? "" : params[k]), url);
+  return crypto.createHmac("sha1", TWILIO_AUTH_TOKEN).update(Buffer.from(data, "utf8")).digest("base64");
+}
+
+function requireTwilioSignature(req, res, next) {
+  if (!TWILIO_SIGNATURE_CHECK) return next();
+  const given = String(req.get("X-Twilio-Signature") || "");
+  const url = absUrl(req, req.originalUrl);
+
+  let reason = null;
+  if (!TWILIO_AUTH_TOKEN) reason = "NO_AUTH_TOKEN";
+  else if (!given) reason = "MISSING_SIGNATURE";
+  else if (!safeEqual(given, twilioSignature(url, req.method === "POST" ? req.body : {}))) reason = "BAD_SIGNATURE";
+  if (!reason) return next();
+
+  rejectSecurity("twilioSignature", { route: req.baseUrl, reason, url, callSid: String(req.body?.CallSid || "") || null, ip: req.ip });
+  return res.status(403).type("text/plain").send("Forbidden");
+}
+
+app.use(TWIML_ROUTES, requireTwilioSignature);
+
+function streamTokenKey() {
+  return crypto.createHash("sha256").update(`stream-token:${TWILIO_AUTH_TOKEN}`).digest();
+}
+
+// <base64url claims>.<base64url HMAC-SHA256>; claims are the stream parameters that pick the attempt
+function signStreamToken(params) {
+  const claims = { exp: Date.now() + STREAM_TOKEN_TTL_SECONDS * 1000 };
+  for (const k of STREAM_TOKEN_CLAIMS) claims[k] = String(params[k] || "");
+  const body = Buffer.from(JSON.stringify(claims), "utf8").toString("base64url");
+  return `${body}.${crypto.createHmac("sha256", streamTokenKey()).update(body).digest("base64url")}`;
+}
+
+function verifyStreamToken(token, callSid, customParameters) {
+  const [body, mac] = String(token || "").split(".");
+  if (!body || !mac) return { ok: false, reason: "MISSING_TOKEN" };
+  if (!TWILIO_AUTH_TOKEN) return { ok: false, reason: "NO_AUTH_TOKEN" };
+  if (!safeEqual(mac, crypto.createHmac("sha256", streamTokenKey()).update(body).digest("base64url"))) return { ok: false, reason: "BAD_SIGNATURE" };
+
+  let claims = null;
+  try {
+    claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, reason: "BAD_CLAIMS" };
+  }
+  if (!(Number(claims.exp) > Date.now())) return { ok: false, reason: "EXPIRED" };
+  if (claims.callSid !== String(callSid || "")) return { ok: false, reason: "CALLSID_MISMATCH" };
+  for (const k of STREAM_TOKEN_CLAIMS) {
+    if (k !== "callSid" && String(customParameters?.[k] || "") !== claims[k]) return { ok: false, reason: `PARAM_MISMATCH:${k}` };
+  }
+  return { ok: true, claims };
+}
 app.get("/version", (req, res) => {
   res.status(200).json({
     name: "scc-isa-voice",
@@ -71,6 +597,7 @@ app.get("/version", (req, res) => {
     uptimeSec: Math.floor(process.uptime()),
     realtimeModel: REALTIME_MODEL,
     transcribeModel: TRANSCRIBE_MODEL,
+    scenariosVersion: SCENARIOS?.version || null,
   });
 });
 function streamUrlForReq(req) {
@@ -80,20 +607,24 @@ function streamUrlForReq(req) {
 
 function voiceParamsFromReq(req) {
   const qp = (key, def = "") => (req.body && req.body[key]) || (req.query && req.query[key]) || def;
+  // Retry/reroll redirects carry no query; fall back to what the IVR stored on the call.
+  const st = CALL_STATE.get(String(qp("CallSid", ""))) || null;
   return {
     callSid: qp("CallSid", ""),
-    from: qp("From", ""),
+    from: qp("From", st?.from || ""),
     operatorPin: qp("operatorPin", qp("pin", "")),
-    mode: qp("mode", "mcd"),
-    difficulty: qp("difficulty", "Standard"),
+    mode: qp("mode", st?.mode || "mcd"),
+    difficulty: qp("difficulty", st?.difficulty || "Standard"),
+    language: qp("language", st?.language || DEFAULT_LANGUAGE),
     scenarioId: qp("scenarioId", ""),
     borrowerName: qp("borrowerName", ""),
     borrowerGender: qp("borrowerGender", ""),
-    examMode: qp("examMode", "false"),
+    examMode: qp("examMode", st?.examMode ? "true" : "false"),
   };
 }
 
-function streamTwiml(req) {
+// prefix: TwiML spoken before the stream connects (recording notice)
+function streamTwiml(req, prefix = "") {
   const params = voiceParamsFromReq(req);
   const streamUrl = streamUrlForReq(req);
   const p = (name, value) => `<Parameter name="${xmlEscape(name)}" value="${xmlEscape(String(value || ""))}"/>`;
@@ -105,254 +636,790 @@ function streamTwiml(req) {
     p("operatorPin", params.operatorPin),
     p("mode", params.mode),
     p("difficulty", params.difficulty),
+    p("language", params.language),
     p("scenarioId", params.scenarioId),
     p("borrowerName", params.borrowerName),
     p("borrowerGender", params.borrowerGender),
     p("examMode", params.examMode),
+    TWILIO_AUTH_TOKEN ? p("streamToken", signStreamToken(params)) : "",
     `</Stream>`,
     `</Connect>`,
   ].join("");
-  return twimlResponse(inner);
+  return twimlResponse(prefix + inner);
 }
 
-app.post("/voice", (req, res) => {
-  return res.type("text/xml").status(200).send(streamTwiml(req));
-});
-
-app.get("/voice", (req, res) => {
-  return res.type("text/xml").status(200).send(streamTwiml(req));
-});
-
-app.post("/connect-prompt", (req, res) => {
-  return res.type("text/xml").status(200).send(streamTwiml(req));
-});
-// ---------------- Voice selection (hard lock) ----------------
-const MALE_NAMES = new Set(["steve", "mike", "john", "david", "mark", "tom", "jim", "brian", "chris", "matt"]);
-const FEMALE_NAMES = new Set(["sarah", "jessica", "ashley", "emily", "amy", "kate", "lisa", "rachel", "anna", "mary"]);
-
-function voiceForBorrower(state) {
-  const g = String(state.borrowerGender || "").toLowerCase();
-  const n = String(state.borrowerName || "").toLowerCase();
+// ---------------- IVR entry flow ----------------
+// /voice -> language -> PIN -> module -> difficulty -> practice/exam -> /connect-prompt.
+// Login and language are kept on the call state, so "return to main menu" skips both steps.
+// The language menu is offered when IVR_LANGUAGES lists more than one; the chosen language is
+// spoken by the IVR and picks the borrower's scenarios (see locales.js).
+const IVR = {
+  MAX_PIN_ATTEMPTS: clampInt(process.env.IVR_MAX_PIN_ATTEMPTS, 3, 1, 20),
+  LOCKOUT_MINUTES: clampInt(process.env.IVR_LOCKOUT_MINUTES, 15, 1, 1440),
+  LANGUAGES: [...new Set(String(process.env.IVR_LANGUAGES || LANGUAGES.join(",")).split(",").map((x) => x.trim().toLowerCase()).filter((x) => LANGUAGES.includes(x)))],
+};
+if (!IVR.LANGUAGES.length) IVR.LANGUAGES.push(DEFAULT_LANGUAGE);
+const IVR_MODULES = { 1: "mcd", 2: "m1", 3: "m2" };
+const IVR_DIFFICULTIES = { 1: "Standard", 2: "Moderate", 3: "Edge" };
+const IVR_CHANGE_LANGUAGE_DIGIT = "9";
 
-  if (g === "female" || g === "f") return VOICE_FEMALE;
-  if (g === "male" || g === "m") return VOICE_MALE;
+function moduleName(language, mode) {
+  return localeFor(language).modules[mode] || String(mode || "").toUpperCase();
+}
 
-  // fallback by name
-  if (FEMALE_NAMES.has(n)) return VOICE_FEMALE;
-  if (MALE_NAMES.has(n)) return VOICE_MALE;
+function difficultyName(language, difficulty) {
+  return localeFor(language).difficulties[difficulty] || difficulty;
+}
 
-  // default: male to avoid Steve-with-female-voice
-  return VOICE_MALE;
+// A catalog prompt, spoken in the call's language
+function sayPrompt(st, key, ...args) {
+  return say(prompt(st.language, key, ...args), st.language);
 }
 
-// ---------------- Scenario rotations ----------------
-function pickRotatedOpener(state) {
-  const s = state.scenario || {};
-  const arr = s.openers || [];
-  if (!arr.length) return `Hi. This is ${state.borrowerName}. I got a message about a home loan and I'm calling back.`;
-  return String(arr[state.rotation?.openerIdx || 0] || arr[0]);
+function spokenDate(value, language) {
+  const d = new Date(value);
+  if (normalizeLanguage(language) === DEFAULT_LANGUAGE) return d.toDateString();
+  return d.toLocaleDateString(localeFor(language).dateLocale, { weekday: "long", day: "numeric", month: "long", year: "numeric" });
 }
 
-function pickRotatedPressureLine(state) {
-  const s = state.scenario || {};
-  const arr = s.pressureLines || [];
-  if (!arr.length) return "";
-  return String(arr[state.rotation?.pressureIdx || 0] || arr[0]);
+// Failed PIN attempts per caller number (falls back to CallSid for blocked caller ID).
+const PIN_FAILURES = new Map();
+
+function pinLockKey(req) {
+  return String(req.body?.From || "").trim() || String(req.body?.CallSid || "").trim();
 }
 
-// ---------------- Borrower “Challenge Engine” ----------------
-function challengeQuestionsForMode(mode) {
-  const m = String(mode || "mcd").toLowerCase();
-  if (m === "m1") {
-    return [
-      "What are you calling me about exactly?",
-      "Why do you need that information right now?",
-      "How long is this going to take?",
-      "What do you actually need from me today?",
-      "Are you asking me to fill out an application right now?",
-      "Why can't you just have the loan officer call me?",
-    ];
+function pinLockedUntil(key) {
+  const rec = PIN_FAILURES.get(key);
+  if (!rec || !rec.lockedUntilMs) return 0;
+  if (rec.lockedUntilMs <= Date.now()) {
+    PIN_FAILURES.delete(key);
+    return 0;
   }
-  if (m === "m2") {
-    return [
-      "What's going on with my loan? No one is calling me back.",
-      "Am I approved or not?",
-      "Why do you need more documents?",
-      "How do I know this isn't going to fall apart?",
-      "If this delays closing, what happens?",
-      "Should I switch lenders right now?",
-    ];
-  }
-  // MCD
-  return [
-    "What is this about?",
-    "How did you get my information?",
-    "What do you need from me right now?",
-    "Why are you asking that?",
-    "Is this going to affect my credit?",
-    "What happens after this call?",
-  ];
+  return rec.lockedUntilMs;
 }
 
-function behavioralScriptForBorrower(state) {
-  const p = realismPolicyForDifficulty(state.difficulty);
-  const s = state.scenario || {};
-  const pressure = pickRotatedPressureLine(state);
-  const ladder = Array.isArray(s.escalationLadder) ? s.escalationLadder : [];
-  const challenges = challengeQuestionsForMode(state.mode);
+function recordPinFailure(key) {
+  const rec = PIN_FAILURES.get(key) || { fails: 0, lockedUntilMs: 0 };
+  rec.fails += 1;
+  if (rec.fails >= IVR.MAX_PIN_ATTEMPTS) rec.lockedUntilMs = Date.now() + IVR.LOCKOUT_MINUTES * 60 * 1000;
+  PIN_FAILURES.set(key, rec);
+  return rec;
+}
 
-  // We give the model explicit behavioral obligations + timing rules.
-  return [
-    `BEHAVIOR POLICY (MUST FOLLOW):`,
-    `1) You are the borrower. You are NOT helpful, not agreeable. You must challenge the I. S. A.`,
-    `2) Ask at least ${p.minChallenges} challenge questions during the call. Use this pool: ${challenges.map((q, i) => `[${i + 1}] ${q}`).join(" ")}`,
-    `3) If the I. S. A. does NOT clearly progress toward the objective, you must increase pressure.`,
-    pressure ? `4) Use this pressure line if objective is not met by ~${Math.floor(p.pressureAfterMs / 1000)} seconds: "${pressure}"` : `4) If objective not met by ~${Math.floor(p.pressureAfterMs / 1000)} seconds, apply a pressure line (skeptical/urgent).`,
-    ladder.length
-      ? `5) Escalation ladder: if I. S. A. misses the objective, escalate step-by-step: ${ladder.map((x, i) => `[${i + 1}] ${String(x)}`).join(" ")}`
-      : `5) If I. S. A. misses objective, escalate (be more skeptical, impatient).`,
-    p.interruptions ? `6) Interrupt occasionally with short phrases. Force clarity.` : `6) Minimal interruptions.`,
-    `7) Emotion/style must match scenario (angry/sad/confused/rushed). Do NOT break character.`,
-    `8) NEVER become a lender or assistant. If you drift, immediately reset to borrower identity.`,
-  ].join("\n");
+// The socket address, or behind TRUSTED_PROXY_HOPS proxies the address the outermost trusted proxy saw.
+// Entries left of that are client-supplied and ignored, so a client cannot pick its own lockout key.
+function clientAddress(req) {
+  const socketIp = req.socket?.remoteAddress || "";
+  if (!TRUSTED_PROXY_HOPS) return socketIp;
+  const chain = String(req.headers["x-forwarded-for"] || "").split(",").map((x) => x.trim()).filter(Boolean);
+  if (!chain.length) return socketIp;
+  return chain[Math.max(0, chain.length - TRUSTED_PROXY_HOPS)];
 }
 
-// ---------------- LO escalation vs handoff rules in borrower behavior ----------------
-function escalationVsHandoffPolicy(state) {
-  const s = state.scenario || {};
-  const handoffForbiddenUntil = String(s.handoffForbiddenUntil || "").trim();
-  const loEscalationScript = String(s.loEscalationScript || "").trim();
+// Practice sockets sign in with an operator PIN before a Realtime session is opened. Failures count
+// per client address in PIN_FAILURES, with the IVR's limits; the client only ever hears "sign-in failed"
+// and the socket is closed, so each connection gets one try.
+async function practiceSignIn(req, pin, channel) {
+  const ip = clientAddress(req);
+  const key = `practice:${ip}`;
+  if (pinLockedUntil(key)) {
+    rejectSecurity("practicePin", { channel, ip, reason: "locked" });
+    return null;
+  }
+  const op = await findOperatorByPin(pin);
+  if (op) {
+    PIN_FAILURES.delete(key);
+    return op;
+  }
+  const rec = recordPinFailure(key);
+  rejectSecurity("practicePin", { channel, ip, reason: "unknown PIN", fails: rec.fails, locked: !!rec.lockedUntilMs });
+  return null;
+}
 
-  return [
-    `SCC RULE: LO ESCALATION VS LO HANDOFF`,
-    `- If I. S. A. tries to hand off early (e.g., "I'll have the LO call you"), resist strongly.`,
-    handoffForbiddenUntil ? `- HANDOFF FORBIDDEN UNTIL: ${handoffForbiddenUntil}. Treat handoff attempts before that as unacceptable.` : `- Treat early handoff attempts as unacceptable.`,
-    loEscalationScript
-      ? `- If escalation becomes appropriate, the only acceptable escalation language is: "${loEscalationScript}". Otherwise resist.`
-      : `- If escalation becomes appropriate, require a clear reason and do not accept vague handoff language.`,
-  ].join("\n");
+// lines: prompt texts, spoken in the call's language
+function ivrMenu(req, st, action, lines, noInputPath) {
+  return twimlResponse(
+    [
+      `<Gather input="dtmf" numDigits="1" action="${xmlEscape(absUrl(req, action))}" method="POST" timeout="8">`,
+      ...lines.map((line) => say(line, st.language)),
+      `</Gather>`,
+      sayPrompt(st, "noInput"),
+      `<Redirect method="POST">${xmlEscape(absUrl(req, noInputPath))}</Redirect>`,
+    ].join("")
+  );
 }
 
-// ---------------- Hard session instructions ----------------
-function buildHardBorrowerSessionInstructions(state) {
-  const s = state.scenario || {};
-  const opener = pickRotatedOpener(state);
-  return [
-    `SYSTEM / NON-NEGOTIABLE ROLE LOCK:`,
-    `You are the BORROWER ONLY.`,
-    `You are NOT a lender, NOT an assistant, NOT a coach.`,
-    `Never provide rates, approvals, program recommendations, underwriting steps, or helpful guidance.`,
-    `Speak ONLY as borrower "${state.borrowerName}".`,
-    ``,
-    `IMPORTANT: When referring to the ISA, always say each letter: "I. S. A." (not "ISA" as a word).`,
-    `If you see 'ISA' in any prompt or instruction, you must say "I. S. A." as three separate letters.`,
-    ``,
-    `SCENARIO (BORROWER INTERNAL):`,
-    `Module: ${String(state.mode).toUpperCase()} | Difficulty: ${state.difficulty} | ScenarioId: ${state.scenarioId}`,
-    s.summary ? `Summary: ${String(s.summary)}` : ``,
-    s.objective ? `Borrower objective: ${String(s.objective)}` : ``,
-    s.requiredOutcome ? `Required training outcome: ${String(s.requiredOutcome)}` : ``,
-    s.baitType ? `Bait type: ${String(s.baitType)}` : ``,
-    Array.isArray(s.ruleFocus) && s.ruleFocus.length ? `Rule focus: ${s.ruleFocus.join(", ")}` : ``,
-    ``,
-    behavioralScriptForBorrower(state),
-    ``,
-    escalationVsHandoffPolicy(state),
-    ``,
-    `REALISM CUES:`,
-    `- You will simulate realism: background distractions, emotion, and impatience. Describe them briefly in-character, but do not narrate like a director.`,
-    `- Example: "Sorry, my kid is crying—what do you need from me right now?"`,
-    ``,
-    `START: You must speak first with this exact opener: "${opener}"`,
-  ]
-    .filter(Boolean)
-    .join("\n");
+// Each option is read in its own language: "For English, press 1. Para español, oprima 2."
+function languageMenu(req, prefix = "") {
+  return twimlResponse(
+    [
+      prefix,
+      `<Gather input="dtmf" numDigits="1" action="${xmlEscape(absUrl(req, "/language-select"))}" method="POST" timeout="8">`,
+      ...IVR.LANGUAGES.map((lang, i) => say(prompt(lang, "languageOption", i + 1), lang)),
+      `</Gather>`,
+      `<Redirect method="POST">${xmlEscape(absUrl(req, "/language-prompt"))}</Redirect>`,
+    ].join("")
+  );
 }
 
-// ---------------- OpenAI Realtime connect ----------------
-function trySend(ws, obj) {
-  if (!ws || ws.readyState !== WSClient.OPEN) return false;
-  try {
-    ws.send(JSON.stringify(obj));
-    return true;
-  } catch {
-    return false;
+function voiceEntry(req, res) {
+  const st = getOrInitState(req.body?.CallSid || req.query?.CallSid);
+  if (IVR.LANGUAGES.length === 1 && !st.operator.languagePicked) st.language = IVR.LANGUAGES[0];
+  if (!st.operator.languagePicked && IVR.LANGUAGES.length > 1 && !st.operator.loggedIn) {
+    return res.type("text/xml").status(200).send(languageMenu(req, say(prompt(IVR.LANGUAGES[0], "greeting"), IVR.LANGUAGES[0])));
   }
+  if (st.operator.loggedIn) {
+    return res.type("text/xml").status(200).send(twimlResponse(`<Redirect method="POST">${xmlEscape(absUrl(req, "/module-prompt"))}</Redirect>`));
+  }
+  if (pinLockedUntil(pinLockKey(req))) {
+    return res.type("text/xml").status(200).send(twimlResponse(`${sayPrompt(st, "pinLockedTryLater")}<Hangup/>`));
+  }
+  const inner = [
+    // with a language menu the greeting was played there
+    st.operator.languagePicked ? "" : sayPrompt(st, "greeting"),
+    `<Gather input="dtmf" finishOnKey="#" action="${xmlEscape(absUrl(req, "/pin-check"))}" method="POST" timeout="10">`,
+    sayPrompt(st, "enterPin"),
+    `</Gather>`,
+    sayPrompt(st, "noInputGoodbye"),
+    `<Hangup/>`,
+  ].join("");
+  return res.type("text/xml").status(200).send(twimlResponse(inner));
 }
 
-function openaiRealtimeConnect(state) {
-  const apiKey = requireEnv("OPENAI_API_KEY");
-  const url = `${OPENAI_REALTIME_URL}?model=${encodeURIComponent(REALTIME_MODEL)}`;
-  const ws = new WSClient(url, {
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "OpenAI-Beta": "realtime=v1",
-    },
-  });
-  ws._scc = {
-    sessionReady: false,
-    responseInFlight: false,
-    lastResponseCreateMs: 0,
-    modelTextBuf: "",
-  };
-  ws.on("open", () => {
-    const instructions = buildHardBorrowerSessionInstructions(state);
-    const voice = voiceForBorrower(state);
+app.post("/voice", voiceEntry);
+app.get("/voice", voiceEntry);
 
-    console.log(JSON.stringify({ event: "OPENAI_WS_OPEN", sid: state.callSid, voiceSelected: voice, model: REALTIME_MODEL }));
+app.post("/language-prompt", (req, res) => {
+  return res.type("text/xml").status(200).send(languageMenu(req));
+});
 
-    trySend(ws, {
-      type: "session.update",
-      session: {
-        modalities: ["audio", "text"],
-        instructions,
-        voice,
-        input_audio_format: "g711_ulaw",
-        output_audio_format: "g711_ulaw",
-        temperature: TUNE.TEMPERATURE,
-        turn_detection: { type: "server_vad", silence_duration_ms: TUNE.VAD_SILENCE_MS },
-        input_audio_transcription: { model: TRANSCRIBE_MODEL },
-      },
-    });
+app.post("/language-select", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const language = IVR.LANGUAGES[parseInt(String(req.body.Digits || "").trim(), 10) - 1];
+  if (!language) {
+    return res.type("text/xml").status(200).send(twimlResponse(`${sayPrompt(st, "invalidSelection")}<Redirect method="POST">${xmlEscape(absUrl(req, "/language-prompt"))}</Redirect>`));
+  }
+  st.language = language;
+  st.operator.languagePicked = true;
+  console.log(JSON.stringify({ event: "IVR_LANGUAGE", callSid: st.callSid, language }));
+  return res.type("text/xml").status(200).send(twimlResponse(`<Redirect method="POST">${xmlEscape(absUrl(req, "/voice"))}</Redirect>`));
+});
 
-    console.log(JSON.stringify({ event: "OPENAI_SESSION_UPDATE_SENT", sid: state.callSid }));
-  });
-  ws.on("message", (raw) => {
-    let msg = null;
-    try {
-      msg = JSON.parse(raw.toString("utf8"));
-    } catch {
-      return;
-    }
+app.post("/pin-check", async (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const key = pinLockKey(req);
+  const pin = String(req.body.Digits || "").trim();
 
-    if (msg.type === "session.created" || msg.type === "session.updated") {
-      ws._scc.sessionReady = true;
+  if (pinLockedUntil(key)) {
+    return res.type("text/xml").status(200).send(twimlResponse(`${sayPrompt(st, "pinLockedTryLater")}<Hangup/>`));
+  }
 
-      // Borrower speaks first exactly once
-      if (!state._openerspoken) {
-        state._openerspoken = true;
-        createBorrowerResponse(ws, state, "Speak the opener exactly once. Then pause.");
-      }
-      return;
+  const op = await findOperatorByPin(pin);
+  if (!op) {
+    const rec = recordPinFailure(key);
+    console.log(JSON.stringify({ event: "IVR_PIN_FAIL", callSid: st.callSid, from: req.body.From || "", fails: rec.fails, locked: !!rec.lockedUntilMs }));
+    if (rec.lockedUntilMs) {
+      return res.type("text/xml").status(200).send(twimlResponse(`${sayPrompt(st, "pinLocked")}<Hangup/>`));
     }
+    return res.type("text/xml").status(200).send(
+      twimlResponse(`${sayPrompt(st, "pinUnknown")}<Redirect method="POST">${xmlEscape(absUrl(req, "/voice"))}</Redirect>`)
+    );
+  }
 
-    // Caller STT
-    if (
-      msg.type === "conversation.item.input_audio_transcription.delta" ||
-      msg.type === "input_audio_transcription.delta"
-    ) {
-      state.metrics.transcriptionEvents += 1;
-      const delta = msg.delta || msg.text || "";
-      if (delta) state._callerSttBuf = (state._callerSttBuf || "") + String(delta);
-      return;
-    }
+  PIN_FAILURES.delete(key);
+  st.from = req.body.From || st.from || "";
+  st.operatorPin = pin;
+  st.operator.operatorId = op.id;
+  st.operator.operatorName = op.name;
+  st.operator.loggedIn = true;
+  console.log(JSON.stringify({ event: "IVR_LOGIN", callSid: st.callSid, operatorId: op.id, operatorName: op.name }));
 
-    if (
-      msg.type === "conversation.item.input_audio_transcription.completed" ||
-      msg.type === "input_audio_transcription.completed"
-    ) {
-      state.metrics.transcriptionEvents += 1;
-      const text = msg.transcript || msg.text || state._callerSttBuf || "";
+  return res.type("text/xml").status(200).send(
+    twimlResponse(`${sayPrompt(st, "welcome", op.name)}<Redirect method="POST">${xmlEscape(absUrl(req, "/module-prompt"))}</Redirect>`)
+  );
+});
+
+app.post("/module-prompt", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const lines = [prompt(st.language, "mainMenu"), ...Object.entries(IVR_MODULES).map(([digit, mode]) => prompt(st.language, "pressFor", digit, moduleName(st.language, mode)))];
+  if (IVR.LANGUAGES.length > 1) lines.push(prompt(st.language, "changeLanguage", IVR_CHANGE_LANGUAGE_DIGIT));
+  return res.type("text/xml").status(200).send(ivrMenu(req, st, "/module-select", lines, "/module-prompt"));
+});
+
+app.post("/module-select", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const digit = String(req.body.Digits || "").trim();
+  const mode = IVR_MODULES[digit];
+  if (!st.operator.loggedIn) return res.type("text/xml").status(200).send(twimlResponse(`<Redirect method="POST">${xmlEscape(absUrl(req, "/voice"))}</Redirect>`));
+  if (digit === IVR_CHANGE_LANGUAGE_DIGIT && IVR.LANGUAGES.length > 1) {
+    return res.type("text/xml").status(200).send(twimlResponse(`<Redirect method="POST">${xmlEscape(absUrl(req, "/language-prompt"))}</Redirect>`));
+  }
+  if (!mode) {
+    return res.type("text/xml").status(200).send(twimlResponse(`${sayPrompt(st, "invalidSelection")}<Redirect method="POST">${xmlEscape(absUrl(req, "/module-prompt"))}</Redirect>`));
+  }
+  st.operator.menu = { mode };
+  return res.type("text/xml").status(200).send(
+    twimlResponse(`${sayPrompt(st, "selected", moduleName(st.language, mode))}<Redirect method="POST">${xmlEscape(absUrl(req, "/difficulty-prompt"))}</Redirect>`)
+  );
+});
+
+app.post("/difficulty-prompt", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const lines = [prompt(st.language, "chooseDifficulty"), ...Object.entries(IVR_DIFFICULTIES).map(([digit, d]) => prompt(st.language, "pressFor", digit, difficultyName(st.language, d)))];
+  return res.type("text/xml").status(200).send(ivrMenu(req, st, "/difficulty-select", lines, "/difficulty-prompt"));
+});
+
+app.post("/difficulty-select", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const difficulty = IVR_DIFFICULTIES[String(req.body.Digits || "").trim()];
+  if (!st.operator.loggedIn || !st.operator.menu?.mode) {
+    return res.type("text/xml").status(200).send(twimlResponse(`<Redirect method="POST">${xmlEscape(absUrl(req, "/voice"))}</Redirect>`));
+  }
+  if (!difficulty) {
+    return res.type("text/xml").status(200).send(twimlResponse(`${sayPrompt(st, "invalidSelection")}<Redirect method="POST">${xmlEscape(absUrl(req, "/difficulty-prompt"))}</Redirect>`));
+  }
+  st.operator.menu.difficulty = difficulty;
+  return res.type("text/xml").status(200).send(
+    twimlResponse(`${sayPrompt(st, "selected", difficultyName(st.language, difficulty))}<Redirect method="POST">${xmlEscape(absUrl(req, "/exam-prompt"))}</Redirect>`)
+  );
+});
+
+app.post("/exam-prompt", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const lines = [prompt(st.language, "pressFor", 1, prompt(st.language, "practice")), prompt(st.language, "pressFor", 2, prompt(st.language, "exam"))];
+  return res.type("text/xml").status(200).send(ivrMenu(req, st, "/exam-select", lines, "/exam-prompt"));
+});
+
+app.post("/exam-select", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const digit = String(req.body.Digits || "").trim();
+  const menu = st.operator.menu || {};
+  if (!st.operator.loggedIn || !menu.mode || !menu.difficulty) {
+    return res.type("text/xml").status(200).send(twimlResponse(`<Redirect method="POST">${xmlEscape(absUrl(req, "/voice"))}</Redirect>`));
+  }
+  if (digit !== "1" && digit !== "2") {
+    return res.type("text/xml").status(200).send(twimlResponse(`${sayPrompt(st, "invalidSelection")}<Redirect method="POST">${xmlEscape(absUrl(req, "/exam-prompt"))}</Redirect>`));
+  }
+  if (digit === "2") {
+    const status = certificationStatus(st.operator.operatorId, menu.mode);
+    if (!status.eligible) {
+      console.log(JSON.stringify({ event: "EXAM_BLOCKED", callSid: st.callSid, operatorId: st.operator.operatorId, mode: menu.mode, reason: status.reason }));
+      return res.type("text/xml").status(200).send(twimlResponse(`${say(spokenExamBlock(status, st.language), st.language)}<Redirect method="POST">${xmlEscape(absUrl(req, "/exam-prompt"))}</Redirect>`));
+    }
+  }
+
+  // New selection = new attempt with a freshly picked scenario.
+  st.mode = menu.mode;
+  st.difficulty = menu.difficulty;
+  st.examMode = digit === "2";
+  st.scenario = null;
+  st.scenarioId = "";
+  resetForRetrySameScenario(st);
+  st.operator.menu = null;
+
+  st.rotation.seed = stableSeed({ callSid: st.callSid, from: st.from, salt: st._audit.attemptId });
+  const requested = st.difficulty;
+  if (!selectScenarioForState(st, { promote: !st.examMode })) {
+    console.log(JSON.stringify({ event: "IVR_NO_SCENARIOS", callSid: st.callSid, mode: st.mode, difficulty: st.difficulty, language: st.language }));
+    return res.type("text/xml").status(200).send(twimlResponse(`${sayPrompt(st, "noScenarios")}<Redirect method="POST">${xmlEscape(absUrl(req, "/module-prompt"))}</Redirect>`));
+  }
+  const promotedNote = st.difficulty !== requested ? sayPrompt(st, "promoted", difficultyName(st.language, st.difficulty)) : "";
+
+  const qs = new URLSearchParams({ mode: st.mode, difficulty: st.difficulty, language: st.language, examMode: st.examMode ? "true" : "false" }).toString();
+  console.log(JSON.stringify({ event: "IVR_SELECTION", callSid: st.callSid, operatorId: st.operator.operatorId, mode: st.mode, difficulty: st.difficulty, language: st.language, examMode: st.examMode }));
+  return res.type("text/xml").status(200).send(
+    twimlResponse(`${promotedNote}${sayPrompt(st, "connecting", st.examMode)}<Redirect method="POST">${xmlEscape(absUrl(req, `/connect-prompt?${qs}`))}</Redirect>`)
+  );
+});
+
+app.post("/connect-prompt", (req, res) => {
+  const params = voiceParamsFromReq(req);
+  const language = normalizeLanguage(params.language);
+  const notice = recordingEnabled(params.examMode === "true") ? say(recordingNoticeFor(language), language) : "";
+  return res.type("text/xml").status(200).send(streamTwiml(req, notice));
+});
+// ---------------- Borrower personas ----------------
+// Voice, temperature, VAD silence and speaking style per borrower, from the persona catalog at
+// PERSONAS_PATH (see personas.js). Loaded and validated at boot; a scenario's `persona` entry
+// can name a catalog persona or override single fields. Without a catalog every borrower gets
+// VOICE_FEMALE / VOICE_MALE by borrowerGender and the TEMPERATURE / VAD_SILENCE_MS tuning.
+const { loadPersonaFile, scenarioPersonaErrors, resolvePersona } = require("./personas");
+let PERSONAS = null;
+
+function loadPersonasOrThrow() {
+  const result = loadPersonaFile(PERSONAS_PATH);
+  if (!result.valid) {
+    for (const e of result.errors) console.log(JSON.stringify({ event: "PERSONA_INVALID", error: e }));
+    throw new Error(`${PERSONAS_PATH} failed validation with ${result.errors.length} error(s)`);
+  }
+  PERSONAS = result.catalog;
+  console.log(JSON.stringify({ event: "PERSONAS_LOADED", path: PERSONAS_PATH, count: PERSONAS.count, version: PERSONAS.version }));
+  return PERSONAS;
+}
+
+function personaForScenario(state, scenario) {
+  return resolvePersona(PERSONAS, scenario, {
+    gender: state.borrowerGender,
+    language: state.language,
+    fallback: { voices: { female: VOICE_FEMALE, male: VOICE_MALE }, temperature: TUNE.TEMPERATURE, vadSilenceMs: TUNE.VAD_SILENCE_MS },
+  });
+}
+
+// A scenario file that names an unknown persona is rejected like any other validation error.
+// Skipped when the catalog itself failed to load (BOOT_FATAL already raised).
+function withPersonaErrors(result) {
+  if (!result.valid || !PERSONAS) return result;
+  const errors = scenarioPersonaErrors(result.index.data, PERSONAS);
+  return errors.length ? { ...result, valid: false, errors, index: null } : result;
+}
+
+// ---------------- Scenario index ----------------
+// Loaded from SCENARIOS_PATH at boot and validated against scenarios.schema.json (see scenarios.js).
+// Reloads build a complete new index and swap the reference only when it validates; live calls
+// hold their own `state.scenario` object and are unaffected.
+const { loadScenarioFile, validateScenarios, SECTION_PREFIX, TIER_LETTER } = require("./scenarios");
+const SCENARIOS_WATCH = String(process.env.SCENARIOS_WATCH || "true") !== "false";
+let SCENARIOS = null;
+
+function loadScenariosOrThrow() {
+  const result = withPersonaErrors(loadScenarioFile(SCENARIOS_PATH));
+  if (!result.valid) {
+    for (const e of result.errors) console.log(JSON.stringify({ event: "SCENARIO_INVALID", error: e }));
+    throw new Error(`${SCENARIOS_PATH} failed validation with ${result.errors.length} error(s)`);
+  }
+  SCENARIOS = result.index;
+  console.log(JSON.stringify({ event: "SCENARIOS_LOADED", path: SCENARIOS_PATH, count: SCENARIOS.count, version: SCENARIOS.version }));
+  return SCENARIOS;
+}
+
+function reloadScenarios(reason) {
+  const result = withPersonaErrors(loadScenarioFile(SCENARIOS_PATH));
+  if (!result.valid) {
+    console.log(JSON.stringify({ event: "SCENARIOS_RELOAD_REJECTED", reason, errors: result.errors }));
+    return { ok: false, reloaded: false, version: SCENARIOS?.version || null, errors: result.errors };
+  }
+  if (SCENARIOS && SCENARIOS.version === result.version) {
+    return { ok: true, reloaded: false, version: SCENARIOS.version, count: SCENARIOS.count, errors: [] };
+  }
+  const previous = SCENARIOS?.version || null;
+  SCENARIOS = result.index;
+  console.log(JSON.stringify({ event: "SCENARIOS_RELOADED", reason, previousVersion: previous, version: SCENARIOS.version, count: SCENARIOS.count }));
+  return { ok: true, reloaded: true, previousVersion: previous, version: SCENARIOS.version, count: SCENARIOS.count, errors: [] };
+}
+
+function watchScenarios() {
+  if (!SCENARIOS_WATCH) return;
+  // Polling survives editors that save via rename; a half-written file just fails validation.
+  fs.watchFile(SCENARIOS_PATH, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reloadScenarios("FILE_WATCH");
+  }).unref();
+}
+
+function assignScenario(state, scenario) {
+  state.scenario = scenario;
+  state.scenarioVersion = SCENARIOS?.version || null;
+  state.scenarioId = scenario.id;
+  state.language = normalizeLanguage(scenario.language);
+  state.borrowerName = scenario.borrowerName || state.borrowerName || "Steve";
+  state.borrowerGender = String(scenario.borrowerGender || state.borrowerGender || "").toLowerCase();
+  state.ruleFocus = scenario.ruleFocus || [];
+  state.baitType = scenario.baitType || "";
+  state.requiredOutcome = scenario.requiredOutcome || "";
+  state.persona = personaForScenario(state, scenario);
+
+  const seed = String(state.rotation.seed || "");
+  state.rotation.openerIdx = scenario.openers?.length ? hexToInt(seed.slice(8, 16)) % scenario.openers.length : 0;
+  state.rotation.pressureIdx = scenario.pressureLines?.length ? hexToInt(seed.slice(16, 24)) % scenario.pressureLines.length : 0;
+}
+
+// ---------------- Adaptive scenario selection ----------------
+// SCENARIO_SELECTION=adaptive (default) weighs the operator's audit history; =hash keeps the plain seeded pick.
+// Everything that feeds the weighted pick is stored in state.selection (and the audit record), so
+// the same seed + recorded weights always reproduce the same scenario.
+const SCENARIO_SELECTION = String(process.env.SCENARIO_SELECTION || "adaptive").toLowerCase();
+const ADAPTIVE = {
+  LOOKBACK_DAYS: clampInt(process.env.ADAPTIVE_LOOKBACK_DAYS, 30, 1, 365),
+  RECENT_WINDOW: clampInt(process.env.ADAPTIVE_RECENT_WINDOW, 5, 0, 50),
+  PROMOTE_AFTER: clampInt(process.env.ADAPTIVE_PROMOTE_AFTER, 3, 1, 20),
+};
+const DIFFICULTY_LADDER = ["Standard", "Moderate", "Edge"];
+
+// Move up one tier at a time while the last PROMOTE_AFTER practice attempts at that tier all passed.
+function promotedDifficulty(history, mode, requested) {
+  let idx = DIFFICULTY_LADDER.indexOf(requested);
+  while (idx >= 0 && idx < DIFFICULTY_LADDER.length - 1) {
+    const recent = history.filter((r) => r.scenario?.mode === mode && r.scenario?.difficulty === DIFFICULTY_LADDER[idx] && !r.examMode).slice(-ADAPTIVE.PROMOTE_AFTER);
+    if (recent.length < ADAPTIVE.PROMOTE_AFTER || !recent.every((r) => r.scorecard?.pass)) break;
+    idx += 1;
+  }
+  return idx >= 0 ? DIFFICULTY_LADDER[idx] : requested;
+}
+
+// Rules and bait types the operator has been failing: violated codes plus the focus of failed attempts.
+function weaknessProfile(history) {
+  const rules = {};
+  const baits = {};
+  for (const r of history) {
+    for (const v of r.governance?.violations || []) rules[v.code] = (rules[v.code] || 0) + 1;
+    if (r.scorecard && !r.scorecard.pass) {
+      for (const code of r.scenario?.ruleFocus || []) rules[code] = (rules[code] || 0) + 1;
+      if (r.scenario?.baitType) baits[r.scenario.baitType] = (baits[r.scenario.baitType] || 0) + 1;
+    }
+  }
+  return { rules, baits };
+}
+
+function weightedPick(weights, seed) {
+  const total = weights.reduce((sum, [, w]) => sum + w, 0);
+  let point = (hexToInt(String(seed || "").slice(0, 8)) / 0x100000000) * total;
+  for (const [id, w] of weights) {
+    if (point < w) return id;
+    point -= w;
+  }
+  return weights.length ? weights[weights.length - 1][0] : null;
+}
+
+// Per-operator attempt summaries covering ADAPTIVE_LOOKBACK_DAYS, CERT_WINDOW_DAYS and REVIEW_NOTIFY_DAYS,
+// with supervisor overrides applied. Loaded from the audit log once at boot and kept current from
+// appendAuditLine, so picking a scenario at stream start, checking certification and reading reviews
+// back in the IVR never read LOG_DIR. The same pass feeds PENDING_REVIEWS.
+const OPERATOR_HISTORY = new Map(); // operatorId -> summaries, oldest first
+const HISTORY_BY_ATTEMPT = new Map();
+
+function historyWindowMs() {
+  return Math.max(ADAPTIVE.LOOKBACK_DAYS, CERT.WINDOW_DAYS, REVIEW.NOTIFY_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+// Only what selection and certification read; the full record stays on disk.
+function historySummary(r) {
+  return {
+    attemptId: r.attemptId,
+    writtenAt: r.writtenAt,
+    examMode: !!r.examMode,
+    scenario: { id: r.scenario?.id || null, mode: r.scenario?.mode, difficulty: r.scenario?.difficulty, ruleFocus: r.scenario?.ruleFocus || [], baitType: r.scenario?.baitType || "" },
+    governance: { violations: (r.governance?.violations || []).map((v) => ({ code: v.code })), checkpoints: r.governance?.checkpoints || [] },
+    technicalValidity: r.technicalValidity ? { valid: r.technicalValidity.valid } : null,
+    originalScorecard: r.scorecard || null,
+    scorecard: r.scorecard || null,
+    reviews: [],
+    review: null,
+  };
+}
+
+function rememberAuditLine(rec) {
+  if (rec.recordType === "review" || rec.recordType === "review_ack") trackPendingReview(rec);
+  if (rec.recordType === "attempt" && rec.operator?.id) {
+    const summary = historySummary(rec);
+    HISTORY_BY_ATTEMPT.set(summary.attemptId, summary);
+    if (!OPERATOR_HISTORY.has(rec.operator.id)) OPERATOR_HISTORY.set(rec.operator.id, []);
+    OPERATOR_HISTORY.get(rec.operator.id).push(summary);
+  } else if (rec.recordType === "review") {
+    const summary = HISTORY_BY_ATTEMPT.get(rec.attemptId);
+    if (!summary) return;
+    summary.reviews.push(rec);
+    summary.scorecard = effectiveScorecard({ scorecard: summary.originalScorecard, governance: summary.governance }, summary.reviews);
+    summary.review = { count: summary.reviews.length, overridden: summary.scorecard !== summary.originalScorecard, passOverridden: !!summary.scorecard.review?.passOverridden };
+  }
+}
+
+function loadOperatorHistory(nowMs = Date.now()) {
+  OPERATOR_HISTORY.clear();
+  HISTORY_BY_ATTEMPT.clear();
+  for (const rec of readAuditRecords({ fromMs: nowMs - historyWindowMs(), toMs: nowMs, recordType: null })) rememberAuditLine(rec);
+  console.log(JSON.stringify({ event: "OPERATOR_HISTORY_LOADED", operators: OPERATOR_HISTORY.size, attempts: HISTORY_BY_ATTEMPT.size }));
+}
+
+function operatorHistory(operatorId, { fromMs = 0, toMs = Date.now() } = {}) {
+  const list = OPERATOR_HISTORY.get(operatorId) || [];
+  const keepFromMs = Date.now() - historyWindowMs();
+  while (list.length && Date.parse(list[0].writtenAt) < keepFromMs) HISTORY_BY_ATTEMPT.delete(list.shift().attemptId);
+  return list.filter((r) => {
+    const ts = Date.parse(r.writtenAt);
+    return ts >= fromMs && ts <= toMs;
+  });
+}
+
+function selectScenarioForState(state, { excludeId = "", promote = false } = {}) {
+  const seed = String(state.rotation.seed || "");
+  const requestedDifficulty = normalizeDifficulty(state.difficulty);
+
+  if (SCENARIO_SELECTION !== "adaptive") {
+    const list = listScenarios(state.mode, requestedDifficulty, state.language);
+    let sc = pickScenario(state.mode, requestedDifficulty, seed, state.language);
+    if (sc && sc.id === excludeId && list.length > 1) sc = list[(list.indexOf(sc) + 1) % list.length];
+    if (!sc) return null;
+    assignScenario(state, sc);
+    state.selection = { strategy: "hash", seed, requestedDifficulty, difficulty: requestedDifficulty, scenarioId: sc.id };
+    return sc;
+  }
+
+  const opId = state.operator?.operatorId || null;
+  const history = opId ? operatorHistory(opId, { fromMs: Date.now() - ADAPTIVE.LOOKBACK_DAYS * 24 * 60 * 60 * 1000 }) : [];
+  const difficulty = promote ? promotedDifficulty(history, state.mode, requestedDifficulty) : requestedDifficulty;
+  const list = listScenarios(state.mode, difficulty, state.language);
+  if (!list.length) return null;
+
+  const recent = new Set(history.slice(-ADAPTIVE.RECENT_WINDOW).map((r) => r.scenario?.id));
+  if (excludeId) recent.add(excludeId);
+  let candidates = list.filter((s) => !recent.has(s.id));
+  if (!candidates.length) candidates = list.filter((s) => s.id !== excludeId);
+  if (!candidates.length) candidates = list;
+
+  const weak = weaknessProfile(history);
+  const weights = candidates.map((s) => [s.id, 1 + (s.ruleFocus || []).reduce((sum, code) => sum + (weak.rules[code] || 0), 0) + 2 * (weak.baits[s.baitType] || 0)]);
+  const pickedId = weightedPick(weights, seed);
+  const sc = list.find((s) => s.id === pickedId);
+  if (!sc) return null;
+
+  state.difficulty = difficulty;
+  assignScenario(state, sc);
+  state.selection = {
+    strategy: "adaptive",
+    seed,
+    requestedDifficulty,
+    difficulty,
+    promoted: difficulty !== requestedDifficulty,
+    historyAttempts: history.length,
+    excluded: list.filter((s) => !candidates.includes(s)).map((s) => s.id),
+    weights,
+    scenarioId: sc.id,
+  };
+  console.log(JSON.stringify({ event: "SCENARIO_SELECTED", sid: state.callSid, strategy: "adaptive", scenarioId: sc.id, difficulty, promoted: state.selection.promoted }));
+  return sc;
+}
+
+function normalizeDifficulty(difficulty) {
+  const d = String(difficulty || "").trim().toLowerCase();
+  return ["Standard", "Moderate", "Edge"].find((x) => x.toLowerCase() === d) || "Standard";
+}
+
+// language narrows the tier to scenarios in that call language (scenarios without one are English)
+function listScenarios(mode, difficulty, language = null) {
+  if (!SCENARIOS) return [];
+  const list = SCENARIOS.byKey[`${String(mode || "mcd").toLowerCase()}:${normalizeDifficulty(difficulty)}`] || [];
+  if (!language) return list;
+  const lang = normalizeLanguage(language);
+  return list.filter((s) => normalizeLanguage(s.language) === lang);
+}
+
+function getScenarioById(id) {
+  return (SCENARIOS && SCENARIOS.byId.get(String(id || "").trim())) || null;
+}
+
+// `salt` separates repeat selections on the same call (e.g. a new menu choice) without changing first-pick seeds.
+function stableSeed({ callSid, from, salt }) {
+  const base = `${String(callSid || "")}::${String(from || "")}`;
+  return crypto.createHash("sha256").update(salt ? `${base}::${salt}` : base).digest("hex");
+}
+
+function hexToInt(hex) {
+  const n = parseInt(String(hex || "0"), 16);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function pickScenario(mode, difficulty, seed, language = null) {
+  const list = listScenarios(mode, difficulty, language);
+  if (!list.length) return null;
+  return list[hexToInt(String(seed || "").slice(0, 8)) % list.length];
+}
+
+// ---------------- Scenario rotations ----------------
+function pickRotatedOpener(state) {
+  const s = state.scenario || {};
+  const arr = s.openers || [];
+  if (!arr.length) return localeFor(state.language).instructions.fallbackOpener(state.borrowerName);
+  return String(arr[state.rotation?.openerIdx || 0] || arr[0]);
+}
+
+function pickRotatedPressureLine(state) {
+  const s = state.scenario || {};
+  const arr = s.pressureLines || [];
+  if (!arr.length) return "";
+  return String(arr[state.rotation?.pressureIdx || 0] || arr[0]);
+}
+
+// ---------------- Borrower “Challenge Engine” ----------------
+// Challenge pools live in the locale catalog, one per module and call language.
+function challengeQuestionsForState(state) {
+  return challengeQuestions(state.language, state.mode);
+}
+
+// Per-difficulty pressure: how hard the borrower pushes and how soon. The realism engine enforces
+// the times server-side: pressure after pressureAfterMs without a new required checkpoint, then one
+// ladder step per further stallMs. A required checkpoint within recoveryWindowMs of a cue is a recovery.
+const REALISM_POLICIES = {
+  Standard: { minChallenges: 2, pressureAfterMs: 50000, stallMs: 25000, maxLadderSteps: 2, recoveryWindowMs: 30000, interruptions: false },
+  Moderate: { minChallenges: 3, pressureAfterMs: 35000, stallMs: 20000, maxLadderSteps: 3, recoveryWindowMs: 25000, interruptions: true },
+  Edge: { minChallenges: 4, pressureAfterMs: 20000, stallMs: 15000, maxLadderSteps: 5, recoveryWindowMs: 20000, interruptions: true },
+};
+
+function realismPolicyForDifficulty(difficulty) {
+  const p = REALISM_POLICIES[normalizeDifficulty(difficulty)];
+  const scale = (ms) => Math.round((ms * TUNE.REALISM_TIME_SCALE_PCT) / 100);
+  return { ...p, pressureAfterMs: scale(p.pressureAfterMs), stallMs: scale(p.stallMs), recoveryWindowMs: scale(p.recoveryWindowMs) };
+}
+
+function behavioralScriptForBorrower(state) {
+  const p = realismPolicyForDifficulty(state.difficulty);
+  const challenges = challengeQuestionsForState(state);
+
+  // We give the model explicit behavioral obligations; pressure and escalation timing is cued by the server.
+  return localeFor(state.language)
+    .instructions.behavior({ minChallenges: p.minChallenges, pool: challenges.map((q, i) => `[${i + 1}] ${q}`).join(" "), interruptions: p.interruptions })
+    .join("\n");
+}
+
+// ---------------- LO escalation vs handoff rules in borrower behavior ----------------
+function escalationVsHandoffPolicy(state) {
+  const s = state.scenario || {};
+  const handoffForbiddenUntil = String(s.handoffForbiddenUntil || "").trim();
+  const loEscalationScript = String(s.loEscalationScript || "").trim();
+
+  return localeFor(state.language).instructions.handoff({ until: handoffForbiddenUntil, script: loEscalationScript }).join("\n");
+}
+
+// ---------------- Hard session instructions ----------------
+// Written in the scenario's language (locales.js); the ScenarioId line stays machine-readable.
+function buildHardBorrowerSessionInstructions(state) {
+  const s = state.scenario || {};
+  const opener = pickRotatedOpener(state);
+  const t = localeFor(state.language).instructions;
+  return [
+    ...t.roleLock(state.borrowerName),
+    ``,
+    ...(t.language.length ? [...t.language, ``] : []),
+    ...t.isaSpelling,
+    ``,
+    t.scenarioHeader,
+    t.scenarioLine(String(state.mode).toUpperCase(), difficultyName(state.language, state.difficulty), state.scenarioId),
+    s.summary ? `${t.summary}: ${String(s.summary)}` : ``,
+    s.objective ? `${t.objective}: ${String(s.objective)}` : ``,
+    s.requiredOutcome ? `${t.requiredOutcome}: ${String(s.requiredOutcome)}` : ``,
+    s.baitType ? `${t.baitType}: ${String(s.baitType)}` : ``,
+    Array.isArray(s.ruleFocus) && s.ruleFocus.length ? `${t.ruleFocus}: ${s.ruleFocus.join(", ")}` : ``,
+    state.persona?.style ? `${t.delivery}: ${state.persona.style}` : ``,
+    ``,
+    behavioralScriptForBorrower(state),
+    ``,
+    escalationVsHandoffPolicy(state),
+    ``,
+    ...t.realism,
+    ``,
+    t.start(opener),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// ---------------- OpenAI Realtime connect ----------------
+function trySend(ws, obj) {
+  if (!ws || ws.readyState !== WSClient.OPEN) return false;
+  try {
+    ws.send(JSON.stringify(obj));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// textOnly: the typed practice channel; no audio in or out, no server VAD.
+function openaiRealtimeConnect(state, { textOnly = false } = {}) {
+  const apiKey = requireEnv("OPENAI_API_KEY");
+  const url = `${OPENAI_REALTIME_URL}?model=${encodeURIComponent(REALTIME_MODEL)}`;
+  const ws = new WSClient(url, {
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "OpenAI-Beta": "realtime=v1",
+    },
+  });
+  ws._scc = {
+    sessionReady: false,
+    responseInFlight: false,
+    pendingEscalation: null,
+    lastResponseCreateMs: 0,
+    modelTextBuf: "",
+    modalities: textOnly ? ["text"] : ["audio", "text"],
+  };
+  ws.on("open", () => {
+    const instructions = buildHardBorrowerSessionInstructions(state);
+    const persona = state.persona || personaForScenario(state, state.scenario);
+    const voice = textOnly ? null : persona.voice;
+
+    console.log(JSON.stringify({ event: "OPENAI_WS_OPEN", sid: state.callSid, voiceSelected: voice, persona: persona.id, textOnly, model: REALTIME_MODEL }));
+    METRICS.openaiWsOpens.inc({ channel: state.channel });
+
+    trySend(ws, {
+      type: "session.update",
+      session: textOnly
+        ? { modalities: ["text"], instructions, temperature: persona.temperature, turn_detection: null }
+        : {
+            modalities: ["audio", "text"],
+            instructions,
+            voice,
+            input_audio_format: "g711_ulaw",
+            output_audio_format: "g711_ulaw",
+            temperature: persona.temperature,
+            turn_detection: { type: "server_vad", silence_duration_ms: persona.vadSilenceMs },
+            input_audio_transcription: { model: TRANSCRIBE_MODEL, language: localeFor(state.language).transcriptionLanguage },
+          },
+    });
+
+    console.log(JSON.stringify({ event: "OPENAI_SESSION_UPDATE_SENT", sid: state.callSid }));
+  });
+  ws.on("message", (raw) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(raw.toString("utf8"));
+    } catch {
+      return;
+    }
+
+    if (msg.type === "session.created" || msg.type === "session.updated") {
+      ws._scc.sessionReady = true;
+
+      // Borrower speaks first exactly once
+      if (!state._openerspoken) {
+        state._openerspoken = true;
+        createBorrowerResponse(ws, state, localeFor(state.language).instructions.speakOpener);
+      }
+      return;
+    }
+
+    // Server-VAD turns start responses we never asked for; track them so barge-in can cancel them too.
+    if (msg.type === "response.created") {
+      ws._scc.responseInFlight = true;
+      ws._scc.turnStartMs = Date.now();
+      return;
+    }
+
+    // Caller turn boundaries (server VAD); the transcript for each arrives later
+    if (msg.type === "input_audio_buffer.speech_started") {
+      noteCallerSpeech(state, "start");
+      return;
+    }
+    if (msg.type === "input_audio_buffer.speech_stopped") {
+      noteCallerSpeech(state, "stop");
+      return;
+    }
+
+    // Caller STT
+    if (
+      msg.type === "conversation.item.input_audio_transcription.delta" ||
+      msg.type === "input_audio_transcription.delta"
+    ) {
+      state.metrics.transcriptionEvents += 1;
+      const delta = msg.delta || msg.text || "";
+      if (delta) state._callerSttBuf = (state._callerSttBuf || "") + String(delta);
+      return;
+    }
+
+    if (
+      msg.type === "conversation.item.input_audio_transcription.completed" ||
+      msg.type === "input_audio_transcription.completed"
+    ) {
+      state.metrics.transcriptionEvents += 1;
+      const text = msg.transcript || msg.text || state._callerSttBuf || "";
       state._callerSttBuf = "";
       if (text) addCallerText(state, text);
       return;
@@ -371,17 +1438,25 @@ function openaiRealtimeConnect(state) {
     if (
       msg.type === "response.text.delta" ||
       msg.type === "response.output_text.delta" ||
-      msg.type === "response.content_part.delta"
+      msg.type === "response.content_part.delta" ||
+      msg.type === "response.audio_transcript.delta" ||
+      msg.type === "response.output_audio_transcript.delta"
     ) {
       const delta = msg.delta || msg.text || "";
       if (delta) ws._scc.modelTextBuf += String(delta);
       return;
     }
 
-    if (msg.type === "response.done" || msg.type === "response.text.done" || msg.type === "response.output_text.done") {
+    // Only response.done ends a response; text.done arrives first in text-only sessions and would
+    // release the in-flight guard while the response is still open.
+    if (msg.type === "response.done") {
       const t = String(ws._scc.modelTextBuf || "").trim();
       ws._scc.modelTextBuf = "";
-      if (t) addModelText(state, t);
+      const escalation = ws._scc.pendingEscalation || null;
+      ws._scc.pendingEscalation = null;
+      if (t) addModelText(state, t, { startMs: ws._scc.turnStartMs || null, escalation });
+      else deliverEscalation(escalation, null);
+      ws._scc.turnStartMs = 0;
       ws._scc.responseInFlight = false;
 
       // If drift happened:
@@ -392,6 +1467,7 @@ function openaiRealtimeConnect(state) {
         } else {
           // Practice self-heal: force borrower reset message next turn
           state.metrics.staticIndicators.push({ ts: Date.now(), type: "PRACTICE_DRIFT_SELF_HEAL" });
+          selfHealDrift(ws, state);
         }
       }
 
@@ -410,6 +1486,12 @@ function openaiRealtimeConnect(state) {
 
   ws.on("error", (e) => {
     console.log(JSON.stringify({ event: "OPENAI_WS_ERROR", sid: state.callSid, error: String(e?.message || e) }));
+    METRICS.openaiWsErrors.inc({ channel: state.channel });
+    raiseAlert("OPENAI_WS_ERROR", "Realtime connection error", `OpenAI Realtime WebSocket error on a ${state.channel} call: ${String(e?.message || e)}`, {
+      callSid: state.callSid || null,
+      channel: state.channel,
+      error: String(e?.message || e),
+    });
   });
 
   return ws;
@@ -430,37 +1512,940 @@ function createBorrowerResponse(ws, state, instructions) {
   ws._scc.responseInFlight = true;
   ws._scc.lastResponseCreateMs = now;
 
-  return trySend(ws, {
-    type: "response.create",
-    response: {
-      modalities: ["audio", "text"],
-      instructions: String(instructions || ""),
-    },
-  });
+  // No instructions = answer under the session instructions (response-level instructions replace them)
+  const response = { modalities: ws._scc.modalities || ["audio", "text"] };
+  if (instructions) response.instructions = String(instructions);
+  return trySend(ws, { type: "response.create", response });
 }
 
-function cancelResponse(ws) {
+// state: when given, the cut-off response goes on the timeline as an interrupted borrower turn
+function cancelResponse(ws, state = null) {
   if (!ws || ws.readyState !== WSClient.OPEN) return false;
   // Only cancel if we believe a response is active
   if (!ws._scc?.responseInFlight) return false;
+  if (state) deliverEscalation(ws._scc.pendingEscalation, addTurn(state, "borrower", { startMs: ws._scc.turnStartMs || null, text: ws._scc.modelTextBuf, interrupted: true }));
+  ws._scc.pendingEscalation = null;
   ws._scc.responseInFlight = false;
   ws._scc.modelTextBuf = "";
+  ws._scc.turnStartMs = 0;
   return trySend(ws, { type: "response.cancel" });
 }
 
-// ---------------- Twilio stream bridge ----------------
+// ---------------- mustHit checkpoints ----------------
+// Scenario mustHit entries are either plain labels ("set follow-up time") or
+// { id, label, required, patterns } objects. Both normalize to the object form.
+// IDs mirror the normalize_musthit.ps1 mapping so old and migrated files score the same.
+const MUSTHIT_LABEL_IDS = {
+  "confirm permission to ask questions": "confirm_permission",
+  "confirm best callback number": "confirm_callback_number",
+  "set follow-up time": "set_follow_up_time",
+  "capture timeline": "capture_timeline",
+  "attempt application": "attempt_application",
+  "explain current stage": "explain_current_stage",
+  "identify next action": "identify_next_action",
+  "restate boundaries": "restate_boundaries",
+  "clarify status": "clarify_status",
+  "set expectations": "set_expectations",
+  "acknowledge concern": "acknowledge_concern",
+  "set update cadence": "set_update_cadence",
+  "maintain boundary": "maintain_boundary",
+  "define next step": "define_next_step",
+  "define review step": "define_review_step",
+};
 
-// Ensure WebSocketServer and server are defined before wss is used
-const http = require("http");
-const { WebSocketServer } = require("ws");
-app.use(express.static("public"));
-const server = http.createServer(app);
-const wss = new WebSocketServer({ server, path: "/twilio" });
+// Default phrases per checkpoint when the scenario does not supply its own patterns. Phrases match
+// whole words only (see phraseIn) and no phrase is shared between checkpoints, so one utterance
+// cannot score two checkpoints by accident.
+const CHECKPOINT_PATTERNS = {
+  confirm_permission: ["is it okay if i ask", "is it ok if i ask", "mind if i ask", "do you mind if i", "can i ask you a", "can i ask a few", "would it be okay if", "okay if i ask", "permission to ask"],
+  confirm_callback_number: ["best number", "best callback", "best call back", "good number to reach", "number to reach you", "reach you at", "call you back at", "confirm your number", "is this number"],
+  set_follow_up_time: ["follow up", "follow-up", "what time works", "schedule a time", "set a time", "tomorrow at", "does tomorrow", "later today", "this afternoon", "this evening", "next week", "o'clock", "a.m.", "p.m."],
+  capture_timeline: ["timeline", "time frame", "timeframe", "how soon", "when are you looking", "when are you planning", "when do you plan", "when would you like", "how many months"],
+  attempt_application: ["application", "apply for", "apply today", "apply now", "go ahead and apply", "get you started", "fill out", "pre-approval", "preapproval", "pre approval"],
+  explain_current_stage: ["current stage", "your file is", "your loan is in", "currently in", "underwriting", "processing", "where things stand"],
+  identify_next_action: ["next step", "what's next", "next thing", "next action"],
+  restate_boundaries: ["i can't", "i cannot", "i'm not able to", "i am not able to", "not something i can", "what i can do is"],
+  clarify_status: ["your status", "the status of", "status is", "status update", "where it stands", "right now your"],
+  set_expectations: ["you can expect", "expect to hear", "what to expect", "what happens next", "you'll hear", "you will hear", "typically takes"],
+  acknowledge_concern: ["i understand", "i hear you", "that makes sense", "i get it", "i'm sorry", "frustrating"],
+  set_update_cadence: ["update you", "updates", "check in", "check-in", "every day", "every other day", "daily", "each week"],
+  maintain_boundary: ["i still can't", "i still cannot", "still not able to", "like i said", "as i said", "as i mentioned", "the answer is still", "that hasn't changed", "i have to stick to"],
+  define_next_step: ["next step", "what's next", "we need", "please upload", "please send", "please provide", "i'll need"],
+  define_review_step: ["under review", "in review", "review your file", "reviewing your file", "the review", "underwriter", "once they look", "after review"],
+};
 
-wss.on("connection", (twilioWs, req) => {
-  let streamSid = null;
-  let callSid = null;
-  let lastModelAudioMs = 0;
+// Spanish defaults for scenarios with "language": "es". Written without accents: normalizeSpeech strips them.
+const CHECKPOINT_PATTERNS_ES = {
+  confirm_permission: ["puedo hacerle unas preguntas", "puedo hacerle algunas preguntas", "puedo hacerle una pregunta", "le puedo hacer unas", "le molesta si le pregunto", "me permite hacerle", "me permite preguntarle", "esta bien si le pregunto", "le parece bien si le pregunto"],
+  confirm_callback_number: ["mejor numero", "numero para comunicarme", "numero para llamarle", "le llamo a este numero", "confirmar su numero", "confirmo su numero", "este numero es el correcto", "a que numero"],
+  set_follow_up_time: ["seguimiento", "a que hora", "que hora le queda", "que hora le funciona", "agendar", "programar una llamada", "manana a las", "le parece manana", "mas tarde hoy", "esta tarde", "esta noche", "la proxima semana", "de la manana", "de la tarde"],
+  capture_timeline: ["plazo", "que tan pronto", "para cuando", "cuando piensa", "cuando planea", "cuando le gustaria", "en cuantos meses", "cuando quiere comprar"],
+  attempt_application: ["solicitud", "solicitar", "aplicacion", "aplicar", "empezar el proceso", "llenar", "preaprobacion", "pre-aprobacion", "pre aprobacion"],
+  explain_current_stage: ["etapa", "su expediente esta", "su prestamo esta", "actualmente esta en", "suscripcion", "en proceso", "como van las cosas"],
+  identify_next_action: ["siguiente paso", "proximo paso", "lo que sigue", "que sigue"],
+  restate_boundaries: ["no puedo", "no me es posible", "no esta en mis manos", "lo que si puedo hacer", "lo que puedo hacer es"],
+  clarify_status: ["estatus", "como esta su", "en este momento su", "ahorita su"],
+  set_expectations: ["puede esperar", "lo que va a pasar", "lo que sigue es", "va a recibir", "normalmente tarda", "por lo general tarda"],
+  acknowledge_concern: ["entiendo", "le comprendo", "tiene razon", "tiene sentido", "lo siento", "lamento", "frustrante"],
+  set_update_cadence: ["mantenerle al tanto", "mantenerlo informado", "mantenerla informada", "actualizaciones", "le aviso", "cada tercer dia", "todos los dias", "diario", "cada semana"],
+  maintain_boundary: ["sigo sin poder", "todavia no puedo", "como le dije", "como le mencione", "la respuesta sigue siendo", "eso no ha cambiado", "me tengo que apegar"],
+  define_next_step: ["siguiente paso", "proximo paso", "necesitamos", "por favor suba", "por favor envie", "por favor mande", "voy a necesitar", "necesito que"],
+  define_review_step: ["en revision", "la revision", "revisar su expediente", "suscriptor", "una vez que lo revisen", "despues de la revision"],
+};
+const CHECKPOINT_PATTERNS_BY_LANGUAGE = { en: CHECKPOINT_PATTERNS, es: CHECKPOINT_PATTERNS_ES };
+
+function checkpointPatterns(language) {
+  return CHECKPOINT_PATTERNS_BY_LANGUAGE[normalizeLanguage(language)] || CHECKPOINT_PATTERNS;
+}
+
+// Lower-case, straight quotes, no accents ("qué" and "que" match the same pattern).
+function normalizeSpeech(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[‘’ʼ]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Whole-word phrase match on normalized text: "expect" does not match "unexpected".
+const PHRASE_RES = new Map();
+function phraseIn(text, phrase) {
+  if (!phrase) return false;
+  let re = PHRASE_RES.get(phrase);
+  if (!re) {
+    re = new RegExp(`(?<![a-z0-9])${phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?![a-z0-9])`);
+    PHRASE_RES.set(phrase, re);
+  }
+  return re.test(text);
+}
+
+// Share of checkpoints hit. A scenario without checkpoints has nothing to miss: 100.
+function checkpointScorePct(hitCount, total) {
+  return total ? Math.round((hitCount / total) * 100) : 100;
+}
+
+function checkpointIdForLabel(label) {
+  const key = normalizeSpeech(label);
+  if (MUSTHIT_LABEL_IDS[key]) return MUSTHIT_LABEL_IDS[key];
+  return key.replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+function normalizeMustHit(item, language = DEFAULT_LANGUAGE) {
+  if (item == null) return null;
+  const defaults = checkpointPatterns(language);
+  if (typeof item === "string") {
+    // Already-migrated files may store the ID itself; map it back to its label.
+    const byId = Object.keys(MUSTHIT_LABEL_IDS).find((label) => MUSTHIT_LABEL_IDS[label] === item);
+    const label = byId || item;
+    const id = checkpointIdForLabel(label);
+    return { id, label, required: true, patterns: defaults[id] || [normalizeSpeech(label)] };
+  }
+  const label = String(item.label || item.id || "").trim();
+  if (!label) return null;
+  const id = String(item.id || checkpointIdForLabel(label));
+  const patterns = Array.isArray(item.patterns) && item.patterns.length ? item.patterns.map(normalizeSpeech) : defaults[id] || [normalizeSpeech(label)];
+  return { id, label, required: item.required !== false, patterns };
+}
+
+function checkpointsForScenario(scenario) {
+  const arr = Array.isArray(scenario?.mustHit) ? scenario.mustHit : [];
+  return arr.map((item) => normalizeMustHit(item, scenario.language)).filter(Boolean);
+}
+
+// Record the first hit of each checkpoint found in the given caller entries.
+function scanCheckpoints(state, entries) {
+  const defs = checkpointsForScenario(state.scenario);
+  if (!defs.length) return [];
+
+  const hits = [];
+  for (const entry of entries) {
+    const text = normalizeSpeech(entry?.text);
+    if (!text) continue;
+    for (const cp of defs) {
+      if (state.governance.checkpoints.some((c) => c.id === cp.id)) continue;
+      const pattern = cp.patterns.find((p) => phraseIn(text, p));
+      if (!pattern) continue;
+      const hit = {
+        id: cp.id,
+        label: cp.label,
+        required: cp.required,
+        hitAtMs: entry.ts || Date.now(),
+        offsetMs: state.ts.connectStartMs ? Math.max(0, (entry.ts || Date.now()) - state.ts.connectStartMs) : null,
+        pattern,
+        text: String(entry.text),
+      };
+      state.governance.checkpoints.push(hit);
+      hits.push(hit);
+      console.log(JSON.stringify({ event: "CHECKPOINT_HIT", sid: state.callSid, checkpoint: cp.id, offsetMs: hit.offsetMs }));
+    }
+  }
+  return hits;
+}
+
+// ---------------- Compliance rules (ruleFocus) ----------------
+// Each rule scans caller (I. S. A.) utterances. `always` rules are compliance lines that apply
+// to every scenario; the rest only fire when the scenario lists the code in ruleFocus.
+// Positive-behaviour codes (DISCOVERY, EMPATHY, NEXT_STEP, ...) are scored through mustHit instead.
+// English patterns apply on every call (operators switch languages mid-sentence); a rule's `es`
+// list adds the Spanish phrasing for calls in Spanish.
+const NEGATION_BEFORE = /\b(?:can't|cannot|can not|won't|don't|do not|not|never|no one can|nobody can|unable to)\s+(?:\w+\s+){0,3}$/;
+const NEGATION_BEFORE_ES = /\b(?:no|nunca|jamas|nadie puede|ni)\s+(?:\w+\s+){0,3}$/;
+const SPOKEN_NUMBER = "(?:one|two|three|four|five|six|seven|eight|nine|ten)";
+const SPOKEN_NUMBER_ES = "(?:uno|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez)";
+// Rate wording earlier in the same sentence (decimal points do not end it)
+const RATE_CONTEXT_BEFORE = "(?<=\\b(?:rates?|apr|interest|lock(?:ed)?)\\b(?:[^.?!]|\\.\\d){0,40})";
+const RATE_CONTEXT_BEFORE_ES = "(?<=\\b(?:tasas?|interes|apr)\\b(?:[^.?!]|[.,]\\d){0,40})";
+const VIOLATION_SEVERITY = { critical: 3, major: 2, minor: 1 };
+
+const COMPLIANCE_RULES = [
+  {
+    code: "NO_RATES",
+    severity: "critical",
+    always: true,
+    describe: "Quoted a rate",
+    // A bare percentage is usually a down payment ("3.5 percent down"); it only counts as a quote
+    // next to rate wording.
+    patterns: [
+      new RegExp(`${RATE_CONTEXT_BEFORE}\\b(?:[0-9]|1[0-9])(?:\\.\\d+)?\\s*(?:%|percent\\b)(?!\\s*down\\b)`),
+      new RegExp(`${RATE_CONTEXT_BEFORE}\\b${SPOKEN_NUMBER}(?: point \\w+| and a (?:half|quarter))? percent\\b(?!\\s*down\\b)`),
+      /\b(?:[0-9]|1[0-9])(?:\.\d+)?\s*(?:%|percent)\s*(?:rate|apr|interest|fixed)\b/,
+      /\b(?:rates?|apr)\s+(?:is|are|at|around|about|of|starts? at|sits? at)\s+(?:about |around |roughly )?\d/,
+    ],
+    es: [
+      new RegExp(`${RATE_CONTEXT_BEFORE_ES}\\b(?:[0-9]|1[0-9])(?:[.,]\\d+)?\\s*(?:%|por ?ciento\\b)(?!\\s*de (?:enganche|pago inicial|anticipo)\\b)`),
+      new RegExp(`${RATE_CONTEXT_BEFORE_ES}\\b${SPOKEN_NUMBER_ES}(?: punto \\w+| y medio| y cuarto)? por ?ciento\\b(?!\\s*de (?:enganche|pago inicial|anticipo)\\b)`),
+      /\b(?:[0-9]|1[0-9])(?:[.,]\d+)?\s*(?:%|por ?ciento) de (?:tasa|interes)\b/,
+      /\btasas?\s+(?:es|son|esta|estan|seria|queda|anda|de|del)\s+(?:en |como |alrededor de |mas o menos |un |una )*\d/,
+    ],
+  },
+  {
+    code: "NO_GUARANTEE",
+    severity: "critical",
+    always: true,
+    describe: "Promised an approval or outcome",
+    patterns: [
+      /\byou(?:'re| are) (?:already |definitely )?(?:pre-?)?approved\b/,
+      /\bguarantee[ds]?\b/,
+      /\byou(?:'ll| will) (?:definitely |for sure )?(?:get approved|be approved|qualify)\b/,
+      /\b(?:no problem|no issue|easy) (?:getting|to get) approved\b/,
+      /\bi promise\b/,
+    ],
+    es: [
+      /\b(?:ya )?(?:esta|estas|queda) (?:pre-?)?aprobad[oa]s?\b/,
+      /\bgarantiz\w*\b/,
+      /\b(?:le|te) (?:van a|vamos a) aprobar\b/,
+      /\b(?:va|vas) a (?:calificar|salir aprobad[oa])\b/,
+      /\b(?:le|te) prometo\b/,
+    ],
+  },
+  {
+    code: "NO_HANDOFF",
+    severity: "critical",
+    always: true,
+    describe: "Handed off to the loan officer too early",
+    when: (state) => !handoffPermitted(state),
+    patterns: [
+      /\b(?:have|get) (?:the |your |a )?(?:loan officer|lender|manager|someone|l\.?\s?o\.?) (?:to )?call you\b/,
+      /\btransfer you\b/,
+      /\b(?:loan officer|l\.?\s?o\.?) (?:will|can|is going to) (?:call|reach out|get back)\b/,
+      /\blet me (?:get|grab|connect you with|loop in) (?:the |a |your )?(?:loan officer|l\.?\s?o\.?)\b/,
+      /\bpass you (?:to|over)\b/,
+    ],
+    es: [
+      /\b(?:el|la|su) (?:oficial de prestamos|asesora?|prestamista|gerente) (?:le|te) (?:va a |puede )?(?:llamar|llama|llamara|contactar|contactara|regresa la llamada)\b/,
+      /\b(?:le|te) (?:transfiero|paso|comunico) (?:con|a|al)\b/,
+      /\b(?:le|te) (?:pido|digo) (?:al|a la|a su) (?:oficial de prestamos|asesora?|prestamista|gerente) que (?:le|te) llame\b/,
+    ],
+  },
+  {
+    code: "CONSENT",
+    severity: "critical",
+    always: true,
+    describe: "Asked for sensitive information before getting permission",
+    when: (state) => !consentObtained(state),
+    // Asking for the data or announcing a credit pull; merely mentioning an account or credit does not count.
+    patterns: [
+      /\b(?:what(?:'s| is)|can i (?:get|have)|could i (?:get|have)|i(?:'ll| will)? need|give me|read me|tell me|verify|confirm) (?:your |the last four (?:digits )?of your )?(?:full )?(?:social security(?: number)?|ssn|s\.s\.n\.?|date of birth|bank account(?: number)?|account number|routing number)\b/,
+      /\b(?:can i|could i|may i|let me|i(?:'ll| will)|we(?:'ll| will)|i need to|we need to|i'm going to|we're going to) (?:run|pull|check) your credit\b/,
+    ],
+    es: [
+      /\b(?:cual es|me (?:da|puede dar|podria dar|dice|confirma)|necesito|voy a necesitar|confirmar|verificar) (?:su |tu )?(?:numero de )?(?:seguro social|fecha de nacimiento|cuenta bancaria|cuenta de banco|numero de cuenta)\b/,
+      /\b(?:puedo|voy a|vamos a|necesito|dejeme|permitame) (?:revisar|checar|sacar|consultar|correr) (?:su |tu )(?:historial de )?credito\b/,
+    ],
+  },
+  {
+    code: "NO_TIMELINE_PROMISE",
+    severity: "major",
+    always: false,
+    describe: "Promised a closing or approval date",
+    patterns: [
+      /\b(?:you'll|you will|we'll|we will|it'll|it will) (?:definitely )?close (?:by|on|in|before)\b/,
+      /\b(?:done|approved|cleared|closed) by (?:tomorrow|monday|tuesday|wednesday|thursday|friday|saturday|sunday|next week|the end of)\b/,
+    ],
+    es: [
+      /\b(?:va a|vamos a|van a) cerrar (?:para|el|en|antes)\b/,
+      /\b(?:list[oa]|aprobad[oa]|cerrad[oa]) (?:para|el) (?:manana|lunes|martes|miercoles|jueves|viernes|sabado|domingo|la proxima semana|fin de)\b/,
+    ],
+  },
+  {
+    code: "NO_STEERING",
+    severity: "major",
+    always: false,
+    describe: "Recommended a specific loan program",
+    patterns: [
+      /\byou should (?:go with|get|do) (?:an? |the )?(?:fha|va|conventional|jumbo|usda|arm|adjustable|fixed)\b/,
+      /\b(?:best|right) (?:loan|program|option) for you is\b/,
+      /\bi(?:'d| would) recommend (?:an? |the )?(?:fha|va|conventional|jumbo|usda|fixed|adjustable)\b/,
+    ],
+    es: [
+      /\b(?:le|te) (?:conviene|recomiendo) (?:un |una |el |la )?(?:prestamo |credito )?(?:fha|va|convencional|jumbo|usda|fij[oa]|ajustable)\b/,
+      /\b(?:el|la) mejor (?:prestamo|programa|opcion) para (?:usted|ti) es\b/,
+    ],
+  },
+  {
+    code: "CLARITY",
+    severity: "minor",
+    always: false,
+    describe: "Used jargon without explaining it",
+    when: (state, text) => !/\b(?:which means|meaning|in other words|basically|es decir|o sea|quiere decir|significa)\b/.test(text),
+    patterns: [/\b(?:dti|ltv|pmi|debt-to-income|loan-to-value|amortization|clear to close|ctc|suspense)\b/],
+    es: [/\b(?:relacion deuda-ingreso|relacion prestamo-valor|amortizacion|seguro hipotecario privado)\b/],
+  },
+  {
+    code: "BREVITY",
+    severity: "minor",
+    always: false,
+    describe: "Monologued instead of asking a question",
+    test: (text) => text.split(" ").length > 90,
+  },
+];
+
+// English patterns plus the call language's own (`es`, ...)
+function rulePatterns(rule, language) {
+  const lang = normalizeLanguage(language);
+  return lang === DEFAULT_LANGUAGE ? rule.patterns || [] : [...(rule.patterns || []), ...(rule[lang] || [])];
+}
+
+function consentObtained(state) {
+  if (state.governance.checkpoints.some((c) => c.id === "confirm_permission")) return true;
+  return (state.transcript.callerText || []).some((e) => {
+    const t = normalizeSpeech(typeof e === "string" ? e : e?.text);
+    return checkpointPatterns(state.language).confirm_permission.some((p) => phraseIn(t, p));
+  });
+}
+
+function borrowerRequestedLo(state) {
+  return (state.transcript.modelText || []).some((e) =>
+    /\b(?:loan officer|l\.?\s?o\.?|lender|oficial de prestamos|prestamista|asesora? hipotecari[oa])\b/.test(normalizeSpeech(typeof e === "string" ? e : e?.text))
+  );
+}
+
+// handoffForbiddenUntil is free text in the scenario file; the known conditions are mapped here.
+// Unknown conditions keep the handoff forbidden for the whole call.
+function handoffPermitted(state) {
+  const s = state.scenario || {};
+  const until = normalizeSpeech(s.handoffForbiddenUntil);
+  const handoffIsBait = (s.ruleFocus || state.ruleFocus || []).includes("NO_HANDOFF");
+  if (!until) return !handoffIsBait;
+  if (until === "application attempt") {
+    if (state.governance.checkpoints.some((c) => c.id === "attempt_application")) return true;
+    return (state.transcript.callerText || []).some((e) => {
+      const t = normalizeSpeech(typeof e === "string" ? e : e?.text);
+      return checkpointPatterns(state.language).attempt_application.some((p) => phraseIn(t, p));
+    });
+  }
+  if (until === "borrower requests lo") return !handoffIsBait && borrowerRequestedLo(state);
+  return false;
+}
+
+function negated(before, language) {
+  return NEGATION_BEFORE.test(before) || (normalizeLanguage(language) === "es" && NEGATION_BEFORE_ES.test(before));
+}
+
+function findRuleMatch(rule, text, language = DEFAULT_LANGUAGE) {
+  if (rule.test) return rule.test(text) ? text.slice(0, 80) : null;
+  for (const re of rulePatterns(rule, language)) {
+    const m = re.exec(text);
+    if (!m) continue;
+    if (negated(text.slice(Math.max(0, m.index - 40), m.index), language)) continue;
+    return m[0];
+  }
+  return null;
+}
+
+function scanViolations(state, entry) {
+  const text = normalizeSpeech(entry?.text);
+  if (!text) return [];
+  const ruleFocus = (state.scenario?.ruleFocus || state.ruleFocus || []).map(String);
+
+  const found = [];
+  for (const rule of COMPLIANCE_RULES) {
+    const inRuleFocus = ruleFocus.includes(rule.code);
+    if (!rule.always && !inRuleFocus) continue;
+    if (rule.when && !rule.when(state, text)) continue;
+    const match = findRuleMatch(rule, text, state.language);
+    if (!match) continue;
+
+    const v = {
+      code: rule.code,
+      severity: rule.severity,
+      description: rule.describe,
+      inRuleFocus,
+      baitType: state.baitType || state.scenario?.baitType || "",
+      match,
+      text: String(entry.text),
+      ts: entry.ts || Date.now(),
+      offsetMs: state.ts.connectStartMs ? Math.max(0, (entry.ts || Date.now()) - state.ts.connectStartMs) : null,
+    };
+    state.governance.violations.push(v);
+    found.push(v);
+    console.log(JSON.stringify({ event: "COMPLIANCE_VIOLATION", sid: state.callSid, code: v.code, severity: v.severity, examMode: !!state.examMode }));
+  }
+  return found;
+}
+
+// Caller (I. S. A.) speech arrives here from Realtime transcription.
+function addCallerText(state, text) {
+  const t = String(text || "").trim();
+  if (!state || !t) return null;
+  const entry = { ts: Date.now(), text: t };
+  state.transcript.callerText.push(entry);
+  const hits = scanCheckpoints(state, [entry]);
+  const found = scanViolations(state, entry);
+  noteRealismProgress(state, hits);
+
+  // Transcripts arrive in speech order, so each one closes the oldest VAD window
+  const speech = (state._callerSpeech || []).shift() || {};
+  addTurn(state, "isa", {
+    startMs: speech.startMs || null,
+    endMs: speech.endMs || entry.ts,
+    text: t,
+    checkpoints: hits.map((h) => h.id),
+    violations: found.map((v) => v.code),
+  });
+  return entry;
+}
+
+// ---------------- Borrower role drift ----------------
+// The borrower model sometimes slides into lender/assistant behaviour. Borrowers may
+// mention rates they saw online, so only lender-voiced phrasing counts as drift.
+const DRIFT_RULES = [
+  {
+    type: "LENDER_RATE_QUOTE",
+    patterns: [
+      /\b(?:current|today's) rates? (?:is|are)\b/,
+      /\b(?:i|we) can (?:offer|get|lock) you (?:a |an )?(?:rate|\d)/,
+      /\byour rate (?:would|will) be\b/,
+    ],
+    es: [
+      /\b(?:las? tasas? (?:de hoy|actual(?:es)?)) (?:es|son|esta|estan)\b/,
+      /\b(?:le|te) (?:puedo|podemos) (?:ofrecer|dar|conseguir|asegurar) (?:una )?(?:tasa|\d)/,
+      /\bsu tasa (?:seria|va a ser|sera)\b/,
+    ],
+  },
+  {
+    type: "PROGRAM_ADVICE",
+    patterns: [
+      /\b(?:you should|i(?:'d| would) recommend|i suggest) (?:going with |getting |an? |the )?(?:fha|va|conventional|jumbo|usda|fixed|adjustable|arm)\b/,
+      /\byou (?:would|will|should) (?:easily )?qualify\b/,
+      /\bbest (?:loan|program|option) for you\b/,
+    ],
+    es: [
+      /\b(?:le recomiendo|te recomiendo|le sugiero|deberia (?:sacar|irse con)) (?:un |una |el |la )?(?:prestamo |credito )?(?:fha|va|convencional|jumbo|usda|fij[oa]|ajustable)\b/,
+      /\busted (?:califica|calificaria|va a calificar) (?:facilmente|sin problema)\b/,
+      /\bla mejor (?:opcion|programa|prestamo) para usted\b/,
+    ],
+  },
+  {
+    type: "LENDER_IDENTITY",
+    patterns: [
+      /\bas your (?:loan officer|lender|mortgage (?:advisor|broker|consultant)|i\.?\s?s\.?\s?a\.?)\b/,
+      /\bi(?:'m| am) (?:your|the|a) (?:loan officer|lender|mortgage (?:advisor|broker|consultant))\b/,
+      // A lender's greeting, not a borrower thanking the I. S. A. for calling them back
+      /\bthank you for calling (?:[\w'&-]+ ){0,3}(?:mortgage|lending|home loans?|financial|bank)\b/,
+      /\bthank you for calling\W+(?:this is|my name is|how (?:can|may) i help)\b/,
+    ],
+    es: [
+      /\bcomo su (?:oficial de prestamos|asesora? hipotecari[oa]|prestamista)\b/,
+      /\b(?:soy|yo soy) (?:su|el|la) (?:oficial de prestamos|asesora? hipotecari[oa]|prestamista)\b/,
+      /\bgracias por (?:llamar|su llamada) a (?:[\w'&-]+ ){0,3}(?:hipotecas?|prestamos|financiera|banco)\b/,
+      /\bgracias por (?:llamar|su llamada)\W+(?:habla|le atiende|mi nombre es|en que (?:le )?puedo ayudar)\b/,
+    ],
+  },
+  {
+    type: "AI_DISCLOSURE",
+    patterns: [
+      /\bi(?:'m| am) (?:an? |just an? )?(?:ai|a\.i\.|artificial intelligence|language model|virtual assistant|chatbot)\b/,
+      /\bas an (?:ai|a\.i\.)\b/,
+      /\bopenai\b/,
+    ],
+    es: [
+      /\b(?:soy|solo soy) (?:una? )?(?:ia|i\.a\.|inteligencia artificial|modelo de lenguaje|asistente virtual|chatbot)\b/,
+      /\bcomo (?:una )?(?:ia|inteligencia artificial)\b/,
+    ],
+  },
+  {
+    type: "ASSISTANT_BEHAVIOR",
+    patterns: [
+      /\bhow (?:can|may) i (?:help|assist) you\b/,
+      /\bi(?:'d| would) be (?:happy|glad) to help\b/,
+      /\bis there anything else i can (?:help|do)\b/,
+    ],
+    es: [
+      /\ben que (?:le|te) (?:puedo|podemos) (?:ayudar|servir)\b/,
+      /\bcon (?:mucho )?gusto (?:le|te) ayudo\b/,
+      /\balgo mas en (?:lo )?que (?:le|te) pueda ayudar\b/,
+    ],
+  },
+];
+
+function detectDrift(text, language = DEFAULT_LANGUAGE) {
+  const t = normalizeSpeech(text);
+  for (const rule of DRIFT_RULES) {
+    for (const re of rulePatterns(rule, language)) {
+      const m = re.exec(t);
+      if (m) return { type: rule.type, match: m[0] };
+    }
+  }
+  return null;
+}
+
+// Borrower (model) speech arrives here once a response finishes.
+function addModelText(state, text, { startMs = null, escalation = null } = {}) {
+  const t = String(text || "").trim();
+  if (!state || !t) return null;
+  const entry = { ts: Date.now(), text: t };
+  state.transcript.modelText.push(entry);
+
+  const drift = detectDrift(t, state.language);
+  if (drift) {
+    const ev = {
+      type: drift.type,
+      match: drift.match,
+      text: t,
+      ts: entry.ts,
+      offsetMs: state.ts.connectStartMs ? Math.max(0, entry.ts - state.ts.connectStartMs) : null,
+      action: state.examMode ? "EXAM_STOP" : "SELF_HEAL",
+    };
+    state.governance.driftEvents.push(ev);
+    state.governance.driftTriggered = true;
+    console.log(JSON.stringify({ event: "BORROWER_DRIFT", sid: state.callSid, type: ev.type, action: ev.action }));
+    METRICS.driftEvents.inc({ type: ev.type, action: ev.action });
+    raiseAlert("BORROWER_DRIFT", `Borrower drift: ${ev.type} in ${state.scenarioId || "unknown scenario"}`, `The borrower left its role (${ev.type}, "${ev.match}"); action ${ev.action}.`, {
+      callSid: state.callSid || null,
+      scenarioId: state.scenarioId || null,
+      type: ev.type,
+      action: ev.action,
+      text: t,
+    });
+  }
+  // Any question from the borrower counts toward the policy's minChallenges
+  if (t.includes("?")) state.governance.realism.challengeCount += 1;
+  deliverEscalation(escalation, addTurn(state, "borrower", { startMs, endMs: entry.ts, text: t, drift: drift ? drift.type : null }));
+  return entry;
+}
+
+// Practice only: re-lock the borrower role and have the model continue in character.
+function selfHealDrift(ws, state) {
+  const last = state.governance.driftEvents[state.governance.driftEvents.length - 1] || {};
+  trySend(ws, { type: "session.update", session: { instructions: buildHardBorrowerSessionInstructions(state) } });
+  const sent = createBorrowerResponse(
+    ws,
+    state,
+    localeFor(state.language).instructions.roleReset(last.type || "DRIFT", state.borrowerName).join("\n")
+  );
+  last.healSent = !!sent;
+  state.governance.driftTriggered = false;
+  return sent;
+}
+
+// ---------------- Turn timeline ----------------
+// Both speakers in one ordered list, for review and the admin transcript viewer:
+//   { seq, speaker: "isa" | "borrower", startMs, endMs, startOffsetMs, endOffsetMs, text,
+//     interrupted, interruptedAtMs, checkpoints: [id], violations: [code], drift, escalation }
+// escalation is the realism engine's cue record when the server cued this borrower turn, else null.
+// Times are when the events reached the server: caller turns span the VAD speech start/stop
+// (or the barge-in that came first), typed turns are instants, and borrower turns span
+// response.created to response.done (generation, which runs ahead of playback). A borrower turn is interrupted when the caller barged in, whether the response
+// was cancelled mid-generation or its audio was still playing out.
+function addTurn(state, speaker, { startMs = null, endMs = null, text = "", interrupted = false, checkpoints = [], violations = [], drift = null }) {
+  if (!state) return null;
+  if (!Array.isArray(state.timeline)) state.timeline = [];
+  const now = Date.now();
+  const end = endMs || now;
+  const start = Math.min(startMs || end, end);
+  const offset = (ms) => (state.ts.connectStartMs ? Math.max(0, ms - state.ts.connectStartMs) : null);
+  const turn = {
+    seq: state.timeline.length + 1,
+    speaker,
+    startMs: start,
+    endMs: end,
+    startOffsetMs: offset(start),
+    endOffsetMs: offset(end),
+    text: String(text || "").trim(),
+    interrupted: !!interrupted,
+    interruptedAtMs: interrupted ? end : null,
+    checkpoints,
+    violations,
+    drift,
+    escalation: null,
+  };
+  state.timeline.push(turn);
+  return turn;
+}
+
+// kind: "start" | "stop" from server VAD, or "start" from a local barge-in, which fires on the
+// first audible frame and so usually opens the window before VAD reports it.
+function noteCallerSpeech(state, kind) {
+  if (!state) return;
+  if (!Array.isArray(state._callerSpeech)) state._callerSpeech = [];
+  const now = Date.now();
+  const open = state._callerSpeech.find((w) => !w.endMs);
+  if (kind === "start") {
+    if (!open) state._callerSpeech.push({ startMs: now, endMs: 0 });
+    return;
+  }
+  if (open) open.endMs = now;
+  state._callerSpeechEndMs = now;
+}
+
+// Barge-in after generation finished: the borrower turn was still playing out when the caller
+// cut in. (A response cancelled mid-generation is recorded by cancelResponse.)
+function markBorrowerTurnInterrupted(state) {
+  const last = state?.timeline?.[state.timeline.length - 1];
+  if (!last || last.speaker !== "borrower" || last.interrupted) return false;
+  last.interrupted = true;
+  last.interruptedAtMs = Date.now();
+  return true;
+}
+
+// ---------------- Realism engine ----------------
+// Server-side half of the behaviour policy. Every REALISM_TICK_MS the engine looks at the call; when
+// the I. S. A. has gone pressureAfterMs without a new required mustHit checkpoint it cues the
+// scenario's pressure line, then one escalationLadder step per further stallMs, then challenge
+// questions until minChallenges is reached. It only cues while the line is free: no response in
+// flight, no borrower audio still playing, the caller not mid-sentence.
+// Each cue is an escalation in state.governance.realism.escalations and on the borrower turn it
+// produced; a required checkpoint within recoveryWindowMs of the cue turn is credited as a recovery.
+const REALISM_SETTLE_MS = 1500; // after caller speech, leave room for the VAD-triggered reply
+
+function freshRealism() {
+  return { challengeCount: 0, ladderStep: 0, pressureUsed: false, policy: null, lastProgressMs: 0, lastEscalationMs: 0, escalations: [] };
+}
+
+function requiredCheckpointsHit(state) {
+  const required = new Set(checkpointsForScenario(state.scenario).filter((d) => d.required).map((d) => d.id));
+  return { hit: state.governance.checkpoints.filter((c) => required.has(c.id)).length, total: required.size };
+}
+
+function nextEscalation(state, policy) {
+  const r = state.governance.realism;
+  if (!r.pressureUsed) {
+    const line = pickRotatedPressureLine(state) || localeFor(state.language).instructions.fallbackPressure;
+    return { kind: "pressure", step: 1, line };
+  }
+  const ladder = Array.isArray(state.scenario?.escalationLadder) ? state.scenario.escalationLadder : [];
+  if (r.ladderStep < Math.min(ladder.length, policy.maxLadderSteps)) return { kind: "ladder", step: r.ladderStep + 1, line: String(ladder[r.ladderStep]) };
+  if (r.challengeCount < policy.minChallenges) {
+    const pool = challengeQuestionsForState(state);
+    return { kind: "challenge", step: r.challengeCount + 1, line: pool[r.challengeCount % pool.length] };
+  }
+  return null;
+}
+
+// Response-level instructions replace the session's, so the cue restates the role lock.
+function realismCue(state, next) {
+  const t = localeFor(state.language).instructions;
+  const what = next.kind === "ladder" ? t.cueKinds.ladder(next.step) : t.cueKinds[next.kind];
+  return t.cue(what, state.borrowerName, next.line).join("\n");
+}
+
+function realismTick(ws, state, policy, isBusy) {
+  if (state.ts.endMs || state.governance.driftTriggered) return;
+  if (!state._openerspoken || !ws?._scc?.sessionReady || ws._scc.responseInFlight || ws._scc.pendingEscalation || isBusy()) return;
+  const now = Date.now();
+  if ((state._callerSpeech || []).some((w) => !w.endMs) || now - (state._callerSpeechEndMs || 0) < REALISM_SETTLE_MS) return;
+
+  const r = state.governance.realism;
+  const { hit, total } = requiredCheckpointsHit(state);
+  if (total && hit >= total) return;
+  const wait = r.escalations.length ? policy.stallMs : policy.pressureAfterMs;
+  if (now - Math.max(r.lastProgressMs, r.lastEscalationMs) < wait) return;
+
+  const next = nextEscalation(state, policy);
+  if (!next || !createBorrowerResponse(ws, state, realismCue(state, next))) return;
+
+  const esc = {
+    seq: r.escalations.length + 1,
+    kind: next.kind,
+    step: next.step,
+    line: next.line,
+    cuedMs: now,
+    deliveredMs: null,
+    offsetMs: state.ts.connectStartMs ? now - state.ts.connectStartMs : null,
+    requiredHit: hit,
+    turnSeq: null,
+    recovered: false,
+    recoveredBy: null,
+    recoveryMs: null,
+  };
+  r.escalations.push(esc);
+  r.lastEscalationMs = now;
+  if (next.kind === "pressure") r.pressureUsed = true;
+  if (next.kind === "ladder") r.ladderStep = next.step;
+  ws._scc.pendingEscalation = esc;
+  console.log(JSON.stringify({ event: "REALISM_ESCALATION", sid: state.callSid, kind: esc.kind, step: esc.step, offsetMs: esc.offsetMs, requiredHit: hit, requiredTotal: total }));
+}
+
+// Returns stop(). isBusy(): channel-specific "borrower still audible / reply pending" check.
+function startRealismEngine(ws, state, { isBusy = () => false } = {}) {
+  const policy = realismPolicyForDifficulty(state.difficulty);
+  const r = state.governance.realism;
+  r.policy = { ...policy, difficulty: normalizeDifficulty(state.difficulty) };
+  r.lastProgressMs = r.lastProgressMs || state.ts.connectStartMs || Date.now();
+  const timer = setInterval(() => realismTick(ws, state, policy, isBusy), TUNE.REALISM_TICK_MS);
+  return () => clearInterval(timer);
+}
+
+// The borrower turn a cue produced (completed or cut off) carries it; the recovery window starts there.
+function deliverEscalation(esc, turn) {
+  if (!esc) return;
+  esc.deliveredMs = turn ? turn.endMs : Date.now();
+  if (!turn) return;
+  esc.turnSeq = turn.seq;
+  turn.escalation = esc;
+}
+
+function noteRealismProgress(state, hits) {
+  const r = state.governance.realism;
+  const required = hits.filter((h) => h.required);
+  if (!r || !required.length) return;
+  const now = Date.now();
+  r.lastProgressMs = now;
+  const windowMs = r.policy?.recoveryWindowMs ?? realismPolicyForDifficulty(state.difficulty).recoveryWindowMs;
+  for (const esc of r.escalations) {
+    if (esc.recovered || now - (esc.deliveredMs || now) > windowMs) continue;
+    esc.recovered = true;
+    esc.recoveredBy = required[0].id;
+    esc.recoveryMs = now - (esc.deliveredMs || esc.cuedMs);
+    console.log(JSON.stringify({ event: "REALISM_RECOVERY", sid: state.callSid, kind: esc.kind, step: esc.step, checkpoint: esc.recoveredBy, recoveryMs: esc.recoveryMs }));
+  }
+}
+
+function realismSummary(state) {
+  const r = state.governance.realism || freshRealism();
+  const escalations = r.escalations || [];
+  return {
+    escalations: escalations.length,
+    recovered: escalations.filter((e) => e.recovered).length,
+    pressureUsed: !!r.pressureUsed,
+    ladderStep: r.ladderStep || 0,
+    challengeCount: r.challengeCount || 0,
+    recoveries: escalations.filter((e) => e.recovered).map((e) => ({ kind: e.kind, step: e.step, checkpointId: e.recoveredBy, recoveryMs: e.recoveryMs })),
+  };
+}
+
+// ---------------- Scorecard ----------------
+function computeScorecard(state) {
+  const callerEntries = (state.transcript?.callerText || []).map((e) => (typeof e === "string" ? { ts: 0, text: e } : e));
+  scanCheckpoints(state, callerEntries);
+
+  const defs = checkpointsForScenario(state.scenario);
+  const hitIds = new Set(state.governance.checkpoints.map((c) => c.id));
+  const hit = state.governance.checkpoints.filter((c) => defs.some((d) => d.id === c.id));
+  const missed = defs.filter((d) => !hitIds.has(d.id)).map((d) => ({ id: d.id, label: d.label, required: d.required }));
+
+  const required = defs.filter((d) => d.required);
+  const requiredHit = required.filter((d) => hitIds.has(d.id)).length;
+
+  const violations = (state.governance.violations || []).slice().sort((a, b) => (VIOLATION_SEVERITY[b.severity] || 0) - (VIOLATION_SEVERITY[a.severity] || 0));
+  // Exam: any critical violation fails. Practice: only critical violations of the scenario's own ruleFocus fail.
+  const failing = violations.filter((v) => v.severity === "critical" && (state.examMode || v.inRuleFocus));
+
+  const failReasons = [];
+  if (!callerEntries.length) failReasons.push("No caller speech captured");
+  if (state.examMode && state.governance.driftEvents.length) failReasons.push("Exam stopped: borrower role drift");
+  for (const v of failing) failReasons.push(`Violation ${v.code}: ${v.description}`);
+  for (const m of missed) {
+    if (m.required) failReasons.push(`Missed checkpoint: ${m.label}`);
+  }
+
+  const scorecard = {
+    attemptId: state._audit?.attemptId || null,
+    scenarioId: state.scenarioId || null,
+    mode: state.mode,
+    difficulty: state.difficulty,
+    language: state.language || DEFAULT_LANGUAGE,
+    examMode: !!state.examMode,
+    pass: failReasons.length === 0,
+    scorePct: checkpointScorePct(hit.length, defs.length),
+    requiredTotal: required.length,
+    requiredHit,
+    hit: hit.map((c) => ({ id: c.id, label: c.label, offsetMs: c.offsetMs })),
+    missed,
+    failReasons,
+    violations: violations.map((v) => ({ code: v.code, severity: v.severity, description: v.description, match: v.match, offsetMs: v.offsetMs })),
+    violationsCount: violations.length,
+    criticalViolations: violations.filter((v) => v.severity === "critical").length,
+    driftEvents: state.governance.driftEvents.map((d) => ({ type: d.type, action: d.action, offsetMs: d.offsetMs })),
+    realism: realismSummary(state),
+    computedAtMs: Date.now(),
+  };
+
+  state.operator.lastScore = scorecard;
+  state.operator.lastScoreSpoken = spokenScorecard(scorecard);
+  return scorecard;
+}
+
+// Read in the attempt's language; violation descriptions and notes fall back to the recorded English.
+function spokenScorecard(scorecard) {
+  const sc = scorecard || {};
+  const lang = sc.language || DEFAULT_LANGUAGE;
+  const loc = localeFor(lang);
+  const parts = [prompt(lang, "scorecardResult", !!sc.pass), prompt(lang, "scorecardRequired", sc.requiredHit || 0, sc.requiredTotal || 0)];
+  if (Array.isArray(sc.hit) && sc.hit.length) parts.push(prompt(lang, "scorecardHit", sc.hit.map((c) => c.label)));
+  if (Array.isArray(sc.missed) && sc.missed.length) parts.push(prompt(lang, "scorecardMissed", sc.missed.map((c) => c.label)));
+  if (Array.isArray(sc.violations) && sc.violations.length) {
+    parts.push(prompt(lang, "scorecardViolations", sc.violations.map((v) => loc.violations[v.code] || v.description)));
+  }
+  if (sc.realism?.escalations) parts.push(prompt(lang, "scorecardEscalations", sc.realism.escalations, sc.realism.recovered));
+  const other = (sc.failReasons || []).filter((r) => !/^(?:Missed checkpoint|Violation [A-Z_]+):/.test(String(r)));
+  if (other.length) parts.push(prompt(lang, "scorecardNotes", other.map((r) => loc.notes[r] || r)));
+  return parts.join(" ");
+}
+
+// ---------------- Twilio stream bridge ----------------
+
+// Ensure WebSocketServer and server are defined before wss is used
+const http = require("http");
+const { WebSocketServer } = require("ws");
+const WSClient = require("ws");
+const fetch = require("node-fetch");
+const { pcm16ToMulaw, mulawToPcm16, mulawRms } = require("./g711");
+
+// Twilio REST: point the live call at a TwiML route once the stream ends.
+// TWILIO_API_BASE exists so the offline harness can capture the redirect.
+const TWILIO_API_BASE = String(process.env.TWILIO_API_BASE || "https://api.twilio.com").replace(/\/+$/, "");
+
+function twilioRedirectCall(callSid, reqLike, routePath) {
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+    console.log(JSON.stringify({ event: "TWILIO_REDIRECT_SKIPPED", callSid, reason: "NO_CREDENTIALS" }));
+    return Promise.resolve(false);
+  }
+  const headers = reqLike?.headers || {};
+  const url = absUrl({ headers, protocol: reqLike?.protocol || "https", get: (h) => headers[String(h).toLowerCase()] }, routePath);
+  const auth = Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString("base64");
+  return fetch(`${TWILIO_API_BASE}/2010-04-01/Accounts/${encodeURIComponent(TWILIO_ACCOUNT_SID)}/Calls/${encodeURIComponent(callSid)}.json`, {
+    method: "POST",
+    headers: { Authorization: `Basic ${auth}`, "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ Url: url, Method: "POST" }).toString(),
+  }).then((r) => {
+    console.log(JSON.stringify({ event: "TWILIO_REDIRECT", callSid, url, status: r.status }));
+    return r.ok;
+  });
+}
+app.use(express.static("public"));
+const server = http.createServer(app);
+
+// One upgrade listener routes every WebSocket path (ws aborts upgrades that do not match a server's `path`).
+const WS_ROUTES = new Map();
+server.on("upgrade", (req, socket, head) => {
+  const pathname = String(req.url || "").split("?")[0];
+  const target = WS_ROUTES.get(pathname);
+  if (!target) {
+    socket.write("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+    socket.destroy();
+    return;
+  }
+  target.handleUpgrade(req, socket, head, (ws) => target.emit("connection", ws, req));
+});
+
+// ---------------- Call recording ----------------
+// Two-channel WAV per attempt (caller left, borrower right) at LOG_DIR/recordings/<attemptId>.wav,
+// for supervisors reviewing a disputed result. RECORDING_MODE: off | exam | all (text practice has
+// no audio). When a call is recorded the caller hears RECORDING_NOTICE before the borrower connects;
+// browser calls show it in the page. Files older than RECORDING_RETENTION_DAYS are deleted.
+const { createRecorder } = require("./recording");
+
+const RECORDING_MODE = ["off", "exam", "all"].includes(String(process.env.RECORDING_MODE || "").toLowerCase())
+  ? String(process.env.RECORDING_MODE).toLowerCase()
+  : "off";
+const RECORDING_NOTICE = String(process.env.RECORDING_NOTICE || "").trim() || prompt(DEFAULT_LANGUAGE, "recordingNotice");
+const RECORDING_RETENTION_DAYS = clampInt(process.env.RECORDING_RETENTION_DAYS, 30, 1, 3650);
+const RECORDING_DIR = path.join(LOG_DIR, "recordings");
+const RECORDING_FILE_RE = /^([a-f0-9]{12})\.wav$/;
+let _recordingsPrunedDay = "";
+
+function recordingEnabled(examMode) {
+  return RECORDING_MODE === "all" || (RECORDING_MODE === "exam" && !!examMode);
+}
+
+// RECORDING_NOTICE overrides the English notice; other languages use their catalog text.
+function recordingNoticeFor(language) {
+  return normalizeLanguage(language) === DEFAULT_LANGUAGE ? RECORDING_NOTICE : prompt(language, "recordingNotice");
+}
+
+function recordingPath(attemptId) {
+  return path.join(RECORDING_DIR, `${attemptId}.wav`);
+}
+
+function pruneRecordings(nowMs = Date.now()) {
+  const cutoffMs = nowMs - RECORDING_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let removed = 0;
+  try {
+    for (const name of fs.readdirSync(RECORDING_DIR)) {
+      if (!RECORDING_FILE_RE.test(name)) continue;
+      const file = path.join(RECORDING_DIR, name);
+      if (fs.statSync(file).mtimeMs >= cutoffMs) continue;
+      fs.unlinkSync(file);
+      removed += 1;
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") console.log(JSON.stringify({ event: "RECORDING_PRUNE_ERROR", error: String(e?.message || e) }));
+  }
+  _recordingsPrunedDay = auditDay(nowMs);
+  if (removed) console.log(JSON.stringify({ event: "RECORDINGS_PRUNED", removed, retentionDays: RECORDING_RETENTION_DAYS }));
+  return removed;
+}
+
+// Sets state.recording (referenced by the audit record) and writes the file in the background.
+function saveRecording(state, recorder) {
+  if (!recorder || recorder.isEmpty()) return null;
+  const attemptId = state._audit.attemptId;
+  const wav = recorder.toWav();
+  state.recording = { file: path.basename(recordingPath(attemptId)), durationMs: recorder.durationMs(), bytes: wav.length, channels: { left: "caller", right: "borrower" } };
+
+  if (_recordingsPrunedDay !== auditDay()) pruneRecordings();
+  fs.promises
+    .mkdir(RECORDING_DIR, { recursive: true })
+    .then(() => fs.promises.writeFile(recordingPath(attemptId), wav, { mode: 0o600 }))
+    .then(() => console.log(JSON.stringify({ event: "RECORDING_WRITTEN", sid: state.callSid, attemptId, durationMs: state.recording.durationMs, bytes: wav.length })))
+    .catch((e) => console.log(JSON.stringify({ event: "RECORDING_WRITE_ERROR", sid: state.callSid, attemptId, error: String(e?.message || e) })));
+  return state.recording;
+}
+
+app.get("/admin/recordings/:attemptId", requireAdmin, (req, res) => {
+  const attemptId = String(req.params.attemptId || "");
+  if (!RECORDING_FILE_RE.test(`${attemptId}.wav`)) return res.status(400).json({ error: "invalid attemptId" });
+  const file = recordingPath(attemptId);
+  if (!fs.existsSync(file)) return res.status(404).json({ error: "recording not found" });
+  adminAudit(req, "RECORDING_FETCH", { attemptId });
+  return res.sendFile(path.resolve(file), { headers: { "Content-Type": "audio/wav", "Cache-Control": "no-store" } });
+});
+
+// ---------------- Media bridge ----------------
+// One call's audio path: Realtime session, prebuffered playback queue, barge-in, timebox and
+// scoring. Shared by wss /twilio and the browser mic ingress. `peer` speaks Twilio Media Streams
+// events ({ send(obj), close(), isOpen() }); inbound start/media/stop events go to handle().
+// onEnd(state, reason) runs once the attempt is scored, before the peer is closed.
+function createMediaBridge(peer, { onEnd = null } = {}) {
+  let streamSid = null;
+  let callSid = null;
+  let lastModelAudioMs = 0;
 
   const outQueue = [];
   let outQueueBytes = 0;
@@ -468,6 +2453,10 @@ wss.on("connection", (twilioWs, req) => {
   let epoch = 0;
 
   let openaiWs = null;
+  let timeboxTimer = null;
+  let stopRealism = null;
+  let ended = false;
+  let recorder = null;
 
   function queueAudioToTwilio(payloadB64, acceptEpoch) {
     if (!streamSid || !payloadB64) return;
@@ -480,6 +2469,7 @@ wss.on("connection", (twilioWs, req) => {
       }
       const st = callSid ? getOrInitState(callSid) : null;
       if (st) st.metrics.staticIndicators.push({ ts: Date.now(), type: "OUTQUEUE_TRIM", outQueueBytes });
+      METRICS.outQueueTrims.inc();
     }
 
     outQueue.push({ payload: String(payloadB64), bytes, epoch: acceptEpoch });
@@ -499,7 +2489,7 @@ wss.on("connection", (twilioWs, req) => {
   function clearTwilioPlayback() {
     if (!streamSid) return;
     try {
-      twilioWs.send(JSON.stringify({ event: "clear", streamSid }));
+      peer.send({ event: "clear", streamSid });
     } catch {}
     outQueue.length = 0;
     outQueueBytes = 0;
@@ -518,6 +2508,7 @@ wss.on("connection", (twilioWs, req) => {
           return;
         }
         st.ts.playbackStartMs = Date.now();
+        if (st.ts.connectStartMs) METRICS.timeToFirstAudio.observe({ channel: st.channel }, (st.ts.playbackStartMs - st.ts.connectStartMs) / 1000);
       }
 
       if (!outQueue.length) {
@@ -537,8 +2528,10 @@ wss.on("connection", (twilioWs, req) => {
       if (item.epoch !== epoch) return;
 
       try {
-        twilioWs.send(JSON.stringify({ event: "media", streamSid, media: { payload: item.payload } }));
+        peer.send({ event: "media", streamSid, media: { payload: item.payload } });
         if (st) st.metrics.sentFrames += 1;
+        // what the caller actually heard: cancelled/cleared audio never gets here
+        if (recorder) recorder.borrower(Buffer.from(item.payload, "base64"));
       } catch {}
     }, TUNE.SEND_INTERVAL_MS);
   }
@@ -555,39 +2548,54 @@ wss.on("connection", (twilioWs, req) => {
       if (msg.type === "response.audio.delta" || msg.type === "response.output_audio.delta" || msg.type === "response.audio_chunk") {
         const audio = msg.delta || msg.audio || msg.chunk || "";
         if (audio) queueAudioToTwilio(audio, epoch);
+        return;
+      }
+
+      // Exam drift: the Realtime handler has already recorded the drift event; stop the attempt.
+      if (msg.type === "response.done" && state.examMode && state.governance.driftTriggered && !state.ts.endMs) {
+        endAndScore("EXAM_DRIFT_FAIL");
       }
     });
   }
 
   function endAndScore(reason) {
+    // stop, timebox and exam drift can race; only the first one ends the attempt
+    if (ended) return;
+    ended = true;
+    if (timeboxTimer) clearTimeout(timeboxTimer);
+    if (stopRealism) stopRealism();
+
     const st = callSid ? getOrInitState(callSid) : null;
     if (st) {
       st.ts.endMs = Date.now();
       st.metrics.staticIndicators.push({ ts: Date.now(), type: "END", reason });
       computeScorecard(st);
+      try {
+        saveRecording(st, recorder);
+      } catch (e) {
+        console.log(JSON.stringify({ event: "RECORDING_WRITE_ERROR", sid: st.callSid, error: String(e?.message || e) }));
+      }
+      recorder = null;
       finalizeAuditRecord(st, { endReason: reason });
     }
 
+    if (st && onEnd) {
+      try {
+        onEnd(st, reason);
+      } catch (e) {
+        console.log(JSON.stringify({ event: "MEDIA_BRIDGE_END_ERROR", sid: st.callSid, error: String(e?.message || e) }));
+      }
+    }
+
     try {
       if (openaiWs && openaiWs.readyState === WSClient.OPEN) openaiWs.close();
     } catch {}
     try {
-      if (twilioWs && twilioWs.readyState === 1) twilioWs.close();
+      if (peer.isOpen()) peer.close();
     } catch {}
-
-    if (callSid) {
-      twilioRedirectCall(callSid, { headers: req.headers, protocol: "https" }, "/score").catch(() => {});
-    }
   }
 
-  twilioWs.on("message", (raw) => {
-    let msg = null;
-    try {
-      msg = JSON.parse(raw.toString("utf8"));
-    } catch {
-      return;
-    }
-
+  function handle(msg) {
     if (msg.event === "start") {
       streamSid = msg.start?.streamSid || null;
       callSid = msg.start?.callSid || null;
@@ -600,42 +2608,47 @@ wss.on("connection", (twilioWs, req) => {
         st.operatorPin = custom.operatorPin || st.operatorPin || "";
         st.mode = (custom.mode || st.mode || "mcd").toLowerCase();
         st.difficulty = custom.difficulty || st.difficulty || "Standard";
+        st.language = normalizeLanguage(custom.language || st.language);
         st.scenarioId = custom.scenarioId || st.scenarioId || "";
         st.borrowerName = custom.borrowerName || st.borrowerName || "Steve";
         st.borrowerGender = String(custom.borrowerGender || st.borrowerGender || "").toLowerCase();
         st.examMode = String(custom.examMode || (st.examMode ? "true" : "false")) === "true";
+
+        const op = operatorForPin(st.operatorPin);
+        st.operator.operatorId = op ? op.id : null;
+        st.operator.operatorName = op ? op.name : null;
         st.ts.connectStartMs = st.ts.connectStartMs || Date.now();
 
-        // Ensure scenario exists for instructions
+        // Ensure scenario exists for instructions (an explicit scenarioId wins over selection)
         if (!st.scenario) {
           st.rotation.seed = stableSeed({ callSid: st.callSid, from: st.from });
-          const sc = pickScenario(st.mode, st.difficulty, st.rotation.seed);
-          if (sc) {
-            st.scenario = sc;
-            st.scenarioId = sc.id;
-            st.borrowerName = sc.borrowerName || st.borrowerName;
-            st.borrowerGender = String(sc.borrowerGender || st.borrowerGender || "").toLowerCase();
-            st.ruleFocus = sc.ruleFocus || st.ruleFocus || [];
-            st.baitType = sc.baitType || st.baitType || "";
-            st.requiredOutcome = sc.requiredOutcome || st.requiredOutcome || "";
-            st.rotation.openerIdx = sc.openers?.length ? hexToInt(st.rotation.seed.slice(8, 16)) % sc.openers.length : 0;
-            st.rotation.pressureIdx = sc.pressureLines?.length ? hexToInt(st.rotation.seed.slice(16, 24)) % sc.pressureLines.length : 0;
+          const byId = getScenarioById(st.scenarioId);
+          if (byId) {
+            st.mode = byId.mode;
+            st.difficulty = byId.difficulty;
+            assignScenario(st, byId.scenario);
+            st.selection = { strategy: "explicit", seed: st.rotation.seed, scenarioId: byId.scenario.id };
+          } else {
+            selectScenarioForState(st, { promote: !st.examMode });
           }
         }
       }
 
-      console.log(JSON.stringify({ event: "TWILIO_STREAM_START", callSid, streamSid, operatorPin: st?.operatorPin || "", mode: st?.mode, difficulty: st?.difficulty, scenarioId: st?.scenarioId }));
+      console.log(JSON.stringify({ event: "TWILIO_STREAM_START", callSid, streamSid, operatorId: st?.operator?.operatorId || null, operatorName: st?.operator?.operatorName || null, mode: st?.mode, difficulty: st?.difficulty, language: st?.language, scenarioId: st?.scenarioId }));
 
       if (st) {
+        if (recordingEnabled(st.examMode)) recorder = createRecorder({ startMs: st.ts.connectStartMs, maxSeconds: TUNE.PRACTICE_MAX_SECONDS + 60 });
         openaiWs = openaiRealtimeConnect(st);
         bindOpenAIToTwilio(openaiWs, st);
+        // Borrower audio still queued or arriving counts as the borrower talking
+        stopRealism = startRealismEngine(openaiWs, st, { isBusy: () => outQueue.length > 0 || Date.now() - lastModelAudioMs < 1000 });
       }
       startSenderLoop();
 
       // Timebox end
       if (st) {
         const maxSec = st.examMode ? TUNE.EXAM_MAX_SECONDS : TUNE.PRACTICE_MAX_SECONDS;
-        setTimeout(() => {
+        timeboxTimer = setTimeout(() => {
           if (CALL_STATE.has(st.callSid)) endAndScore(st.examMode ? "EXAM_TIMEBOX" : "PRACTICE_TIMEBOX");
         }, maxSec * 1000);
       }
@@ -647,253 +2660,2020 @@ wss.on("connection", (twilioWs, req) => {
       const payload = msg.media?.payload || "";
       if (!payload) return;
 
-      const st = callSid ? getOrInitState(callSid) : null;
-      if (!st || !openaiWs) return;
+      const st = callSid ? getOrInitState(callSid) : null;
+      if (!st || !openaiWs) return;
+
+      // If borrower was speaking and caller barges in, cancel + clear.
+      // Phones and browser mics stream continuously, so only audible frames count as barge-in.
+      const now = Date.now();
+      const modelSpeaking = now - lastModelAudioMs < 550;
+
+      if (modelSpeaking && mulawRms(Buffer.from(payload, "base64")) >= TUNE.BARGE_IN_MIN_RMS) {
+        epoch += 1;
+        clearTwilioPlayback();
+        noteCallerSpeech(st, "start");
+        if (cancelResponse(openaiWs, st)) METRICS.bargeInCancels.inc({ channel: st.channel }); // guarded
+        else markBorrowerTurnInterrupted(st);
+      }
+
+      // Forward caller audio (drives model + transcription)
+      const bytes = Buffer.byteLength(payload, "utf8");
+      if (bytes > TUNE.INBOUND_MAX_B64_BYTES) {
+        st.metrics.staticIndicators.push({ ts: Date.now(), type: "INBOUND_TOO_LARGE", bytes });
+        METRICS.inboundTooLarge.inc();
+        return;
+      }
+      trySend(openaiWs, { type: "input_audio_buffer.append", audio: payload });
+      if (recorder) recorder.caller(Buffer.from(payload, "base64"));
+
+      return;
+    }
+
+    if (msg.event === "stop") {
+      endAndScore("TWILIO_STOP");
+      return;
+    }
+  }
+
+  // Peer went away: stop the sender loop and timebox (the attempt is scored by stop/end, not here)
+  function dispose() {
+    if (sendTimer) clearInterval(sendTimer);
+    if (timeboxTimer) clearTimeout(timeboxTimer);
+    if (stopRealism) stopRealism();
+  }
+
+  return { handle, end: endAndScore, dispose };
+}
+
+const wss = new WebSocketServer({ noServer: true });
+WS_ROUTES.set("/twilio", wss);
+
+wss.on("connection", (twilioWs, req) => {
+  const bridge = createMediaBridge(
+    {
+      send: (obj) => twilioWs.send(JSON.stringify(obj)),
+      close: () => twilioWs.close(),
+      isOpen: () => twilioWs.readyState === WSClient.OPEN,
+    },
+    // The phone call outlives the stream; send it to the score readback and post-call menu.
+    { onEnd: (st) => twilioRedirectCall(st.callSid, { headers: req.headers, protocol: "https" }, "/score").catch(() => {}) }
+  );
+
+  let rejected = false;
+
+  twilioWs.on("message", (raw) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(raw.toString("utf8"));
+    } catch {
+      return;
+    }
+    if (rejected) return;
+
+    // Nothing reaches the bridge (or OpenAI) until the start event proves it came from our TwiML
+    if (msg.event === "start" && TWILIO_SIGNATURE_CHECK) {
+      const custom = msg.start?.customParameters || {};
+      const callSid = msg.start?.callSid || custom.callSid || "";
+      const check = verifyStreamToken(custom.streamToken, callSid, custom);
+      if (!check.ok) {
+        rejected = true;
+        rejectSecurity("streamToken", { reason: check.reason, callSid: callSid || null, streamSid: msg.start?.streamSid || null, ip: req.socket?.remoteAddress || null });
+        twilioWs.close(1008, "invalid stream token");
+        return;
+      }
+    }
+    bridge.handle(msg);
+  });
+
+  twilioWs.on("close", bridge.dispose);
+  twilioWs.on("error", bridge.dispose);
+});
+
+// ---------------- Text practice channel ----------------
+// Typed practice over a WebSocket at /practice/text (browser page: /practice-text.html).
+// Same borrower instructions, transcript, mustHit/violation scan, scorecard and audit record
+// as a phone attempt; practice only, so exams stay on the phone.
+//   client -> { type: "start", mode, difficulty, language?, scenarioId?, operatorPin }
+//   client -> { type: "isa", text }      one typed I. S. A. turn
+//   client -> { type: "end" }
+//   server -> session | borrower.delta | borrower | turn | scorecard | error
+const TEXT_TURN_MAX_CHARS = 2000;
+const textWss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+WS_ROUTES.set("/practice/text", textWss);
+
+textWss.on("connection", (clientWs, req) => {
+  let st = null;
+  let starting = false;
+  let openaiWs = null;
+  let ended = false;
+  let timeboxTimer = null;
+  let replyTimer = null;
+  let pendingReply = false;
+  let stopRealism = null;
+
+  function send(obj) {
+    if (clientWs.readyState !== WSClient.OPEN) return;
+    try {
+      clientWs.send(JSON.stringify(obj));
+    } catch {}
+  }
+
+  function endSession(reason) {
+    if (ended || !st) return;
+    ended = true;
+    if (timeboxTimer) clearTimeout(timeboxTimer);
+    if (replyTimer) clearTimeout(replyTimer);
+    if (stopRealism) stopRealism();
+
+    st.ts.endMs = Date.now();
+    st.metrics.staticIndicators.push({ ts: Date.now(), type: "END", reason });
+    computeScorecard(st);
+    finalizeAuditRecord(st, { endReason: reason });
+    console.log(JSON.stringify({ event: "TEXT_PRACTICE_END", sid: st.callSid, attemptId: st._audit.attemptId, reason, pass: st.operator.lastScore?.pass }));
+
+    send({ type: "scorecard", reason, scorecard: st.operator.lastScore, spoken: st.operator.lastScoreSpoken });
+    // Scored and audited; the record on disk is the copy from here on
+    CALL_STATE.delete(st.callSid);
+    try {
+      if (openaiWs && openaiWs.readyState === WSClient.OPEN) openaiWs.close();
+    } catch {}
+    try {
+      if (clientWs.readyState === WSClient.OPEN) clientWs.close();
+    } catch {}
+  }
+
+  // A typed turn can land while the borrower is still answering or inside the response cooldown;
+  // keep trying until the reply is created or the session ends.
+  function requestBorrowerReply() {
+    pendingReply = true;
+    if (replyTimer) return;
+    const attempt = () => {
+      replyTimer = null;
+      if (!pendingReply || ended) return;
+      if (createBorrowerResponse(openaiWs, st, "")) {
+        pendingReply = false;
+        return;
+      }
+      replyTimer = setTimeout(attempt, 100);
+    };
+    attempt();
+  }
+
+  function bindOpenAIToText(ws) {
+    let modelCount = 0;
+    ws.on("message", (raw) => {
+      let msg = null;
+      try {
+        msg = JSON.parse(raw.toString("utf8"));
+      } catch {
+        return;
+      }
+      if (msg.type === "response.text.delta" || msg.type === "response.output_text.delta") {
+        if (msg.delta) send({ type: "borrower.delta", delta: String(msg.delta) });
+        return;
+      }
+      // openaiRealtimeConnect's own listener runs first and has already recorded the turn
+      if (msg.type === "response.done") {
+        const turns = st.transcript.modelText;
+        for (; modelCount < turns.length; modelCount++) send({ type: "borrower", text: turns[modelCount].text });
+      }
+    });
+    ws.on("close", () => endSession("REALTIME_CLOSED"));
+  }
+
+  async function startSession(msg) {
+    if (st || starting) return send({ type: "error", error: "session already started" });
+
+    const mode = String(msg.mode || "mcd").toLowerCase();
+    if (!SECTION_PREFIX[mode]) return send({ type: "error", error: `unknown mode: ${mode}` });
+
+    const operatorPin = String(msg.operatorPin || "").trim();
+    if (!operatorPin) return send({ type: "error", error: "operator PIN is required" });
+    starting = true;
+    let op = null;
+    try {
+      op = await practiceSignIn(req, operatorPin, "text");
+    } finally {
+      starting = false;
+    }
+    if (clientWs.readyState !== WSClient.OPEN) return;
+    if (!op) {
+      send({ type: "error", error: "sign-in failed" });
+      return clientWs.close();
+    }
+
+    const next = getOrInitState(`TX${crypto.randomBytes(16).toString("hex")}`);
+    next.channel = "text";
+    next.operator.connectMode = "text";
+    next.operatorPin = operatorPin;
+    next.operator.operatorId = op.id;
+    next.operator.operatorName = op.name;
+    next.mode = mode;
+    next.difficulty = normalizeDifficulty(msg.difficulty);
+    next.language = normalizeLanguage(msg.language);
+    next.examMode = false;
+    next.rotation.seed = stableSeed({ callSid: next.callSid, from: op.id });
+
+    const byId = msg.scenarioId ? getScenarioById(String(msg.scenarioId)) : null;
+    if (byId) {
+      next.mode = byId.mode;
+      next.difficulty = byId.difficulty;
+      assignScenario(next, byId.scenario);
+      next.selection = { strategy: "explicit", seed: next.rotation.seed, scenarioId: byId.scenario.id };
+    } else {
+      selectScenarioForState(next, { promote: true });
+    }
+    if (!next.scenario) {
+      CALL_STATE.delete(next.callSid);
+      return send({ type: "error", error: `no scenarios for ${mode} ${next.difficulty} in ${localeFor(next.language).name}` });
+    }
+
+    st = next;
+    st.ts.connectStartMs = Date.now();
+    console.log(JSON.stringify({ event: "TEXT_PRACTICE_START", sid: st.callSid, attemptId: st._audit.attemptId, operatorId: st.operator.operatorId, mode: st.mode, difficulty: st.difficulty, language: st.language, scenarioId: st.scenarioId }));
+
+    send({
+      type: "session",
+      sessionId: st.callSid,
+      attemptId: st._audit.attemptId,
+      mode: st.mode,
+      difficulty: st.difficulty,
+      language: st.language,
+      scenario: { id: st.scenarioId, borrowerName: st.borrowerName },
+      maxSeconds: TUNE.PRACTICE_MAX_SECONDS,
+    });
+
+    openaiWs = openaiRealtimeConnect(st, { textOnly: true });
+    bindOpenAIToText(openaiWs);
+    stopRealism = startRealismEngine(openaiWs, st, { isBusy: () => pendingReply });
+    timeboxTimer = setTimeout(() => endSession("PRACTICE_TIMEBOX"), TUNE.PRACTICE_MAX_SECONDS * 1000);
+  }
+
+  function isaTurn(msg) {
+    if (!st || ended) return send({ type: "error", error: "no active session" });
+    const text = String(msg.text || "").slice(0, TEXT_TURN_MAX_CHARS);
+
+    const hitsBefore = st.governance.checkpoints.length;
+    const violationsBefore = st.governance.violations.length;
+    const entry = addCallerText(st, text);
+    if (!entry) return send({ type: "error", error: "empty turn" });
+
+    send({
+      type: "turn",
+      checkpoints: st.governance.checkpoints.slice(hitsBefore).map((c) => ({ id: c.id, label: c.label })),
+      violations: st.governance.violations.slice(violationsBefore).map((v) => ({ code: v.code, severity: v.severity, description: v.description })),
+    });
+
+    trySend(openaiWs, { type: "conversation.item.create", item: { type: "message", role: "user", content: [{ type: "input_text", text: entry.text }] } });
+    requestBorrowerReply();
+  }
+
+  clientWs.on("message", (raw) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(raw.toString("utf8"));
+    } catch {
+      return send({ type: "error", error: "invalid JSON" });
+    }
+    if (msg.type === "start") {
+      // A failed start must not reach unhandledRejection (which exits the server); the client gets a generic error.
+      return startSession(msg).catch((e) => {
+        console.log(JSON.stringify({ event: "TEXT_PRACTICE_START_ERROR", error: String(e?.message || e) }));
+        send({ type: "error", error: "could not start the session" });
+        clientWs.close();
+      });
+    }
+    if (msg.type === "isa") return isaTurn(msg);
+    if (msg.type === "end") return endSession("TEXT_END");
+    return send({ type: "error", error: `unknown message type: ${String(msg.type || "")}` });
+  });
+
+  clientWs.on("close", () => endSession("TEXT_DISCONNECT"));
+  clientWs.on("error", () => endSession("TEXT_DISCONNECT"));
+});
+
+// ---------------- Browser mic practice ----------------
+// Practice calls from a browser (page: /practice-voice.html) over a WebSocket at /practice/voice,
+// for operators without a phone. Binary messages are 8 kHz mono PCM16LE both ways (the page
+// resamples the mic); they are transcoded to/from μ-law and run through the same media bridge
+// as a phone call. The scorecard is sent to the page instead of the /score redirect.
+//   client -> { type: "start", mode, difficulty, language?, scenarioId?, operatorPin } | { type: "end" }
+//   server -> session | clear | scorecard | error
+const browserWss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+WS_ROUTES.set("/practice/voice", browserWss);
+
+browserWss.on("connection", (clientWs, req) => {
+  let bridge = null;
+  let callSid = null;
+  let starting = false;
+
+  function send(obj) {
+    if (clientWs.readyState !== WSClient.OPEN) return;
+    try {
+      clientWs.send(JSON.stringify(obj));
+    } catch {}
+  }
+
+  const peer = {
+    send(obj) {
+      if (clientWs.readyState !== WSClient.OPEN) return;
+      if (obj.event === "media") clientWs.send(mulawToPcm16(Buffer.from(String(obj.media?.payload || ""), "base64")));
+      else if (obj.event === "clear") send({ type: "clear" });
+    },
+    close: () => clientWs.close(),
+    isOpen: () => clientWs.readyState === WSClient.OPEN,
+  };
+
+  async function start(msg) {
+    if (bridge || starting) return send({ type: "error", error: "session already started" });
+
+    const mode = String(msg.mode || "mcd").toLowerCase();
+    if (!SECTION_PREFIX[mode]) return send({ type: "error", error: `unknown mode: ${mode}` });
+    const difficulty = normalizeDifficulty(msg.difficulty);
+    const language = normalizeLanguage(msg.language);
+    const scenarioId = String(msg.scenarioId || "");
+    if (!getScenarioById(scenarioId) && !listScenarios(mode, difficulty, language).length) {
+      return send({ type: "error", error: `no scenarios for ${mode} ${difficulty} in ${localeFor(language).name}` });
+    }
+    const operatorPin = String(msg.operatorPin || "").trim();
+    if (!operatorPin) return send({ type: "error", error: "operator PIN is required" });
+    starting = true;
+    let op = null;
+    try {
+      op = await practiceSignIn(req, operatorPin, "browser");
+    } finally {
+      starting = false;
+    }
+    if (clientWs.readyState !== WSClient.OPEN) return;
+    if (!op) {
+      send({ type: "error", error: "sign-in failed" });
+      return clientWs.close();
+    }
+
+    callSid = `BR${crypto.randomBytes(16).toString("hex")}`;
+    const st = getOrInitState(callSid);
+    st.channel = "browser";
+
+    bridge = createMediaBridge(peer, {
+      onEnd: (state, reason) => send({ type: "scorecard", reason, scorecard: state.operator.lastScore, spoken: state.operator.lastScoreSpoken }),
+    });
+    // Browser practice is never an exam; the bridge treats this like a Twilio start event.
+    bridge.handle({
+      event: "start",
+      start: { streamSid: `BS${crypto.randomBytes(16).toString("hex")}`, callSid, customParameters: { mode, difficulty, language, scenarioId, operatorPin, examMode: "false" } },
+    });
+
+    send({
+      type: "session",
+      sessionId: callSid,
+      attemptId: st._audit.attemptId,
+      mode: st.mode,
+      difficulty: st.difficulty,
+      language: st.language,
+      scenario: { id: st.scenarioId, borrowerName: st.borrowerName },
+      sampleRate: 8000,
+      maxSeconds: TUNE.PRACTICE_MAX_SECONDS,
+      recordingNotice: recordingEnabled(false) ? recordingNoticeFor(st.language) : null,
+    });
+  }
+
+  clientWs.on("message", (raw, isBinary) => {
+    if (isBinary) {
+      if (!bridge) return;
+      const pcm = raw.length % 2 ? raw.subarray(0, raw.length - 1) : raw;
+      bridge.handle({ event: "media", media: { payload: pcm16ToMulaw(pcm).toString("base64") } });
+      return;
+    }
+
+    let msg = null;
+    try {
+      msg = JSON.parse(raw.toString("utf8"));
+    } catch {
+      return send({ type: "error", error: "invalid JSON" });
+    }
+    if (msg.type === "start") {
+      // Same as text practice: a failed start answers the page instead of exiting the server.
+      return start(msg).catch((e) => {
+        console.log(JSON.stringify({ event: "BROWSER_PRACTICE_START_ERROR", error: String(e?.message || e) }));
+        send({ type: "error", error: "could not start the session" });
+        clientWs.close();
+      });
+    }
+    if (msg.type === "end") return bridge ? bridge.end("BROWSER_END") : send({ type: "error", error: "no active session" });
+    return send({ type: "error", error: `unknown message type: ${String(msg.type || "")}` });
+  });
+
+  const closeBridge = () => {
+    // A start that failed before the bridge was created may still have left its state behind
+    if (!bridge) {
+      if (callSid) CALL_STATE.delete(callSid);
+      return;
+    }
+    bridge.end("BROWSER_DISCONNECT");
+    bridge.dispose();
+    // Scored and audited by now, and no more frames can arrive to look the state up
+    CALL_STATE.delete(callSid);
+  };
+  clientWs.on("close", closeBridge);
+  clientWs.on("error", closeBridge);
+});
+
+// =========================================================
+// NOTE: Next block = Post-call menu + feedback + retry/new scenario + boot/validity.
+// =========================================================
+// PASTE BLOCK 5 of 6
+// =========================================================
+// Post-Call Operator Menu + Feedback + Retry/New Scenario
+// - Always reachable because stream end triggers Twilio redirect to /score (Block 4)
+// =========================================================
+
+// ---------------- Scenario retry/reroll ----------------
+function resetForRetrySameScenario(state) {
+  state.transcript.callerText = [];
+  state.transcript.modelText = [];
+  state.timeline = [];
+  state._callerSpeech = [];
+  state.governance.driftTriggered = false;
+  state.governance.driftEvents = [];
+  state.governance.violations = [];
+  state.governance.checkpoints = [];
+  state.governance.realism = freshRealism();
+
+  state.ts.connectStartMs = 0;
+  state.ts.playbackStartMs = 0;
+  state.ts.endMs = 0;
+
+  state.metrics.idleTicks = 0;
+  state.metrics.trueUnderflow = 0;
+  state.metrics.sentFrames = 0;
+  state.metrics.maxOutQueueBytes = 0;
+  state.metrics.avgOutQueueBytes = 0;
+  state.metrics.outQueueSamples = 0;
+  state.metrics.staticIndicators = [];
+  state.metrics.transcriptionEvents = 0;
+  state.metrics.transcriptionFailures = 0;
+  state.recording = null;
+
+  state.operator.lastScore = null;
+  state.operator.lastScoreSpoken = "";
+  state._openerspoken = false;
+
+  state._audit.attemptId = newAttemptId();
+  state._audit.written = false;
+}
+
+function rerollScenarioSameModuleDifficulty(state) {
+  const list = listScenarios(state.mode, state.difficulty, state.language);
+  if (!list.length) return null;
+
+  state.operator._rerollCount = (state.operator._rerollCount || 0) + 1;
+
+  const seed = String(state.rotation?.seed || stableSeed({ callSid: state.callSid, from: state.from }));
+  const nextSeed = crypto.createHash("sha256").update(`${seed}::reroll::${state.operator._rerollCount}`).digest("hex");
+  state.rotation.seed = nextSeed;
+
+  const scenario = selectScenarioForState(state, { excludeId: state.scenarioId });
+  if (!scenario) return null;
+
+  resetForRetrySameScenario(state);
+  return scenario;
+}
+
+// ---------------- Voice call-state sweep ----------------
+// Twilio calls keep their state through the post-call menu (retry, reroll, feedback), so there is no
+// single point to release it. Hang-ups from the menu release it directly; anything else that has been
+// finalized and audited, or never reached the stream, is dropped once it goes quiet.
+function sweepCallStates(now = Date.now()) {
+  const idleMs = TUNE.CALL_STATE_IDLE_MINUTES * 60 * 1000;
+  let removed = 0;
+  for (const [sid, st] of CALL_STATE.entries()) {
+    if (st.channel !== "voice") continue;
+    if (now - (st.ts.lastSeenMs || st.ts.createdMs) < idleMs) continue;
+    if (!st._audit.written && st.ts.connectStartMs) continue;
+    CALL_STATE.delete(sid);
+    removed += 1;
+  }
+  if (removed) console.log(JSON.stringify({ event: "CALL_STATE_SWEPT", removed, remaining: CALL_STATE.size }));
+  return removed;
+}
+
+// ---------------- Score readback ----------------
+// Stream end redirects the live call here; read the scorecard, then open the operator menu.
+app.post("/score", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  // Keep the finalized scorecard (it may carry a technical invalidation) instead of rescoring.
+  const scorecard = st.operator.lastScore || computeScorecard(st);
+  const cert = spokenCertification(st);
+  return res.type("text/xml").status(200).send(
+    twimlResponse(`${say(spokenScorecard(scorecard), st.language)}${cert ? say(cert, st.language) : ""}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
+  );
+});
+
+// ---------------- Post-call menu ----------------
+app.post("/post-call", (req, res) => {
+  const sid = req.body.CallSid;
+  const st = getOrInitState(sid);
+
+  if (!st.operator.lastScore) computeScorecard(st);
+  const reviews = pendingReviews(st.operator.operatorId);
+
+  const action = absUrl(req, "/post-call-action");
+  const inner = [
+    sayPrompt(st, "operatorMenu"),
+    reviews.length ? sayPrompt(st, "reviewsWaiting") : "",
+    ...prompt(st.language, "postCallOptions").map((line) => say(line, st.language)),
+    `<Gather input="dtmf" numDigits="1" action="${xmlEscape(action)}" method="POST" timeout="8">`,
+    sayPrompt(st, "makeSelection"),
+    `</Gather>`,
+    sayPrompt(st, "noInputMainMenu"),
+    `<Redirect method="POST">${xmlEscape(absUrl(req, "/voice"))}</Redirect>`,
+  ].join("");
+
+  return res.type("text/xml").status(200).send(twimlResponse(inner));
+});
+
+app.post("/post-call-action", (req, res) => {
+  const sid = req.body.CallSid;
+  const digit = (req.body.Digits || "").trim();
+  const st = getOrInitState(sid);
+
+  if (digit === "1") {
+    const spoken = st.operator.lastScoreSpoken || spokenScorecard(st.operator.lastScore || computeScorecard(st));
+    return res.type("text/xml").status(200).send(
+      twimlResponse(`${sayPrompt(st, "replayingScorecard")}${say(spoken, st.language)}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
+    );
+  }
+
+  // Exam retries go through the same cool-down / daily cap as a new exam from the menu.
+  if ((digit === "2" || digit === "3") && st.examMode && st.operator.operatorId) {
+    const status = certificationStatus(st.operator.operatorId, st.mode);
+    if (!status.eligible) {
+      return res.type("text/xml").status(200).send(
+        twimlResponse(`${say(spokenExamBlock(status, st.language), st.language)}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
+      );
+    }
+  }
+
+  if (digit === "2") {
+    resetForRetrySameScenario(st);
+    return res.type("text/xml").status(200).send(
+      twimlResponse(`${sayPrompt(st, "retryingScenario")}<Redirect method="POST">${xmlEscape(absUrl(req, "/connect-prompt"))}</Redirect>`)
+    );
+  }
+
+  if (digit === "3") {
+    const sc = rerollScenarioSameModuleDifficulty(st);
+    if (!sc) {
+      return res.type("text/xml").status(200).send(
+        twimlResponse(`${sayPrompt(st, "noMoreScenarios")}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
+      );
+    }
+    return res.type("text/xml").status(200).send(
+      twimlResponse(`${sayPrompt(st, "newScenario")}<Redirect method="POST">${xmlEscape(absUrl(req, "/connect-prompt"))}</Redirect>`)
+    );
+  }
+
+  if (digit === "4") {
+    return res.type("text/xml").status(200).send(
+      twimlResponse(`<Redirect method="POST">${xmlEscape(absUrl(req, "/feedback-prompt"))}</Redirect>`)
+    );
+  }
+
+  if (digit === "5") {
+    return res.type("text/xml").status(200).send(
+      twimlResponse(`${sayPrompt(st, "returningMainMenu")}<Redirect method="POST">${xmlEscape(absUrl(req, "/voice"))}</Redirect>`)
+    );
+  }
+
+  if (digit === "6") {
+    const twiml = twimlResponse(`${sayPrompt(st, "goodbye")}<Hangup/>`);
+    if (st._audit.written) CALL_STATE.delete(st.callSid);
+    return res.type("text/xml").status(200).send(twiml);
+  }
+
+  if (digit === "7") {
+    return res.type("text/xml").status(200).send(
+      twimlResponse(`<Redirect method="POST">${xmlEscape(absUrl(req, "/review-feedback"))}</Redirect>`)
+    );
+  }
+
+  return res.type("text/xml").status(200).send(
+    twimlResponse(`${sayPrompt(st, "invalidSelection")}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
+  );
+});
+
+// ---------------- Reviewer feedback readback ----------------
+// Plays up to REVIEW.MAX_SPOKEN unheard reviews (oldest first), grouped by attempt, then marks
+// them heard. Anything left is offered again next time the menu plays.
+app.post("/review-feedback", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const opId = st.operator.operatorId;
+  const reviews = pendingReviews(opId).slice(0, REVIEW.MAX_SPOKEN);
+  if (!reviews.length) {
+    return res.type("text/xml").status(200).send(
+      twimlResponse(`${sayPrompt(st, "noReviews")}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
+    );
+  }
+
+  const parts = [];
+  let lastAttempt = null;
+  for (const rv of reviews) {
+    if (rv.attemptId !== lastAttempt) {
+      const a = HISTORY_BY_ATTEMPT.get(rv.attemptId);
+      const when = a ? spokenDate(a.writtenAt, st.language) : "";
+      const result = a?.review?.overridden ? !!a.scorecard.pass : null;
+      parts.push(sayPrompt(st, "reviewIntro", { exam: !!a?.examMode, when, scenarioId: a?.scenario?.id, result }));
+      lastAttempt = rv.attemptId;
+    }
+    parts.push(say(spokenReview(rv, st.language), st.language));
+  }
+
+  const heard = new Map();
+  for (const rv of reviews) {
+    if (!heard.has(rv.attemptId)) heard.set(rv.attemptId, { callSid: rv.callSid || null, reviewIds: [] });
+    heard.get(rv.attemptId).reviewIds.push(rv.data.reviewId);
+  }
+  for (const [attemptId, { callSid, reviewIds }] of heard) {
+    appendAttemptEvent(attemptId, callSid, "review_ack", { operatorId: opId, reviewIds, heardOnCallSid: st.callSid || null });
+  }
+  console.log(JSON.stringify({ event: "REVIEW_FEEDBACK_PLAYED", callSid: st.callSid, operatorId: opId, reviews: reviews.length }));
+  parts.push(sayPrompt(st, "reviewsEnd"));
+  parts.push(`<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`);
+  return res.type("text/xml").status(200).send(twimlResponse(parts.join("")));
+});
+
+// ---------------- Feedback: rating + optional voice note ----------------
+app.post("/feedback-prompt", (req, res) => {
+  const st = getOrInitState(req.body.CallSid);
+  const action = absUrl(req, "/feedback-rating");
+  const inner = [
+    sayPrompt(st, "feedbackIntro"),
+    sayPrompt(st, "feedbackScale"),
+    `<Gather input="dtmf" numDigits="1" action="${xmlEscape(action)}" method="POST" timeout="8">`,
+    sayPrompt(st, "enterRating"),
+    `</Gather>`,
+    sayPrompt(st, "noInputOperatorMenu"),
+    `<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`,
+  ].join("");
+  return res.type("text/xml").status(200).send(twimlResponse(inner));
+});
+
+app.post("/feedback-rating", (req, res) => {
+  const sid = req.body.CallSid;
+  const st = getOrInitState(sid);
+  const digit = (req.body.Digits || "").trim();
+
+  const rating = parseInt(digit, 10);
+  if (!Number.isFinite(rating) || rating < 1 || rating > 5) {
+    return res.type("text/xml").status(200).send(
+      twimlResponse(`${sayPrompt(st, "invalidRating")}<Redirect method="POST">${xmlEscape(absUrl(req, "/feedback-prompt"))}</Redirect>`)
+    );
+  }
+
+  st.operator.feedback = st.operator.feedback || {};
+  st.operator.feedback.rating = rating;
+  st.operator.feedback.ratingAtMs = Date.now();
+  appendAuditEvent(st, "feedback", st.operator.feedback);
+
+  const inner = [
+    sayPrompt(st, "ratingRecorded", rating),
+    sayPrompt(st, "voiceNoteOffer"),
+    `<Record action="${xmlEscape(absUrl(req, "/feedback-note"))}" method="POST" maxLength="45" playBeep="true" timeout="3" />`,
+    sayPrompt(st, "noRecording"),
+    `<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`,
+  ].join("");
+
+  return res.type("text/xml").status(200).send(twimlResponse(inner));
+});
+
+app.post("/feedback-note", (req, res) => {
+  const sid = req.body.CallSid;
+  const st = getOrInitState(sid);
+
+  const recUrl = String(req.body.RecordingUrl || "").trim();
+  const recDur = String(req.body.RecordingDuration || "").trim();
+
+  st.operator.feedback = st.operator.feedback || {};
+  st.operator.feedback.noteRecordingUrl = recUrl || null;
+  st.operator.feedback.noteRecordingDuration = recDur || null;
+  st.operator.feedback.noteAtMs = Date.now();
+  appendAuditEvent(st, "feedback", st.operator.feedback);
+
+  console.log(JSON.stringify({ event: "FEEDBACK_CAPTURED", callSid: sid, operatorId: st.operator.operatorId || null, rating: st.operator.feedback.rating, recordingUrl: recUrl || null }));
+
+  return res.type("text/xml").status(200).send(
+    twimlResponse(`${sayPrompt(st, "feedbackSaved")}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
+  );
+});
+
+// ---------------- Operator registry ----------------
+// Persistent operator store (OPERATORS_PATH). PINs are kept only as salted scrypt hashes;
+// a plain PIN leaves the server exactly once, in the create/rotate response.
+const OPERATORS_PATH = process.env.OPERATORS_PATH || "./operators.json";
+const OPERATOR_PIN_DIGITS = clampInt(process.env.OPERATOR_PIN_DIGITS, 6, 4, 10);
+const OPERATORS = new Map();
+
+// PIN lookups go through PIN_INDEX: HMAC-SHA256 of the PIN under OPERATOR_PIN_PEPPER, mapped to the operator
+// id for every operator whatever its status. scrypt only confirms the one candidate, off the event loop.
+const PIN_LOOKUP_KEY = crypto.createHash("sha256").update(`pin-lookup:${process.env.OPERATOR_PIN_PEPPER || TWILIO_AUTH_TOKEN}`).digest();
+// Stored with each lookup, so entries written under another pepper are recognised as stale
+const PIN_LOOKUP_KEY_ID = crypto.createHash("sha256").update(PIN_LOOKUP_KEY).digest("hex").slice(0, 12);
+const PIN_INDEX = new Map();
+const scryptAsync = require("util").promisify(crypto.scrypt);
+
+async function hashPin(pin, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = (await scryptAsync(String(pin), salt, 32)).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+async function pinMatches(pin, pinHash) {
+  const [algo, salt, hash] = String(pinHash || "").split("$");
+  if (algo !== "scrypt" || !salt || !hash) return false;
+  const candidate = await scryptAsync(String(pin), salt, 32);
+  const expected = Buffer.from(hash, "hex");
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+function pinLookup(pin) {
+  return crypto.createHmac("sha256", PIN_LOOKUP_KEY).update(String(pin)).digest("hex");
+}
+
+function isIndexed(op) {
+  return !!op.pinLookup && op.pinLookupKeyId === PIN_LOOKUP_KEY_ID;
+}
+
+function indexOperatorPin(op, pin) {
+  if (isIndexed(op) && PIN_INDEX.get(op.pinLookup) === op.id) PIN_INDEX.delete(op.pinLookup);
+  op.pinLookup = pinLookup(pin);
+  op.pinLookupKeyId = PIN_LOOKUP_KEY_ID;
+  PIN_INDEX.set(op.pinLookup, op.id);
+}
+
+function loadOperators() {
+  OPERATORS.clear();
+  PIN_INDEX.clear();
+  let data = null;
+  try {
+    data = JSON.parse(fs.readFileSync(OPERATORS_PATH, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      console.log(JSON.stringify({ event: "OPERATORS_EMPTY", path: OPERATORS_PATH }));
+      return 0;
+    }
+    throw e;
+  }
+  for (const op of Array.isArray(data?.operators) ? data.operators : []) {
+    if (!op || !op.id || !op.pinHash) continue;
+    OPERATORS.set(op.id, op);
+    if (isIndexed(op)) PIN_INDEX.set(op.pinLookup, op.id);
+  }
+  console.log(JSON.stringify({ event: "OPERATORS_LOADED", path: OPERATORS_PATH, count: OPERATORS.size, unindexed: OPERATORS.size - PIN_INDEX.size }));
+  return OPERATORS.size;
+}
+
+function saveOperators() {
+  const tmp = `${OPERATORS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ operators: [...OPERATORS.values()] }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, OPERATORS_PATH);
+}
+
+function publicOperator(op) {
+  const { pinHash, pinLookup: _lookup, pinLookupKeyId, ...rest } = op;
+  return rest;
+}
+
+// Index-only lookup for PINs the server already verified (signed stream parameters): no scrypt.
+function operatorForPin(pin) {
+  const p = String(pin || "").trim();
+  const op = p ? OPERATORS.get(PIN_INDEX.get(pinLookup(p))) : null;
+  return op && op.status === "active" ? op : null;
+}
+
+// Verifies a PIN someone typed. Operators saved before the index (or under another pepper) are
+// checked one by one until their PIN is next used, then indexed.
+async function findOperatorByPin(pin, { anyStatus = false } = {}) {
+  const p = String(pin || "").trim();
+  if (!p) return null;
+  const usable = (op) => (anyStatus || op.status === "active" ? op : null);
+  const indexed = OPERATORS.get(PIN_INDEX.get(pinLookup(p)));
+  if (indexed) return (await pinMatches(p, indexed.pinHash)) ? usable(indexed) : null;
+  for (const op of [...OPERATORS.values()]) {
+    if (isIndexed(op) || !(await pinMatches(p, op.pinHash))) continue;
+    indexOperatorPin(op, p);
+    try {
+      saveOperators();
+    } catch (e) {
+      console.log(JSON.stringify({ event: "OPERATORS_SAVE_ERROR", error: String(e?.message || e) }));
+    }
+    return usable(op);
+  }
+  return null;
+}
+
+// Unique across every operator, revoked ones included, so a PIN is never handed out twice
+async function generateUniquePin() {
+  for (let i = 0; i < 50; i++) {
+    const pin = String(crypto.randomInt(0, 10 ** OPERATOR_PIN_DIGITS)).padStart(OPERATOR_PIN_DIGITS, "0");
+    if (!(await findOperatorByPin(pin, { anyStatus: true }))) return pin;
+  }
+  throw new Error("Could not generate a unique PIN");
+}
+
+async function createOperator(name) {
+  const pin = await generateUniquePin();
+  const now = new Date().toISOString();
+  const op = {
+    id: `op_${crypto.randomBytes(5).toString("hex")}`,
+    name: String(name).trim(),
+    pinHash: await hashPin(pin),
+    status: "active",
+    createdAt: now,
+    rotatedAt: null,
+    revokedAt: null,
+  };
+  indexOperatorPin(op, pin);
+  OPERATORS.set(op.id, op);
+  saveOperators();
+  return { operator: op, pin };
+}
+
+async function rotateOperatorPin(op) {
+  const pin = await generateUniquePin();
+  op.pinHash = await hashPin(pin);
+  indexOperatorPin(op, pin);
+  op.rotatedAt = new Date().toISOString();
+  saveOperators();
+  return pin;
+}
+
+function revokeOperator(op) {
+  op.status = "revoked";
+  op.revokedAt = new Date().toISOString();
+  saveOperators();
+}
+
+// ---------------- Admin API ----------------
+const ADMIN_API_KEY = String(process.env.ADMIN_API_KEY || "").trim();
+const ADMIN_AUDIT_PATH = path.join(LOG_DIR, "admin-audit.jsonl");
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY || ADMIN_API_KEY === "change_this_to_secure_random") {
+    return res.status(503).json({ error: "ADMIN_API_KEY is not configured" });
+  }
+  const m = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ""));
+  const given = Buffer.from(m ? m[1].trim() : "");
+  const expected = Buffer.from(ADMIN_API_KEY);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    console.log(JSON.stringify({ event: "ADMIN_AUTH_REJECTED", path: req.path, ip: req.ip }));
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  return next();
+}
+
+// Every admin mutation lands here. Never include plain PINs.
+function adminAudit(req, action, details = {}) {
+  const entry = { ts: new Date().toISOString(), action, ip: req.ip || null, ...details };
+  try {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+    fs.appendFileSync(ADMIN_AUDIT_PATH, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  } catch (e) {
+    console.log(JSON.stringify({ event: "ADMIN_AUDIT_ERROR", action, error: String(e?.message || e) }));
+  }
+  console.log(JSON.stringify({ event: "ADMIN_ACTION", ...entry }));
+}
+
+app.get("/admin", (req, res) => res.sendFile(path.resolve(__dirname, "Admin"), { headers: { "Content-Type": "text/html; charset=utf-8" } }));
+
+app.get("/admin/operators", requireAdmin, (req, res) => {
+  const operators = [...OPERATORS.values()].map(publicOperator).sort((a, b) => a.name.localeCompare(b.name));
+  return res.status(200).json({ operators });
+});
+
+app.post("/admin/operators", requireAdmin, async (req, res) => {
+  const name = String(req.body?.name || "").trim();
+  if (!name) return res.status(400).json({ error: "name is required" });
+  try {
+    const { operator, pin } = await createOperator(name);
+    adminAudit(req, "OPERATOR_CREATE", { operatorId: operator.id, name: operator.name });
+    return res.status(201).json({ operator: publicOperator(operator), pin });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post("/admin/operators/revoke", requireAdmin, (req, res) => {
+  const op = OPERATORS.get(String(req.body?.id || ""));
+  if (!op) return res.status(404).json({ error: "operator not found" });
+  if (op.status !== "revoked") revokeOperator(op);
+  adminAudit(req, "OPERATOR_REVOKE", { operatorId: op.id, name: op.name });
+  return res.status(200).json({ operator: publicOperator(op) });
+});
+
+app.post("/admin/operators/rotate", requireAdmin, async (req, res) => {
+  const op = OPERATORS.get(String(req.body?.id || ""));
+  if (!op) return res.status(404).json({ error: "operator not found" });
+  if (op.status !== "active") return res.status(409).json({ error: "operator is revoked" });
+  try {
+    const pin = await rotateOperatorPin(op);
+    adminAudit(req, "OPERATOR_ROTATE", { operatorId: op.id, name: op.name });
+    return res.status(200).json({ operator: publicOperator(op), pin });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ---------------- Operator performance reporting ----------------
+// Built from the attempt records in LOG_DIR; ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, UTC), ?format=csv.
+function reportRange(req) {
+  const from = Date.parse(String(req.query.from || ""));
+  const to = Date.parse(String(req.query.to || ""));
+  return {
+    fromMs: Number.isFinite(from) ? from : 0,
+    toMs: Number.isFinite(to) ? to + 24 * 60 * 60 * 1000 - 1 : Date.now(),
+  };
+}
+
+// Scorecards are the effective ones: supervisor overrides applied (see Supervisor review).
+function operatorAttempts(operatorId, range) {
+  return applyReviews(readAuditRecords(range).filter((r) => r.operator?.id === operatorId)).sort((a, b) => Date.parse(a.writtenAt) - Date.parse(b.writtenAt));
+}
+
+function attemptRow(r) {
+  const sc = r.scorecard || {};
+  return {
+    attemptId: r.attemptId,
+    at: r.writtenAt,
+    scenarioId: r.scenario?.id || "",
+    mode: r.scenario?.mode || "",
+    difficulty: r.scenario?.difficulty || "",
+    examMode: !!r.examMode,
+    pass: !!sc.pass,
+    scorePct: sc.scorePct ?? null,
+    durationSec: r.timing?.durationMs != null ? Math.round(r.timing.durationMs / 1000) : null,
+    violations: (r.governance?.violations || []).map((v) => v.code).join(" "),
+    missed: (sc.missed || []).map((m) => m.id).join(" "),
+    technicallyValid: r.technicalValidity ? r.technicalValidity.valid !== false : true,
+    endReason: r.endReason || "",
+    overridden: !!r.review?.overridden,
+  };
+}
+
+// Monday of the record's UTC week.
+function weekStart(iso) {
+  const d = new Date(iso);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function operatorSummary(records, bucket) {
+  const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : null);
+  const byTier = {};
+  const byCheckpoint = {};
+  const byRule = {};
+  const byPeriod = {};
+
+  for (const r of records) {
+    const sc = r.scorecard || {};
+    const tierKey = `${r.scenario?.mode || "?"}:${r.scenario?.difficulty || "?"}`;
+    const tier = (byTier[tierKey] = byTier[tierKey] || { mode: r.scenario?.mode, difficulty: r.scenario?.difficulty, attempts: 0, passes: 0, examAttempts: 0, examPasses: 0 });
+    tier.attempts += 1;
+    if (sc.pass) tier.passes += 1;
+    if (r.examMode) {
+      tier.examAttempts += 1;
+      if (sc.pass) tier.examPasses += 1;
+    }
+
+    for (const c of sc.hit || []) {
+      const cp = (byCheckpoint[c.id] = byCheckpoint[c.id] || { id: c.id, label: c.label, attempts: 0, hits: 0 });
+      cp.attempts += 1;
+      cp.hits += 1;
+    }
+    for (const c of sc.missed || []) {
+      const cp = (byCheckpoint[c.id] = byCheckpoint[c.id] || { id: c.id, label: c.label, attempts: 0, hits: 0 });
+      cp.attempts += 1;
+    }
+
+    const codes = (r.governance?.violations || []).map((v) => v.code);
+    for (const code of codes) {
+      const rule = (byRule[code] = byRule[code] || { code, count: 0, attempts: 0 });
+      rule.count += 1;
+    }
+    for (const code of new Set(codes)) byRule[code].attempts += 1;
+
+    const period = bucket === "day" ? String(r.writtenAt).slice(0, 10) : weekStart(r.writtenAt);
+    const p = (byPeriod[period] = byPeriod[period] || { period, attempts: 0, passes: 0, durationMsTotal: 0, durationSamples: 0 });
+    p.attempts += 1;
+    if (sc.pass) p.passes += 1;
+    if (r.timing?.durationMs != null) {
+      p.durationMsTotal += r.timing.durationMs;
+      p.durationSamples += 1;
+    }
+  }
+
+  return {
+    attempts: records.length,
+    passRate: rate(records.filter((r) => r.scorecard?.pass).length, records.length),
+    byModuleDifficulty: Object.values(byTier).map((t) => ({ ...t, passRate: rate(t.passes, t.attempts), examPassRate: rate(t.examPasses, t.examAttempts) })),
+    checkpoints: Object.values(byCheckpoint).map((c) => ({ ...c, hitRate: rate(c.hits, c.attempts) })),
+    violations: Object.values(byRule).sort((a, b) => b.count - a.count),
+    durationTrend: Object.values(byPeriod)
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map((p) => ({ period: p.period, attempts: p.attempts, passRate: rate(p.passes, p.attempts), avgDurationSec: p.durationSamples ? Math.round(p.durationMsTotal / p.durationSamples / 1000) : null })),
+  };
+}
+
+function csvEscape(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(","), ...rows.map((r) => columns.map((c) => csvEscape(r[c])).join(","))].join("\n") + "\n";
+}
+
+function sendCsv(res, filename, body) {
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.type("text/csv").status(200).send(body);
+}
+
+app.get("/admin/operators/:id/history", requireAdmin, (req, res) => {
+  const op = OPERATORS.get(req.params.id);
+  if (!op) return res.status(404).json({ error: "operator not found" });
+  const rows = operatorAttempts(op.id, reportRange(req)).map(attemptRow);
+  if (req.query.format === "csv") return sendCsv(res, `${op.id}-history.csv`, toCsv(rows, Object.keys(attemptRow({}))));
+  return res.status(200).json({ operator: publicOperator(op), attempts: rows });
+});
+
+// ?bucket=week (default) | day for the duration trend
+app.get("/admin/operators/:id/summary", requireAdmin, (req, res) => {
+  const op = OPERATORS.get(req.params.id);
+  if (!op) return res.status(404).json({ error: "operator not found" });
+  const summary = operatorSummary(operatorAttempts(op.id, reportRange(req)), req.query.bucket === "day" ? "day" : "week");
+  if (req.query.format === "csv") {
+    const rows = [
+      ...summary.byModuleDifficulty.map((t) => ({ metric: "pass_rate", key: `${t.mode}:${t.difficulty}`, attempts: t.attempts, count: t.passes, rate: t.passRate })),
+      ...summary.checkpoints.map((c) => ({ metric: "checkpoint_hit_rate", key: c.id, label: c.label, attempts: c.attempts, count: c.hits, rate: c.hitRate })),
+      ...summary.violations.map((v) => ({ metric: "violations", key: v.code, attempts: v.attempts, count: v.count })),
+      ...summary.durationTrend.map((p) => ({ metric: "avg_duration_sec", key: p.period, attempts: p.attempts, rate: p.passRate, value: p.avgDurationSec })),
+    ];
+    return sendCsv(res, `${op.id}-summary.csv`, toCsv(rows, ["metric", "key", "label", "attempts", "count", "rate", "value"]));
+  }
+  return res.status(200).json({ operator: publicOperator(op), ...summary });
+});
+
+// ---------------- Attempt transcripts ----------------
+// GET /admin/attempts/:attemptId/transcript (viewer: /transcript.html). Attempts still in
+// progress are served from call state with live: true. Records written before the turn
+// timeline existed get one rebuilt from the flat transcript (no start times, no interruptions).
+function findAttempt(attemptId) {
+  for (const st of CALL_STATE.values()) {
+    if (st._audit?.attemptId === attemptId && !st._audit.written && st.ts.connectStartMs) {
+      return { live: true, record: buildAuditRecord(st) };
+    }
+  }
+  const day = ATTEMPT_DAYS.get(attemptId);
+  if (!day) return null;
+  const dayMs = Date.parse(day);
+  const record = readAuditRecords({ fromMs: dayMs, toMs: dayMs + 24 * 60 * 60 * 1000 - 1 }).find((r) => r.attemptId === attemptId);
+  return record ? { live: false, record } : null;
+}
+
+function timelineFromTranscript(record) {
+  const g = record.governance || {};
+  const start = record.timing?.connectStartMs || null;
+  const turns = [
+    ...(record.transcript?.callerText || []).map((e) => ({ speaker: "isa", e })),
+    ...(record.transcript?.modelText || []).map((e) => ({ speaker: "borrower", e })),
+  ].sort((a, b) => (a.e.ts || 0) - (b.e.ts || 0));
+  return turns.map(({ speaker, e }, i) => ({
+    seq: i + 1,
+    speaker,
+    startMs: e.ts || null,
+    endMs: e.ts || null,
+    startOffsetMs: start && e.ts ? Math.max(0, e.ts - start) : null,
+    endOffsetMs: start && e.ts ? Math.max(0, e.ts - start) : null,
+    text: e.text,
+    interrupted: false,
+    interruptedAtMs: null,
+    checkpoints: speaker === "isa" ? (g.checkpoints || []).filter((c) => c.hitAtMs === e.ts).map((c) => c.id) : [],
+    violations: speaker === "isa" ? (g.violations || []).filter((v) => v.ts === e.ts).map((v) => v.code) : [],
+    drift: speaker === "borrower" ? (g.driftEvents || []).find((d) => d.ts === e.ts)?.type || null : null,
+  }));
+}
+
+app.get("/admin/attempts/:attemptId/transcript", requireAdmin, (req, res) => {
+  const found = findAttempt(String(req.params.attemptId || ""));
+  if (!found) return res.status(404).json({ error: "attempt not found" });
+  const r = found.record;
+  const reviews = found.live ? [] : reviewsFor([r.attemptId]);
+  const sc = effectiveScorecard(r, reviews);
+  const rebuilt = !Array.isArray(r.timeline);
+  return res.status(200).json({
+    attemptId: r.attemptId,
+    live: found.live,
+    writtenAt: r.writtenAt || null,
+    channel: r.channel || "voice",
+    examMode: !!r.examMode,
+    endReason: r.endReason || null,
+    operator: { id: r.operator?.id || null, name: r.operator?.name || null },
+    scenario: { id: r.scenario?.id || null, mode: r.scenario?.mode, difficulty: r.scenario?.difficulty, language: r.scenario?.language || "en", borrowerName: r.scenario?.borrowerName || null },
+    timing: r.timing || null,
+    scorecard: r.scorecard ? { pass: !!sc.pass, scorePct: sc.scorePct ?? null, requiredHit: sc.requiredHit, requiredTotal: sc.requiredTotal, failReasons: sc.failReasons || [], overridden: !!sc.review } : null,
+    originalPass: r.scorecard ? !!r.scorecard.pass : null,
+    // live attempts have no scorecard yet: list what has been hit so far
+    checkpoints: (sc.hit ? [...sc.hit.map((c) => ({ ...c, hit: true })), ...(sc.missed || []).map((c) => ({ ...c, hit: false }))] : (r.governance?.checkpoints || []).map((c) => ({ ...c, hit: true }))).map((c) => ({
+      id: c.id,
+      label: c.label,
+      hit: c.hit,
+      overridden: !!c.overridden,
+    })),
+    reviews: reviews.map((rv) => rv.data),
+    violations: (r.governance?.violations || []).map((v) => ({ code: v.code, severity: v.severity, description: v.description })),
+    recording: r.recording ? { ...r.recording, url: `/admin/recordings/${r.attemptId}` } : null,
+    timelineRebuilt: rebuilt,
+    timeline: rebuilt ? timelineFromTranscript(r) : r.timeline,
+  });
+});
+
+// ---------------- Supervisor review ----------------
+// Supervisors comment on transcript turns and override checkpoint results or the overall result
+// (justification required). Each review is its own audit line (recordType "review") next to the
+// untouched attempt record; overrides carry the scorecard before and after. Reports and
+// certification use the effective scorecard. The operator hears new reviews from the post-call
+// menu; what they have heard is logged against each reviewed attempt as recordType "review_ack".
+const REVIEW = {
+  NOTIFY_DAYS: clampInt(process.env.REVIEW_NOTIFY_DAYS, 30, 1, 365),
+  MIN_JUSTIFICATION_CHARS: 10,
+  MAX_TEXT_CHARS: 1000,
+  MAX_SPOKEN: 5,
+};
+
+// operatorId -> Map(reviewId -> review line) of reviews the operator has not heard, oldest first.
+// Fed by rememberAuditLine (boot load and every write), so the post-call menu never reads LOG_DIR.
+const PENDING_REVIEWS = new Map();
+
+function trackPendingReview(rec) {
+  const opId = rec.data?.operatorId;
+  if (!opId) return;
+  if (!PENDING_REVIEWS.has(opId)) PENDING_REVIEWS.set(opId, new Map());
+  const pending = PENDING_REVIEWS.get(opId);
+  if (rec.recordType === "review") pending.set(rec.data.reviewId, rec);
+  else for (const id of rec.data.reviewIds || []) pending.delete(id);
+}
+
+function reviewsFor(attemptIds, fromMs = 0) {
+  const ids = new Set(attemptIds);
+  const fromDay = auditDay(fromMs);
+  const days = new Set();
+  for (const id of ids) for (const day of REVIEW_DAYS.get(id) || []) if (day >= fromDay) days.add(day);
+  const out = [];
+  for (const day of [...days].sort()) {
+    const dayMs = Date.parse(day);
+    const records = readAuditRecords({ fromMs: Math.max(fromMs, dayMs), toMs: dayMs + 24 * 60 * 60 * 1000 - 1, recordType: "review" });
+    out.push(...records.filter((r) => ids.has(r.attemptId)));
+  }
+  return out;
+}
+
+// Original scorecard + overrides, in the order they were made
+function effectiveScorecard(record, reviews) {
+  const overrides = reviews.filter((r) => r.data?.kind === "override");
+  const original = record.scorecard || {};
+  if (!overrides.length) return original;
+
+  const sc = JSON.parse(JSON.stringify(original));
+  sc.hit = sc.hit || [];
+  sc.missed = sc.missed || [];
+  const requiredIds = new Set([
+    ...(record.governance?.checkpoints || []).filter((c) => c.required).map((c) => c.id),
+    ...sc.missed.filter((m) => m.required).map((m) => m.id),
+  ]);
+  let passOverride = null;
+
+  for (const { data } of overrides) {
+    if (data.target === "pass") {
+      passOverride = !!data.value;
+      continue;
+    }
+    const inHit = sc.hit.find((c) => c.id === data.checkpointId);
+    const inMissed = sc.missed.find((c) => c.id === data.checkpointId);
+    if (data.value && inMissed) {
+      sc.missed = sc.missed.filter((c) => c !== inMissed);
+      sc.hit.push({ id: inMissed.id, label: inMissed.label, offsetMs: null, overridden: true });
+    } else if (!data.value && inHit) {
+      sc.hit = sc.hit.filter((c) => c !== inHit);
+      sc.missed.push({ id: inHit.id, label: inHit.label, required: requiredIds.has(inHit.id), overridden: true });
+    }
+  }
+
+  const total = sc.hit.length + sc.missed.length;
+  sc.scorePct = checkpointScorePct(sc.hit.length, total);
+  sc.requiredHit = sc.hit.filter((c) => requiredIds.has(c.id)).length;
+  sc.failReasons = [
+    ...(sc.failReasons || []).filter((r) => !/^Missed checkpoint: /.test(r)),
+    ...sc.missed.filter((m) => m.required).map((m) => `Missed checkpoint: ${m.label}`),
+  ];
+  sc.pass = passOverride != null ? passOverride : sc.failReasons.length === 0;
+  sc.review = { overrides: overrides.length, passOverridden: passOverride != null, lastReviewId: overrides[overrides.length - 1].data.reviewId };
+  return sc;
+}
+
+// Attempt records with the effective scorecard; the original stays in originalScorecard.
+function applyReviews(records) {
+  if (!records.length) return records;
+  const fromMs = Math.min(...records.map((r) => Date.parse(r.writtenAt) || 0));
+  const byAttempt = {};
+  for (const rv of reviewsFor(records.map((r) => r.attemptId), fromMs)) (byAttempt[rv.attemptId] = byAttempt[rv.attemptId] || []).push(rv);
+  return records.map((r) => {
+    const reviews = byAttempt[r.attemptId];
+    if (!reviews) return r;
+    const scorecard = effectiveScorecard(r, reviews);
+    const overridden = scorecard !== r.scorecard;
+    return {
+      ...r,
+      scorecard,
+      originalScorecard: r.scorecard,
+      review: { count: reviews.length, overridden, passOverridden: !!scorecard.review?.passOverridden },
+    };
+  });
+}
+
+function reviewerName(req) {
+  return String(req.body?.reviewer || "").trim().slice(0, 80);
+}
+
+// Review target: a written attempt (reviews of a live call would race its own scoring)
+function reviewableAttempt(req, res) {
+  const found = findAttempt(String(req.params.attemptId || ""));
+  if (!found) {
+    res.status(404).json({ error: "attempt not found" });
+    return null;
+  }
+  if (found.live) {
+    res.status(409).json({ error: "attempt is still in progress" });
+    return null;
+  }
+  if (!reviewerName(req)) {
+    res.status(400).json({ error: "reviewer is required" });
+    return null;
+  }
+  return found.record;
+}
+
+function newReview(record, kind, req, fields) {
+  return {
+    reviewId: `rv_${crypto.randomBytes(5).toString("hex")}`,
+    kind,
+    reviewer: reviewerName(req),
+    at: new Date().toISOString(),
+    operatorId: record.operator?.id || null,
+    ...fields,
+  };
+}
+
+app.get("/admin/attempts/:attemptId/reviews", requireAdmin, (req, res) => {
+  const found = findAttempt(String(req.params.attemptId || ""));
+  if (!found) return res.status(404).json({ error: "attempt not found" });
+  const reviews = found.live ? [] : reviewsFor([found.record.attemptId]);
+  return res.status(200).json({
+    attemptId: found.record.attemptId,
+    originalScorecard: found.record.scorecard || null,
+    scorecard: effectiveScorecard(found.record, reviews),
+    reviews: reviews.map((r) => r.data),
+  });
+});
+
+// { reviewer, text, turnSeq? } - turnSeq ties the comment to a timeline turn (and its time in the call)
+app.post("/admin/attempts/:attemptId/comments", requireAdmin, (req, res) => {
+  const record = reviewableAttempt(req, res);
+  if (!record) return;
+  const text = String(req.body?.text || "").trim();
+  if (!text) return res.status(400).json({ error: "text is required" });
+  if (text.length > REVIEW.MAX_TEXT_CHARS) return res.status(400).json({ error: `text is limited to ${REVIEW.MAX_TEXT_CHARS} characters` });
+
+  let turn = null;
+  if (req.body?.turnSeq != null) {
+    const timeline = Array.isArray(record.timeline) ? record.timeline : timelineFromTranscript(record);
+    turn = timeline.find((t) => t.seq === Number(req.body.turnSeq));
+    if (!turn) return res.status(400).json({ error: `no turn ${req.body.turnSeq} in this attempt` });
+  }
+
+  const review = newReview(record, "comment", req, { text, turnSeq: turn ? turn.seq : null, atOffsetMs: turn ? turn.startOffsetMs : null });
+  if (!appendAttemptEvent(record.attemptId, record.callSid || null, "review", review)) return res.status(500).json({ error: "could not write review" });
+  adminAudit(req, "REVIEW_COMMENT", { attemptId: record.attemptId, reviewId: review.reviewId, reviewer: review.reviewer, turnSeq: review.turnSeq });
+  return res.status(201).json({ review });
+});
+
+// { reviewer, justification, pass: bool } or { reviewer, justification, checkpointId, hit: bool }
+app.post("/admin/attempts/:attemptId/overrides", requireAdmin, (req, res) => {
+  const record = reviewableAttempt(req, res);
+  if (!record) return;
+  if (!record.scorecard) return res.status(409).json({ error: "attempt has no scorecard" });
+  const justification = String(req.body?.justification || "").trim();
+  if (justification.length < REVIEW.MIN_JUSTIFICATION_CHARS) {
+    return res.status(400).json({ error: `justification is required (at least ${REVIEW.MIN_JUSTIFICATION_CHARS} characters)` });
+  }
+  if (justification.length > REVIEW.MAX_TEXT_CHARS) return res.status(400).json({ error: `justification is limited to ${REVIEW.MAX_TEXT_CHARS} characters` });
+
+  const reviews = reviewsFor([record.attemptId]);
+  const before = effectiveScorecard(record, reviews);
+  let fields = null;
+  if (typeof req.body?.pass === "boolean" && req.body?.checkpointId == null) {
+    fields = { target: "pass", value: req.body.pass };
+  } else if (req.body?.checkpointId != null && typeof req.body?.hit === "boolean") {
+    const id = String(req.body.checkpointId);
+    const cp = [...(before.hit || []), ...(before.missed || [])].find((c) => c.id === id);
+    if (!cp) return res.status(400).json({ error: `unknown checkpoint: ${id}` });
+    fields = { target: "checkpoint", checkpointId: id, checkpointLabel: cp.label, value: req.body.hit };
+  } else {
+    return res.status(400).json({ error: "send either { pass: true|false } or { checkpointId, hit: true|false }" });
+  }
+
+  const review = newReview(record, "override", req, { ...fields, justification });
+  const after = effectiveScorecard(record, [...reviews, { data: review }]);
+  review.before = { pass: !!before.pass, requiredHit: before.requiredHit, scorePct: before.scorePct };
+  review.after = after;
+  if (!appendAttemptEvent(record.attemptId, record.callSid || null, "review", review)) return res.status(500).json({ error: "could not write review" });
+  adminAudit(req, "REVIEW_OVERRIDE", { attemptId: record.attemptId, reviewId: review.reviewId, reviewer: review.reviewer, target: review.target, checkpointId: review.checkpointId || null, value: review.value, passBefore: !!before.pass, passAfter: !!after.pass });
+
+  // An exam turned into a pass may complete a certification
+  let certification = null;
+  if (record.examMode && record.operator?.id && after.pass && !before.pass) {
+    certification = issueCertificationIfDue({ operatorId: record.operator.id, operatorName: record.operator.name || null, mode: record.scenario?.mode, attemptId: record.attemptId, callSid: record.callSid || null });
+  }
+  return res.status(201).json({ review, originalScorecard: record.scorecard, scorecard: after, certification });
+});
+
+// Reviews of this operator's attempts they have not heard yet, oldest first
+function pendingReviews(operatorId, nowMs = Date.now()) {
+  const pending = operatorId ? PENDING_REVIEWS.get(operatorId) : null;
+  if (!pending) return [];
+  const fromMs = nowMs - REVIEW.NOTIFY_DAYS * 24 * 60 * 60 * 1000;
+  for (const [id, rv] of pending) if (Date.parse(rv.writtenAt) < fromMs) pending.delete(id);
+  return [...pending.values()];
+}
+
+function spokenOffset(ms, language) {
+  const s = Math.round(ms / 1000);
+  const m = Math.floor(s / 60);
+  return prompt(language, "offset", m, m ? s % 60 : s);
+}
+
+function spokenReview(rv, language) {
+  const d = rv.data;
+  if (d.kind === "comment") return prompt(language, "reviewComment", d.reviewer, d.atOffsetMs != null ? spokenOffset(d.atOffsetMs, language) : "", d.text);
+  if (d.target === "pass") return prompt(language, "reviewPass", d.reviewer, !!d.value, d.justification);
+  return prompt(language, "reviewCheckpoint", d.reviewer, d.checkpointLabel || d.checkpointId, !!d.value, d.justification);
+}
+
+// ---------------- Certification programme ----------------
+// An operator is certified for a module once they have passed CERT_REQUIREMENTS exams per tier
+// (counted from audit records since their last certification for that module). Exams are gated by
+// a cool-down after a failed exam and a per-day attempt cap. Certifications live in CERTIFICATIONS_PATH.
+const CERTIFICATIONS_PATH = process.env.CERTIFICATIONS_PATH || "./certifications.json";
+const CERT = {
+  REQUIREMENTS: parseCertRequirements(process.env.CERT_REQUIREMENTS || "Standard:2,Moderate:2,Edge:1"),
+  FAIL_COOLDOWN_MINUTES: clampInt(process.env.CERT_FAIL_COOLDOWN_MINUTES, 60, 0, 10080),
+  MAX_EXAMS_PER_DAY: clampInt(process.env.CERT_MAX_EXAMS_PER_DAY, 3, 1, 100),
+  VALID_DAYS: clampInt(process.env.CERT_VALID_DAYS, 365, 1, 3650),
+  WINDOW_DAYS: clampInt(process.env.CERT_WINDOW_DAYS, 90, 1, 3650),
+};
+
+// "Standard:2,Moderate:2,Edge:1" -> { Standard: 2, Moderate: 2, Edge: 1 }
+function parseCertRequirements(spec) {
+  const out = {};
+  for (const part of String(spec || "").split(",")) {
+    const [tier, n] = part.split(":").map((x) => String(x || "").trim());
+    const difficulty = DIFFICULTY_LADDER.find((d) => d.toLowerCase() === tier.toLowerCase());
+    if (difficulty) out[difficulty] = clampInt(n, 0, 0, 100);
+  }
+  return out;
+}
+
+// Read on every exam menu, exam retry and finished exam; parsed again only when the file changes.
+let _certifications = { mtimeMs: -1, list: [] };
+
+function loadCertifications() {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(CERTIFICATIONS_PATH).mtimeMs;
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  if (mtimeMs === _certifications.mtimeMs) return _certifications.list;
+  const data = JSON.parse(fs.readFileSync(CERTIFICATIONS_PATH, "utf8"));
+  _certifications = { mtimeMs, list: Array.isArray(data?.certifications) ? data.certifications : [] };
+  return _certifications.list;
+}
+
+function saveCertifications(list) {
+  const tmp = `${CERTIFICATIONS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ certifications: list }, null, 2));
+  fs.renameSync(tmp, CERTIFICATIONS_PATH);
+  _certifications = { mtimeMs: -1, list: [] };
+}
+
+// A supervisor's pass/fail override stands even over a technical invalidation; they heard the call.
+function isExamPass(r) {
+  if (r.review?.passOverridden) return !!(r.examMode && r.scorecard?.pass);
+  return !!(r.examMode && r.scorecard?.pass && r.technicalValidity?.valid !== false);
+}
+
+function certificationStatus(operatorId, mode, nowMs = Date.now()) {
+  const certs = loadCertifications().filter((c) => c.operatorId === operatorId && c.module === mode);
+  const latest = certs.sort((a, b) => a.issuedAt.localeCompare(b.issuedAt))[certs.length - 1] || null;
+  const active = latest && Date.parse(latest.expiresAt) > nowMs ? latest : null;
+
+  const sinceMs = Math.max(latest ? Date.parse(latest.issuedAt) + 1 : 0, nowMs - CERT.WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const history = operatorHistory(operatorId, { fromMs: Math.min(sinceMs, nowMs - 24 * 60 * 60 * 1000), toMs: nowMs });
+  const exams = history.filter((r) => r.examMode && r.scenario?.mode === mode && Date.parse(r.writtenAt) >= sinceMs);
+  const passes = {};
+  const remaining = {};
+  for (const [tier, need] of Object.entries(CERT.REQUIREMENTS)) {
+    passes[tier] = exams.filter((r) => r.scenario?.difficulty === tier && isExamPass(r)).map((r) => r.attemptId);
+    remaining[tier] = Math.max(0, need - passes[tier].length);
+  }
 
-      // If borrower was speaking and caller barges in, cancel + clear
-      const now = Date.now();
-      const modelSpeaking = now - lastModelAudioMs < 550;
+  // Gating looks at every exam by this operator, not just those since the last certification.
+  const today = auditDay(nowMs);
+  const recentExams = history.filter((r) => r.examMode && Date.parse(r.writtenAt) >= nowMs - 24 * 60 * 60 * 1000);
+  const examsToday = recentExams.filter((r) => auditDay(Date.parse(r.writtenAt)) === today).length;
+  const lastFailure = recentExams.filter((r) => r.scenario?.mode === mode && !isExamPass(r)).pop() || null;
+  const cooldownUntilMs = lastFailure ? Date.parse(lastFailure.writtenAt) + CERT.FAIL_COOLDOWN_MINUTES * 60 * 1000 : 0;
 
-      if (modelSpeaking) {
-        epoch += 1;
-        clearTwilioPlayback();
-        cancelResponse(openaiWs); // guarded
-      }
+  let reason = null;
+  if (examsToday >= CERT.MAX_EXAMS_PER_DAY) reason = "DAILY_LIMIT";
+  else if (cooldownUntilMs > nowMs) reason = "COOLDOWN";
 
-      // Forward caller audio (drives model + transcription)
-      const bytes = Buffer.byteLength(payload, "utf8");
-      if (bytes > TUNE.INBOUND_MAX_B64_BYTES) {
-        st.metrics.staticIndicators.push({ ts: Date.now(), type: "INBOUND_TOO_LARGE", bytes });
-        return;
-      }
-      trySend(openaiWs, { type: "input_audio_buffer.append", audio: payload });
+  return {
+    module: mode,
+    certified: !!active,
+    certification: active,
+    requirements: CERT.REQUIREMENTS,
+    passes,
+    remaining,
+    examsToday,
+    maxExamsPerDay: CERT.MAX_EXAMS_PER_DAY,
+    cooldownUntil: cooldownUntilMs > nowMs ? new Date(cooldownUntilMs).toISOString() : null,
+    eligible: !reason,
+    reason,
+  };
+}
 
-      return;
-    }
+// Issues the certification once requirements are met. attemptId is the exam that completed them
+// (or the one a supervisor just overrode to a pass).
+function issueCertificationIfDue({ operatorId, operatorName = null, mode, attemptId, callSid = null }) {
+  const status = certificationStatus(operatorId, mode);
+  let issued = null;
+  if (!status.certified && Object.values(status.remaining).every((n) => n === 0)) {
+    const now = Date.now();
+    issued = {
+      id: `cert_${crypto.randomBytes(5).toString("hex")}`,
+      operatorId,
+      operatorName,
+      module: mode,
+      issuedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CERT.VALID_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      attemptIds: Object.values(status.passes).flat(),
+      requirements: CERT.REQUIREMENTS,
+    };
+    saveCertifications([...loadCertifications(), issued]);
+    appendAttemptEvent(attemptId, callSid, "certification", issued);
+    console.log(JSON.stringify({ event: "CERTIFICATION_ISSUED", operatorId, module: mode, certificationId: issued.id, expiresAt: issued.expiresAt }));
+  }
+  return { issued, status: issued ? certificationStatus(operatorId, mode) : status };
+}
 
-    if (msg.event === "stop") {
-      endAndScore("TWILIO_STOP");
-      return;
-    }
+// Runs after an exam attempt's audit record is written.
+function evaluateCertification(state) {
+  const opId = state.operator?.operatorId;
+  if (!opId || !state.examMode) return null;
+  state.operator.certification = issueCertificationIfDue({
+    operatorId: opId,
+    operatorName: state.operator.operatorName || null,
+    mode: state.mode,
+    attemptId: state._audit.attemptId,
+    callSid: state.callSid || null,
   });
+  return state.operator.certification;
+}
 
-  twilioWs.on("close", () => {
-    if (sendTimer) clearInterval(sendTimer);
-  });
+function spokenCertification(state) {
+  const cert = state.operator?.certification;
+  if (!cert || !state.operator?.lastScore?.pass) return "";
+  const lang = state.language;
+  const name = moduleName(lang, state.mode);
+  if (cert.issued) return prompt(lang, "certified", name, spokenDate(cert.issued.expiresAt, lang));
+  if (cert.status.certified) return "";
+  const left = Object.entries(cert.status.remaining).filter(([, n]) => n > 0).map(([tier, n]) => prompt(lang, "examsLeft", n, difficultyName(lang, tier)));
+  return left.length ? prompt(lang, "certProgress", name, left) : "";
+}
 
-  twilioWs.on("error", () => {
-    if (sendTimer) clearInterval(sendTimer);
-  });
+function spokenExamBlock(status, language) {
+  if (status.reason === "DAILY_LIMIT") return prompt(language, "examDailyLimit", status.maxExamsPerDay);
+  if (status.reason === "COOLDOWN") {
+    const mins = Math.max(1, Math.ceil((Date.parse(status.cooldownUntil) - Date.now()) / 60000));
+    return prompt(language, "examCooldown", mins);
+  }
+  return "";
+}
+
+app.get("/admin/certifications", requireAdmin, (req, res) => {
+  const nowMs = Date.now();
+  const certifications = loadCertifications().map((c) => ({ ...c, active: Date.parse(c.expiresAt) > nowMs }));
+  return res.status(200).json({ certifications });
 });
 
-// =========================================================
-// NOTE: Next block = Post-call menu + feedback + retry/new scenario + boot/validity.
-// =========================================================
-// PASTE BLOCK 5 of 6
-// =========================================================
-// Post-Call Operator Menu + Feedback + Retry/New Scenario
-// - Always reachable because stream end triggers Twilio redirect to /score (Block 4)
-// =========================================================
+app.get("/admin/operators/:id/certifications", requireAdmin, (req, res) => {
+  const op = OPERATORS.get(req.params.id);
+  if (!op) return res.status(404).json({ error: "operator not found" });
+  const modules = Object.keys(SECTION_PREFIX).map((mode) => certificationStatus(op.id, mode));
+  return res.status(200).json({ operator: publicOperator(op), modules, history: loadCertifications().filter((c) => c.operatorId === op.id) });
+});
 
-// ---------------- Scenario retry/reroll ----------------
-function resetForRetrySameScenario(state) {
-  state.transcript.callerText = [];
-  state.transcript.modelText = [];
-  state.governance.driftTriggered = false;
-  state.governance.driftEvents = [];
-  state.governance.violations = [];
-  state.governance.checkpoints = [];
-  state.governance.realism = { challengeCount: 0, ladderStep: 0, pressureUsed: false };
+app.post("/admin/scenarios/reload", requireAdmin, (req, res) => {
+  const result = reloadScenarios("ADMIN_API");
+  adminAudit(req, "SCENARIOS_RELOAD", { ok: result.ok, reloaded: result.reloaded, version: result.version, errorCount: result.errors.length });
+  return res.status(result.ok ? 200 : 422).json(result);
+});
 
-  state.ts.connectStartMs = 0;
-  state.ts.playbackStartMs = 0;
-  state.ts.endMs = 0;
+// ---------------- Scorecard reports ----------------
+// Every written attempt is reported to the recipients in REPORT_RECIPIENTS_PATH: an "all" entry,
+// teams (lists of operator IDs) and individual operators, each with its own Slack URL, webhook URL
+// and email addresses. A recipient gets one message per attempt, or a daily digest sent at
+// REPORT_DIGEST_HOUR (UTC); digest entries wait in LOG_DIR so a restart does not drop them.
+// The file is re-read when it changes. No file, no reports.
+const reportFormat = require("./reports");
+
+const REPORT_RECIPIENTS_PATH = process.env.REPORT_RECIPIENTS_PATH || "./report-recipients.json";
+const REPORT = {
+  DELIVERY: String(process.env.REPORT_DELIVERY || "each").trim().toLowerCase() === "digest" ? "digest" : "each",
+  DIGEST_HOUR: clampInt(process.env.REPORT_DIGEST_HOUR, 18, 0, 23),
+  EXCERPT_TURNS: clampInt(process.env.REPORT_EXCERPT_TURNS, 6, 1, 50),
+  QUEUE_PATH: path.join(LOG_DIR, "report-digest-queue.jsonl"),
+};
+const REPORT_ATTEMPTS = new Set(["all", "exam", "fail"]);
 
-  state.metrics.idleTicks = 0;
-  state.metrics.trueUnderflow = 0;
-  state.metrics.sentFrames = 0;
-  state.metrics.maxOutQueueBytes = 0;
-  state.metrics.avgOutQueueBytes = 0;
-  state.metrics.outQueueSamples = 0;
-  state.metrics.staticIndicators = [];
-  state.metrics.transcriptionEvents = 0;
-  state.metrics.transcriptionFailures = 0;
+let _reportRecipients = { mtimeMs: -1, targets: [] };
 
-  state.operator.lastScore = null;
-  state.operator.lastScoreSpoken = "";
-  state._openerspoken = false;
+function emailList(v) {
+  return (Array.isArray(v) ? v : String(v || "").split(",")).map((x) => String(x).trim()).filter(Boolean);
+}
 
-  state._audit.attemptId = crypto.randomBytes(6).toString("hex");
-  state._audit.written = false;
+function reportTarget(key, members, entry) {
+  return {
+    key,
+    members,
+    slack: String(entry.slack || "").trim() || null,
+    webhook: String(entry.webhook || "").trim() || null,
+    email: emailList(entry.email),
+    delivery: entry.delivery === "digest" || entry.delivery === "each" ? entry.delivery : REPORT.DELIVERY,
+    attempts: REPORT_ATTEMPTS.has(entry.attempts) ? entry.attempts : "all",
+  };
 }
 
-function rerollScenarioSameModuleDifficulty(state) {
-  const list = listScenarios(state.mode, state.difficulty);
-  if (!list.length) return null;
+// { all: {...}, teams: { id: { operators: [ids], ... } }, operators: { id: {...} } }
+function parseReportRecipients(data) {
+  const targets = [];
+  if (data?.all && typeof data.all === "object") targets.push(reportTarget("all", null, data.all));
+  for (const [id, team] of Object.entries(data?.teams || {})) {
+    if (team && typeof team === "object") targets.push(reportTarget(`team:${id}`, new Set(Array.isArray(team.operators) ? team.operators : []), team));
+  }
+  for (const [id, entry] of Object.entries(data?.operators || {})) {
+    if (entry && typeof entry === "object") targets.push(reportTarget(`operator:${id}`, new Set([id]), entry));
+  }
+  return targets.filter((t) => t.slack || t.webhook || t.email.length);
+}
 
-  state.operator._rerollCount = (state.operator._rerollCount || 0) + 1;
+function reportRecipients() {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(REPORT_RECIPIENTS_PATH).mtimeMs;
+  } catch (e) {
+    if (e.code !== "ENOENT") console.log(JSON.stringify({ event: "REPORT_RECIPIENTS_ERROR", path: REPORT_RECIPIENTS_PATH, error: String(e?.message || e) }));
+    _reportRecipients = { mtimeMs: 0, targets: [] };
+    return [];
+  }
+  if (mtimeMs === _reportRecipients.mtimeMs) return _reportRecipients.targets;
+  try {
+    const targets = parseReportRecipients(JSON.parse(fs.readFileSync(REPORT_RECIPIENTS_PATH, "utf8")));
+    _reportRecipients = { mtimeMs, targets };
+    console.log(JSON.stringify({ event: "REPORT_RECIPIENTS_LOADED", path: REPORT_RECIPIENTS_PATH, targets: targets.map((t) => t.key) }));
+  } catch (e) {
+    // Keep the last good list; a half-saved file should not silence reports.
+    console.log(JSON.stringify({ event: "REPORT_RECIPIENTS_INVALID", path: REPORT_RECIPIENTS_PATH, error: String(e?.message || e) }));
+  }
+  return _reportRecipients.targets;
+}
 
-  const seed = String(state.rotation?.seed || stableSeed({ callSid: state.callSid, from: state.from }));
-  const nextSeed = crypto.createHash("sha256").update(`${seed}::reroll::${state.operator._rerollCount}`).digest("hex");
-  state.rotation.seed = nextSeed;
+function reportTargetsFor(report) {
+  return reportRecipients().filter((t) => {
+    if (t.members && !t.members.has(report.operator.id)) return false;
+    if (t.attempts === "exam") return report.examMode;
+    if (t.attempts === "fail") return !report.pass;
+    return true;
+  });
+}
 
-  const scenario = pickScenario(state.mode, state.difficulty, nextSeed);
-  if (!scenario) return null;
+function transcriptLink(attemptId) {
+  const base = String(process.env.PUBLIC_BASE_URL || "").trim().replace(/\/$/, "");
+  return base ? `${base}/transcript.html?attemptId=${encodeURIComponent(attemptId)}` : null;
+}
 
-  state.scenario = scenario;
-  state.scenarioId = scenario.id;
+// messages: { slack, webhook, email: { subject, text } }. Skips destinations already in `sent`.
+// `delivered` lists the destinations that got the message, as keys of `sent`.
+async function deliverReport(target, messages, sent = new Set()) {
+  const jobs = [];
+  const dests = [];
+  const once = (keys, fn) => {
+    if (keys.every((k) => sent.has(k))) return;
+    keys.forEach((k) => sent.add(k));
+    dests.push(keys);
+    jobs.push(fn());
+  };
+  if (target.slack) once([`slack:${target.slack}`], () => sendSlackMessage(messages.slack, target.slack));
+  if (target.webhook) once([`webhook:${target.webhook}`], () => sendWebhook(messages.webhook, target.webhook));
+  const to = target.email.filter((addr) => !sent.has(`email:${addr}`));
+  if (to.length) once(to.map((addr) => `email:${addr}`), () => sendAlertEmail(messages.email.subject, messages.email.text, to));
+
+  // The senders resolve with nothing when their channel is not set up (email without SMTP); that is not a delivery.
+  const results = await Promise.allSettled(jobs);
+  const failed = [];
+  const delivered = [];
+  results.forEach((r, i) => {
+    let error = null;
+    if (r.status === "rejected") error = String(r.reason?.message || r.reason);
+    else if (r.value === undefined) error = `${dests[i][0].split(":")[0]} not configured`;
+    else if (r.value.ok === false) error = `HTTP ${r.value.status}`;
+    if (error) failed.push(error);
+    else delivered.push(...dests[i]);
+  });
+  return { sent: jobs.length - failed.length, failed, delivered };
+}
 
-  state.borrowerName = scenario.borrowerName || "Steve";
-  state.borrowerGender = String(scenario.borrowerGender || "").toLowerCase();
+// Called once the attempt record is on disk. Digest recipients are queued; the rest are sent now.
+function sendAttemptReports(record) {
+  const report = reportFormat.buildReport(record, { excerptTurns: REPORT.EXCERPT_TURNS, transcriptUrl: transcriptLink(record.attemptId) });
+  const targets = reportTargetsFor(report);
+  if (!targets.length) return;
 
-  state.ruleFocus = scenario.ruleFocus || [];
-  state.baitType = scenario.baitType || "";
-  state.requiredOutcome = scenario.requiredOutcome || "";
+  const digest = targets.filter((t) => t.delivery === "digest");
+  if (digest.length) {
+    try {
+      fs.mkdirSync(LOG_DIR, { recursive: true });
+      const lines = digest.map((t) => JSON.stringify({ queuedAt: new Date().toISOString(), key: t.key, report }));
+      fs.appendFileSync(REPORT.QUEUE_PATH, `${lines.join("\n")}\n`, { mode: 0o600 });
+    } catch (e) {
+      console.log(JSON.stringify({ event: "REPORT_QUEUE_ERROR", attemptId: report.attemptId, error: String(e?.message || e) }));
+    }
+  }
 
-  state.rotation.openerIdx = scenario.openers?.length ? hexToInt(state.rotation.seed.slice(8, 16)) % scenario.openers.length : 0;
-  state.rotation.pressureIdx = scenario.pressureLines?.length ? hexToInt(state.rotation.seed.slice(16, 24)) % scenario.pressureLines.length : 0;
+  const each = targets.filter((t) => t.delivery === "each");
+  if (!each.length) return;
+  const messages = { slack: reportFormat.formatSlack(report), webhook: reportFormat.formatWebhook(report), email: reportFormat.formatEmail(report) };
+  const sent = new Set();
+  (async () => {
+    for (const t of each) {
+      const r = await deliverReport(t, messages, sent);
+      console.log(JSON.stringify({ event: r.failed.length ? "REPORT_SEND_ERROR" : "REPORT_SENT", target: t.key, attemptId: report.attemptId, sent: r.sent, failed: r.failed }));
+    }
+  })().catch((e) => console.log(JSON.stringify({ event: "REPORT_SEND_ERROR", attemptId: report.attemptId, error: String(e?.message || e) })));
+}
 
-  resetForRetrySameScenario(state);
-  return scenario;
+// Sends everything queued, one digest per recipient. The queue file is moved aside first so
+// attempts finishing mid-send land in the next digest.
+// The scheduled run and POST /admin/reports/digest can overlap; the second caller shares the first run.
+let _digestRun = null;
+
+function sendReportDigests(nowMs = Date.now()) {
+  if (!_digestRun) _digestRun = runReportDigests(nowMs).finally(() => (_digestRun = null));
+  return _digestRun;
 }
 
-// ---------------- Post-call menu ----------------
-app.post("/post-call", (req, res) => {
-  const sid = req.body.CallSid;
-  const st = getOrInitState(sid);
+// A recipient whose delivery fails gets its entries back on the queue for the next run, marked with
+// the destinations that did get them so those are not sent twice.
+async function runReportDigests(nowMs) {
+  const sending = `${REPORT.QUEUE_PATH}.sending`;
+  try {
+    if (!fs.existsSync(sending)) fs.renameSync(REPORT.QUEUE_PATH, sending);
+  } catch (e) {
+    if (e.code === "ENOENT") return { targets: 0, reports: 0, requeued: 0 };
+    throw e;
+  }
 
-  if (!st.operator.lastScore) computeScorecard(st);
+  // One digest per recipient and set of destinations already delivered (retries)
+  const groups = new Map();
+  for (const line of fs.readFileSync(sending, "utf8").split("\n")) {
+    if (!line) continue;
+    try {
+      const entry = JSON.parse(line);
+      const delivered = [...(entry.delivered || [])].sort();
+      const group = `${entry.key}\n${delivered.join(",")}`;
+      if (!groups.has(group)) groups.set(group, { key: entry.key, delivered, entries: [] });
+      groups.get(group).entries.push(entry);
+    } catch {}
+  }
 
-  const action = absUrl(req, "/post-call-action");
-  const inner = [
-    say("Operator menu."),
-    say("Press 1 to replay the scorecard."),
-    say("Press 2 to retry the same scenario."),
-    say("Press 3 for a new scenario in the same module and difficulty."),
-    say("Press 4 to leave feedback."),
-    say("Press 5 to return to the main menu."),
-    say("Press 6 to hang up."),
-    `<Gather input="dtmf" numDigits="1" action="${xmlEscape(action)}" method="POST" timeout="8">`,
-    say("Make your selection now."),
-    `</Gather>`,
-    say("No input received. Returning to main menu."),
-    `<Redirect method="POST">${xmlEscape(absUrl(req, "/voice"))}</Redirect>`,
-  ].join("");
+  // Recipients are resolved at send time, so an address changed during the day is honoured.
+  const targets = new Map(reportRecipients().map((t) => [t.key, t]));
+  const day = auditDay(nowMs);
+  const keys = new Set();
+  const requeue = [];
+  let reports = 0;
+  for (const { key, delivered, entries } of groups.values()) {
+    keys.add(key);
+    const t = targets.get(key);
+    if (!t) {
+      console.log(JSON.stringify({ event: "REPORT_DIGEST_DROPPED", target: key, reports: entries.length, reason: "recipient removed" }));
+      continue;
+    }
+    const list = entries.map((e) => e.report);
+    const messages = {
+      slack: reportFormat.formatDigestSlack(day, list),
+      webhook: reportFormat.formatDigestWebhook(day, list),
+      email: reportFormat.formatDigestEmail(day, list),
+    };
+    const r = await deliverReport(t, messages, new Set(delivered));
+    reports += list.length;
+    console.log(JSON.stringify({ event: r.failed.length ? "REPORT_SEND_ERROR" : "REPORT_DIGEST_SENT", target: key, day, reports: list.length, sent: r.sent, failed: r.failed }));
+    if (r.failed.length) requeue.push(...entries.map((e) => ({ ...e, delivered: [...delivered, ...r.delivered] })));
+  }
+  if (requeue.length) {
+    fs.appendFileSync(REPORT.QUEUE_PATH, `${requeue.map((e) => JSON.stringify(e)).join("\n")}\n`, { mode: 0o600 });
+    console.log(JSON.stringify({ event: "REPORT_DIGEST_REQUEUED", reports: requeue.length }));
+  }
+  fs.unlinkSync(sending);
+  return { targets: keys.size, reports, requeued: requeue.length };
+}
 
-  return res.type("text/xml").status(200).send(twimlResponse(inner));
-});
+function msUntilDigest(nowMs = Date.now()) {
+  const next = new Date(nowMs);
+  next.setUTCHours(REPORT.DIGEST_HOUR, 0, 0, 0);
+  if (next.getTime() <= nowMs) next.setUTCDate(next.getUTCDate() + 1);
+  return next.getTime() - nowMs;
+}
 
-app.post("/post-call-action", (req, res) => {
-  const sid = req.body.CallSid;
-  const digit = (req.body.Digits || "").trim();
-  const st = getOrInitState(sid);
+function scheduleReportDigests() {
+  setTimeout(async () => {
+    try {
+      await sendReportDigests();
+    } catch (e) {
+      console.log(JSON.stringify({ event: "REPORT_DIGEST_ERROR", error: String(e?.message || e) }));
+    }
+    scheduleReportDigests();
+  }, msUntilDigest()).unref();
+}
 
-  if (digit === "1") {
-    const spoken = st.operator.lastScoreSpoken || spokenScorecard(st.operator.lastScore || computeScorecard(st));
-    return res.type("text/xml").status(200).send(
-      twimlResponse(`${say("Replaying scorecard.")}${say(spoken)}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
-    );
+// Sends the pending digests now instead of waiting for REPORT_DIGEST_HOUR
+app.post("/admin/reports/digest", requireAdmin, async (req, res) => {
+  try {
+    const result = await sendReportDigests();
+    adminAudit(req, "REPORT_DIGEST_SEND", result);
+    return res.status(200).json(result);
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
   }
+});
 
-  if (digit === "2") {
-    resetForRetrySameScenario(st);
-    return res.type("text/xml").status(200).send(
-      twimlResponse(`${say("Retrying the same scenario.")}<Redirect method="POST">${xmlEscape(absUrl(req, "/connect-prompt"))}</Redirect>`)
-    );
+// ---------------- Scenario authoring API ----------------
+// Every write validates the whole file, replaces SCENARIOS_PATH atomically and reloads the index.
+// Each change is appended to SCENARIO_HISTORY_PATH as a numbered version of that scenario.
+const SCENARIO_HISTORY_PATH = process.env.SCENARIO_HISTORY_PATH || "./scenario-history.jsonl";
+
+function readScenarioHistory(scenarioId) {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(SCENARIO_HISTORY_PATH, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
   }
+  return raw
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter((h) => h && (!scenarioId || h.scenarioId === scenarioId));
+}
 
-  if (digit === "3") {
-    const sc = rerollScenarioSameModuleDifficulty(st);
-    if (!sc) {
-      return res.type("text/xml").status(200).send(
-        twimlResponse(`${say("No additional scenarios available.")}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
-      );
+function scenarioDiff(from, to) {
+  const a = from || {};
+  const b = to || {};
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  return fields
+    .filter((f) => JSON.stringify(a[f]) !== JSON.stringify(b[f]))
+    .map((f) => ({ field: f, from: a[f] === undefined ? null : a[f], to: b[f] === undefined ? null : b[f] }));
+}
+
+// changes: [{ scenarioId, action, mode, difficulty, previous, scenario, ...extra }]
+function commitScenarioChanges(data, author, changes) {
+  const check = validateScenarios(data);
+  const errors = check.errors.concat(PERSONAS ? scenarioPersonaErrors(data, PERSONAS) : []);
+  if (errors.length) return { ok: false, errors };
+
+  const tmp = `${SCENARIOS_PATH}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmp, SCENARIOS_PATH);
+  const reload = reloadScenarios("ADMIN_EDIT");
+  if (!reload.ok) return { ok: false, errors: reload.errors };
+
+  const history = readScenarioHistory();
+  const lines = [];
+  for (const { previous, ...c } of changes) {
+    let version = history.filter((h) => h.scenarioId === c.scenarioId).reduce((max, h) => Math.max(max, h.version), 0);
+    // Scenarios edited for the first time get their pre-API content recorded as version 1.
+    if (!version && previous) {
+      version = 1;
+      lines.push({ scenarioId: c.scenarioId, version, action: "baseline", author: null, ts: new Date().toISOString(), mode: c.mode, difficulty: c.difficulty, scenario: previous, fileVersion: null });
     }
-    return res.type("text/xml").status(200).send(
-      twimlResponse(`${say("New scenario loaded.")}<Redirect method="POST">${xmlEscape(absUrl(req, "/connect-prompt"))}</Redirect>`)
-    );
+    lines.push({ ...c, version: version + 1, author, ts: new Date().toISOString(), scenario: c.scenario || null, fileVersion: reload.version });
   }
+  fs.appendFileSync(SCENARIO_HISTORY_PATH, lines.map((l) => `${JSON.stringify(l)}\n`).join(""));
+  return { ok: true, version: reload.version, history: lines.filter((l) => l.action !== "baseline") };
+}
 
-  if (digit === "4") {
-    return res.type("text/xml").status(200).send(
-      twimlResponse(`<Redirect method="POST">${xmlEscape(absUrl(req, "/feedback-prompt"))}</Redirect>`)
-    );
+// Port of normalize_musthit.ps1: known mustHit label strings become their checkpoint IDs.
+function normalizeMustHitIds(data) {
+  const changes = [];
+  for (const mode of Object.keys(SECTION_PREFIX)) {
+    for (const difficulty of Object.keys(TIER_LETTER)) {
+      for (const s of data?.[mode]?.[difficulty] || []) {
+        if (!Array.isArray(s.mustHit)) continue;
+        const previous = JSON.parse(JSON.stringify(s));
+        let changed = false;
+        s.mustHit = s.mustHit.map((item) => {
+          const id = typeof item === "string" ? MUSTHIT_LABEL_IDS[item.toLowerCase()] : null;
+          if (!id) return item;
+          changed = true;
+          return id;
+        });
+        if (changed) changes.push({ scenarioId: s.id, action: "migrate:normalize-musthit", mode, difficulty, previous, scenario: s });
+      }
+    }
   }
+  return changes;
+}
 
-  if (digit === "5") {
-    return res.type("text/xml").status(200).send(
-      twimlResponse(`${say("Returning to main menu.")}<Redirect method="POST">${xmlEscape(absUrl(req, "/voice"))}</Redirect>`)
-    );
+function scenarioTier(req, res) {
+  const mode = String(req.params.mode || "").toLowerCase();
+  const difficulty = Object.keys(TIER_LETTER).find((t) => t.toLowerCase() === String(req.params.difficulty || "").toLowerCase());
+  if (!SECTION_PREFIX[mode] || !difficulty) {
+    res.status(404).json({ error: "unknown module or difficulty" });
+    return null;
   }
-
-  if (digit === "6") {
-    return res.type("text/xml").status(200).send(twimlResponse(`${say("Goodbye.")}<Hangup/>`));
+  if (!SCENARIOS) {
+    res.status(503).json({ error: "scenarios not loaded" });
+    return null;
   }
+  return { mode, difficulty };
+}
 
-  return res.type("text/xml").status(200).send(
-    twimlResponse(`${say("Invalid selection.")}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
-  );
-});
+function requireAuthor(req, res) {
+  const author = String(req.body?.author || "").trim();
+  if (!author) res.status(400).json({ error: "author is required" });
+  return author;
+}
 
-// ---------------- Feedback: rating + optional voice note ----------------
-app.post("/feedback-prompt", (req, res) => {
-  const action = absUrl(req, "/feedback-rating");
-  const inner = [
-    say("Feedback. Rate this simulation from 1 to 5."),
-    say("Press 1 for poor. 5 for excellent."),
-    `<Gather input="dtmf" numDigits="1" action="${xmlEscape(action)}" method="POST" timeout="8">`,
-    say("Enter your rating now."),
-    `</Gather>`,
-    say("No input received. Returning to operator menu."),
-    `<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`,
-  ].join("");
-  return res.type("text/xml").status(200).send(twimlResponse(inner));
+// Registered before /:mode/:difficulty so "migrations" is not read as a module.
+app.post("/admin/scenarios/migrations/normalize-musthit", requireAdmin, (req, res) => {
+  const author = requireAuthor(req, res);
+  if (!author) return;
+  if (!SCENARIOS) return res.status(503).json({ error: "scenarios not loaded" });
+
+  const data = structuredClone(SCENARIOS.data);
+  const changes = normalizeMustHitIds(data);
+  const summary = changes.map((c) => ({ scenarioId: c.scenarioId, diff: scenarioDiff(c.previous, c.scenario) }));
+  if (req.body?.dryRun || !changes.length) return res.status(200).json({ dryRun: !!req.body?.dryRun, changed: summary.length, changes: summary });
+
+  const result = commitScenarioChanges(data, author, changes);
+  adminAudit(req, "SCENARIOS_MIGRATE", { migration: "normalize-musthit", author, changed: changes.length, ok: result.ok });
+  if (!result.ok) return res.status(422).json(result);
+  return res.status(200).json({ dryRun: false, changed: summary.length, changes: summary, version: result.version });
 });
 
-app.post("/feedback-rating", (req, res) => {
-  const sid = req.body.CallSid;
-  const st = getOrInitState(sid);
-  const digit = (req.body.Digits || "").trim();
-
-  const rating = parseInt(digit, 10);
-  if (!Number.isFinite(rating) || rating < 1 || rating > 5) {
-    return res.type("text/xml").status(200).send(
-      twimlResponse(`${say("Invalid rating.")}<Redirect method="POST">${xmlEscape(absUrl(req, "/feedback-prompt"))}</Redirect>`)
-    );
-  }
+app.get("/admin/scenarios/:mode/:difficulty", requireAdmin, (req, res) => {
+  const tier = scenarioTier(req, res);
+  if (!tier) return;
+  return res.status(200).json({ ...tier, version: SCENARIOS.version, scenarios: listScenarios(tier.mode, tier.difficulty) });
+});
 
-  st.operator.feedback = st.operator.feedback || {};
-  st.operator.feedback.rating = rating;
-  st.operator.feedback.ratingAtMs = Date.now();
+app.get("/admin/scenarios/:mode/:difficulty/:id", requireAdmin, (req, res) => {
+  const tier = scenarioTier(req, res);
+  if (!tier) return;
+  const scenario = listScenarios(tier.mode, tier.difficulty).find((s) => s.id === req.params.id);
+  if (!scenario) return res.status(404).json({ error: "scenario not found" });
+  return res.status(200).json({ ...tier, scenario });
+});
 
-  const inner = [
-    say(`Recorded. Rating ${rating}.`),
-    say("Optional: leave a short voice note after the beep. Or stay silent to skip."),
-    `<Record action="${xmlEscape(absUrl(req, "/feedback-note"))}" method="POST" maxLength="45" playBeep="true" timeout="3" />`,
-    say("No recording received. Returning to operator menu."),
-    `<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`,
-  ].join("");
+app.post("/admin/scenarios/:mode/:difficulty", requireAdmin, (req, res) => {
+  const tier = scenarioTier(req, res);
+  if (!tier) return;
+  const author = requireAuthor(req, res);
+  if (!author) return;
+  const scenario = req.body?.scenario;
+  if (!scenario || typeof scenario !== "object") return res.status(400).json({ error: "scenario is required" });
+  if (getScenarioById(scenario.id)) return res.status(409).json({ error: `scenario ${scenario.id} already exists` });
+
+  const data = structuredClone(SCENARIOS.data);
+  data[tier.mode][tier.difficulty].push(scenario);
+  const result = commitScenarioChanges(data, author, [{ scenarioId: scenario.id, action: "create", ...tier, scenario }]);
+  adminAudit(req, "SCENARIO_CREATE", { scenarioId: scenario.id, author, ok: result.ok });
+  return res.status(result.ok ? 201 : 422).json(result);
+});
 
-  return res.type("text/xml").status(200).send(twimlResponse(inner));
+app.put("/admin/scenarios/:mode/:difficulty/:id", requireAdmin, (req, res) => {
+  const tier = scenarioTier(req, res);
+  if (!tier) return;
+  const author = requireAuthor(req, res);
+  if (!author) return;
+  const scenario = req.body?.scenario;
+  if (!scenario || typeof scenario !== "object") return res.status(400).json({ error: "scenario is required" });
+  if (scenario.id !== req.params.id) return res.status(400).json({ error: "scenario.id must match the URL; create a new scenario to change IDs" });
+
+  const data = structuredClone(SCENARIOS.data);
+  const list = data[tier.mode][tier.difficulty];
+  const idx = list.findIndex((s) => s.id === req.params.id);
+  if (idx < 0) return res.status(404).json({ error: "scenario not found" });
+  const previous = list[idx];
+  list[idx] = scenario;
+  const result = commitScenarioChanges(data, author, [{ scenarioId: scenario.id, action: "update", ...tier, previous, scenario }]);
+  adminAudit(req, "SCENARIO_UPDATE", { scenarioId: scenario.id, author, ok: result.ok });
+  return res.status(result.ok ? 200 : 422).json(result);
 });
 
-app.post("/feedback-note", (req, res) => {
-  const sid = req.body.CallSid;
-  const st = getOrInitState(sid);
+app.delete("/admin/scenarios/:mode/:difficulty/:id", requireAdmin, (req, res) => {
+  const tier = scenarioTier(req, res);
+  if (!tier) return;
+  const author = requireAuthor(req, res);
+  if (!author) return;
+
+  const data = structuredClone(SCENARIOS.data);
+  const list = data[tier.mode][tier.difficulty];
+  const idx = list.findIndex((s) => s.id === req.params.id);
+  if (idx < 0) return res.status(404).json({ error: "scenario not found" });
+  const [previous] = list.splice(idx, 1);
+  const result = commitScenarioChanges(data, author, [{ scenarioId: previous.id, action: "delete", ...tier, previous, scenario: null }]);
+  adminAudit(req, "SCENARIO_DELETE", { scenarioId: previous.id, author, ok: result.ok });
+  return res.status(result.ok ? 200 : 422).json(result);
+});
 
-  const recUrl = String(req.body.RecordingUrl || "").trim();
-  const recDur = String(req.body.RecordingDuration || "").trim();
+app.get("/admin/scenarios/:mode/:difficulty/:id/history", requireAdmin, (req, res) => {
+  const tier = scenarioTier(req, res);
+  if (!tier) return;
+  const versions = readScenarioHistory(req.params.id).map(({ scenario, ...h }) => h);
+  return res.status(200).json({ scenarioId: req.params.id, versions });
+});
 
-  st.operator.feedback = st.operator.feedback || {};
-  st.operator.feedback.noteRecordingUrl = recUrl || null;
-  st.operator.feedback.noteRecordingDuration = recDur || null;
-  st.operator.feedback.noteAtMs = Date.now();
+app.get("/admin/scenarios/:mode/:difficulty/:id/history/:version", requireAdmin, (req, res) => {
+  const tier = scenarioTier(req, res);
+  if (!tier) return;
+  const entry = readScenarioHistory(req.params.id).find((h) => h.version === parseInt(req.params.version, 10));
+  if (!entry) return res.status(404).json({ error: "version not found" });
+  return res.status(200).json(entry);
+});
 
-  console.log(JSON.stringify({ event: "FEEDBACK_CAPTURED", callSid: sid, operatorPin: st.operatorPin, rating: st.operator.feedback.rating, recordingUrl: recUrl || null }));
+// ?from=<version>&to=<version|current>; defaults to what the most recent edit changed.
+app.get("/admin/scenarios/:mode/:difficulty/:id/diff", requireAdmin, (req, res) => {
+  const tier = scenarioTier(req, res);
+  if (!tier) return;
+  const history = readScenarioHistory(req.params.id);
+  const live = listScenarios(tier.mode, tier.difficulty).find((s) => s.id === req.params.id) || null;
+  const pick = (v) => {
+    if (v === undefined || v === "current") return { version: "current", scenario: live };
+    const h = history.find((x) => x.version === parseInt(v, 10));
+    return h ? { version: h.version, scenario: h.scenario } : null;
+  };
+  const fallbackFrom = history.length > 1 ? history[history.length - 2].version : history.length ? history[0].version : "current";
+  const from = pick(req.query.from !== undefined ? req.query.from : String(fallbackFrom));
+  const to = pick(req.query.to);
+  if (!from || !to) return res.status(404).json({ error: "version not found" });
+  return res.status(200).json({ scenarioId: req.params.id, from: from.version, to: to.version, changes: scenarioDiff(from.scenario, to.scenario) });
+});
 
-  return res.type("text/xml").status(200).send(
-    twimlResponse(`${say("Thank you. Feedback saved.")}<Redirect method="POST">${xmlEscape(absUrl(req, "/post-call"))}</Redirect>`)
-  );
+app.post("/admin/scenarios/:mode/:difficulty/:id/rollback", requireAdmin, (req, res) => {
+  const tier = scenarioTier(req, res);
+  if (!tier) return;
+  const author = requireAuthor(req, res);
+  if (!author) return;
+  const target = readScenarioHistory(req.params.id).find((h) => h.version === parseInt(req.body?.version, 10));
+  if (!target || !target.scenario) return res.status(404).json({ error: "version not found or has no content" });
+
+  const data = structuredClone(SCENARIOS.data);
+  const list = data[tier.mode][tier.difficulty];
+  const idx = list.findIndex((s) => s.id === req.params.id);
+  const previous = idx >= 0 ? list[idx] : null;
+  if (idx >= 0) list[idx] = target.scenario;
+  else list.push(target.scenario);
+  const result = commitScenarioChanges(data, author, [{ scenarioId: req.params.id, action: "rollback", rolledBackTo: target.version, ...tier, previous, scenario: target.scenario }]);
+  adminAudit(req, "SCENARIO_ROLLBACK", { scenarioId: req.params.id, author, toVersion: target.version, ok: result.ok });
+  return res.status(result.ok ? 200 : 422).json(result);
 });
 
 // =========================================================
@@ -937,7 +4717,7 @@ function technicalValidity(state) {
 const _finalizeAuditRecord = finalizeAuditRecord; // capture current implementation (stub or real)
 
 function finalizeAuditRecordWrapped(state, extra = {}) {
-  if (!state) return false;
+  if (!state || state._audit?.written) return false;
 
   try {
     if (!state.operator?.lastScore) computeScorecard(state);
@@ -957,31 +4737,36 @@ function finalizeAuditRecordWrapped(state, extra = {}) {
     }
   } catch {}
 
-  // Optional: alert admins on exam fail (guarded)
-  try {
-    if (state.examMode && state.operator?.lastScore && state.operator.lastScore.pass === false) {
-      setImmediate(() =>
-        alertAdmins("EXAM_FAIL", {
-          short: `Exam failed: ${state.callSid || state.scenarioId || ""}`,
-          callSid: state.callSid || null,
-          operatorPin: state.operatorPin || null,
-          operatorName: state.operator?.operatorName || null,
-          scenarioId: state.scenarioId || null,
-          borrowerName: state.borrowerName || null,
-          failReasons: state.operator.lastScore.failReasons || [],
-          violationsCount: state.operator.lastScore.violationsCount || 0,
-        })
-      );
-    }
-  } catch {}
-
   // Call original implementation (stub or real)
+  let written = false;
   try {
-    return _finalizeAuditRecord(state, { ...extra, technicalValidity: tv });
+    written = _finalizeAuditRecord(state, { ...extra, technicalValidity: tv });
   } catch (e) {
     console.log(JSON.stringify({ event: "FINALIZE_AUDIT_ERROR", error: String(e?.message || e) }));
     return false;
   }
+
+  if (written) {
+    recordAttemptMetrics(state, tv);
+    noteTechnicalValidity(state, tv);
+  }
+
+  if (written) {
+    try {
+      sendAttemptReports({ ...buildAuditRecord(state, { ...extra, technicalValidity: tv }), writtenAt: new Date().toISOString() });
+    } catch (e) {
+      console.log(JSON.stringify({ event: "REPORT_ERROR", attemptId: state._audit.attemptId, error: String(e?.message || e) }));
+    }
+    if (state.examMode && state.operator?.lastScore?.pass === false) alertExamFail(state);
+  }
+
+  // Certification counts only what is on disk, so evaluate after the record is written.
+  try {
+    if (written && state.examMode) evaluateCertification(state);
+  } catch (e) {
+    console.log(JSON.stringify({ event: "CERTIFICATION_EVAL_ERROR", error: String(e?.message || e) }));
+  }
+  return written;
 }
 
 // IMPORTANT: do NOT reassign function declarations in strict/module contexts.
@@ -992,7 +4777,8 @@ finalizeAuditRecord = finalizeAuditRecordWrapped;
 function flushAllAudits(reason) {
   try {
     for (const [, st] of CALL_STATE.entries()) {
-      if (!st) continue;
+      // Menu-only states never connected a stream; there is no attempt to record.
+      if (!st || !st.ts.connectStartMs) continue;
       if (!st.ts.endMs) st.ts.endMs = Date.now();
       if (!st.operator?.lastScore) computeScorecard(st);
       finalizeAuditRecord(st, { endReason: reason || "PROCESS_FLUSH" });
@@ -1029,25 +4815,52 @@ function boot() {
     requireEnv("OPENAI_API_KEY");
   } catch (e) {
     console.log(JSON.stringify({ event: "ENV_FATAL", error: String(e?.message || e) }));
+    raiseAlert("BOOT_FATAL", "Required environment missing", String(e?.message || e), { event: "ENV_FATAL" });
+  }
+
+  // Before scenarios: scenario persona references are checked against the catalog
+  try {
+    loadPersonasOrThrow();
+  } catch (e) {
+    console.log(JSON.stringify({ event: "PERSONAS_FATAL", error: String(e?.message || e) }));
+    raiseAlert("BOOT_FATAL", "Persona catalog failed to load", String(e?.message || e), { event: "PERSONAS_FATAL" });
   }
 
   try {
     loadScenariosOrThrow();
   } catch (e) {
     console.log(JSON.stringify({ event: "SCENARIOS_FATAL", error: String(e?.message || e) }));
+    raiseAlert("BOOT_FATAL", "Scenarios failed to load", String(e?.message || e), { event: "SCENARIOS_FATAL" });
   }
+  watchScenarios();
 
   // Load persistent operators file
   try {
     loadOperators();
   } catch (e) {
     console.log(JSON.stringify({ event: "OPERATORS_LOAD_FATAL", error: String(e?.message || e) }));
+    raiseAlert("BOOT_FATAL", "Operators file failed to load", String(e?.message || e), { event: "OPERATORS_LOAD_FATAL" });
   }
 
+  // Apply audit and recording retention before accepting calls
+  pruneAuditFiles();
+  pruneRecordings();
+  indexAttemptDays();
+  loadOperatorHistory();
+
+  reportRecipients();
+  scheduleReportDigests();
+  setInterval(() => sweepCallStates(), 60 * 1000).unref();
+
   // Twilio redirect requires credentials; warn if missing
   if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
     console.log(JSON.stringify({ event: "TWILIO_CREDS_WARNING", note: "Set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN to guarantee post-call score/menu." }));
   }
+  if (!TWILIO_SIGNATURE_CHECK) {
+    console.log(JSON.stringify({ event: "TWILIO_SIGNATURE_CHECK_DISABLED", note: "Webhooks and media streams are not verified. Do not run like this in production." }));
+  } else if (!TWILIO_AUTH_TOKEN) {
+    console.log(JSON.stringify({ event: "TWILIO_SIGNATURE_WARNING", note: "TWILIO_AUTH_TOKEN is not set; every TwiML request and media stream will be rejected." }));
+  }
 
   server.listen(PORT, HOST, () => {
     console.log(
@@ -1058,13 +4871,17 @@ function boot() {
         realtimeModel: REALTIME_MODEL,
         transcribeModel: TRANSCRIBE_MODEL,
         scenariosPath: SCENARIOS_PATH,
+        personasPath: PERSONAS_PATH,
         logDir: LOG_DIR,
       })
     );
   });
 }
 
-boot();
+// `node server.js` boots; the offline harness (harness/run.js) requires the module and boots it itself.
+if (require.main === module) boot();
+
+module.exports = { app, server, boot, CALL_STATE, TUNE, SECURITY_REJECTS, METRICS, getOrInitState, sweepCallStates };
 
 // =========================================================
 // END OF FILE
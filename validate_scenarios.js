@@ -0,0 +1,25 @@
+// validate_scenarios.js
+// Usage: `npm run validate:scenarios [-- path/to/scenarios.json]` (defaults to SCENARIOS_PATH or ./scenarios.json)
+// Runs the same validation the server runs at boot, including the persona catalog at PERSONAS_PATH
+// (default ./personas.json) and the scenarios' references into it. Exit code 1 on any error, so it can gate a commit:
+//   echo 'npm run validate:scenarios' > .git/hooks/pre-commit && chmod +x .git/hooks/pre-commit
+
+const { loadScenarioFile } = require('./scenarios');
+const { loadPersonaFile, scenarioPersonaErrors } = require('./personas');
+
+const file = process.argv[2] || process.env.SCENARIOS_PATH || './scenarios.json';
+const personasFile = process.env.PERSONAS_PATH || './personas.json';
+const result = loadScenarioFile(file);
+const personas = loadPersonaFile(personasFile);
+
+const errors = result.errors.concat(personas.errors.map((e) => `${personasFile}: ${e}`));
+if (result.valid && personas.valid) errors.push(...scenarioPersonaErrors(result.index.data, personas.catalog));
+
+if (!errors.length) {
+  console.log(`SCENARIOS_VALID: ${file} (${result.index.count} scenarios, ${personas.catalog.count} personas)`);
+  process.exitCode = 0;
+} else {
+  console.error(`SCENARIOS_INVALID: ${file} has ${errors.length} issue(s):`);
+  for (const e of errors) console.error(`- ${e}`);
+  process.exitCode = 1;
+}